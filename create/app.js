@@ -8,6 +8,7 @@ let keyManager;
 let registryClient;
 let registryDiscovery;
 let processTracker;
+let sessionStore;
 
 // DOM Elements
 const generateKeysBtn = document.getElementById('generate-keys-btn');
@@ -18,11 +19,87 @@ const importKeysTextarea = document.getElementById('import-keys-textarea');
 const importPassword = document.getElementById('import-password');
 const confirmImportBtn = document.getElementById('confirm-import-btn');
 const cancelImportBtn = document.getElementById('cancel-import-btn');
+const importModeBtns = document.querySelectorAll('.import-mode-btn');
+const mnemonicImport = document.getElementById('mnemonic-import');
+const mnemonicGrid = document.getElementById('mnemonic-grid');
+const mnemonicSuggestions = document.getElementById('mnemonic-suggestions');
+const mnemonicStatus = document.getElementById('mnemonic-status');
+const exportPanel = document.getElementById('export-panel');
+const mnemonicExportList = document.getElementById('mnemonic-export-list');
+const copyMnemonicBtn = document.getElementById('copy-mnemonic-btn');
+const copyHexBtn = document.getElementById('copy-hex-btn');
+const closeExportBtn = document.getElementById('close-export-btn');
+const privateKeyExport = document.getElementById('private-key-export');
+const privateExportNote = document.getElementById('private-export-note');
+const keyFileFormat = document.getElementById('key-file-format');
+const keyFilePassword = document.getElementById('key-file-password');
+const keyFileHint = document.getElementById('key-file-hint');
+const downloadKeyFileBtn = document.getElementById('download-key-file-btn');
+const importKeyFile = document.getElementById('import-key-file');
+const sharesImport = document.getElementById('shares-import');
+const sharesTextarea = document.getElementById('shares-textarea');
+const sharesStatus = document.getElementById('shares-status');
+const shareThresholdInput = document.getElementById('share-threshold');
+const shareTotalInput = document.getElementById('share-total');
+const createSharesBtn = document.getElementById('create-shares-btn');
+const shareList = document.getElementById('share-list');
+const unlockKeysBtn = document.getElementById('unlock-keys-btn');
+const rotateKeysBtn = document.getElementById('rotate-keys-btn');
+const revokeKeysBtn = document.getElementById('revoke-keys-btn');
+const didDocumentBtn = document.getElementById('did-document-btn');
+const didDocumentPanel = document.getElementById('did-document-panel');
+const didWebDomainInput = document.getElementById('did-web-domain');
+const didWebHint = document.getElementById('did-web-hint');
+const didDocumentPreview = document.getElementById('did-document-preview');
+const didDocumentError = document.getElementById('did-document-error');
+const downloadDidDocumentBtn = document.getElementById('download-did-document-btn');
+const downloadDidWebBtn = document.getElementById('download-did-web-btn');
+const closeDidDocumentBtn = document.getElementById('close-did-document-btn');
+const revokePanel = document.getElementById('revoke-panel');
+const revokeReason = document.getElementById('revoke-reason');
+const revokeEffectiveFrom = document.getElementById('revoke-effective-from');
+const revokeError = document.getElementById('revoke-error');
+const confirmRevokeBtn = document.getElementById('confirm-revoke-btn');
+const cancelRevokeBtn = document.getElementById('cancel-revoke-btn');
+const lineageDisplay = document.getElementById('lineage-display');
+const lineageList = document.getElementById('lineage-list');
+const identitySelect = document.getElementById('identity-select');
+const newIdentityBtn = document.getElementById('new-identity-btn');
+const renameIdentityBtn = document.getElementById('rename-identity-btn');
+const removeIdentityBtn = document.getElementById('remove-identity-btn');
+const identityMeta = document.getElementById('identity-meta');
+const keyStorageSelect = document.getElementById('key-storage-select');
+const keyStorageHint = document.getElementById('key-storage-hint');
+const didCompatCheckbox = document.getElementById('did-compat-checkbox');
+const passkeyRequiredCheckbox = document.getElementById('passkey-required-checkbox');
+const autoLockSelect = document.getElementById('auto-lock-select');
+const lockOnHideCheckbox = document.getElementById('lock-on-hide-checkbox');
+const unlockPinBtn = document.getElementById('unlock-pin-btn');
+const autoLockWarning = document.getElementById('auto-lock-warning');
 const keyStatusText = document.getElementById('key-status-text');
 const didDisplay = document.getElementById('did-display');
 const didValue = document.getElementById('did-value');
+const passphrasePanel = document.getElementById('passphrase-panel');
+const passphrasePrompt = document.getElementById('passphrase-prompt');
+const passphraseInput = document.getElementById('passphrase-input');
+const passphraseConfirm = document.getElementById('passphrase-confirm');
+const passphraseError = document.getElementById('passphrase-error');
+const passphraseSubmitBtn = document.getElementById('passphrase-submit-btn');
+const passphraseCancelBtn = document.getElementById('passphrase-cancel-btn');
 
 const contentTextarea = document.getElementById('content-textarea');
+const documentSelect = document.getElementById('document-select');
+const newDocumentBtn = document.getElementById('new-document-btn');
+const sessionInfo = document.getElementById('session-info');
+const contentTabButtons = document.querySelectorAll('.tab-button');
+const drawingCanvas = document.getElementById('drawing-canvas');
+const drawingColorInput = document.getElementById('drawing-color');
+const drawingSizeInput = document.getElementById('drawing-size');
+const undoStrokeBtn = document.getElementById('undo-stroke-btn');
+const redoStrokeBtn = document.getElementById('redo-stroke-btn');
+const clearDrawingBtn = document.getElementById('clear-drawing-btn');
+const downloadDrawingBtn = document.getElementById('download-drawing-btn');
+const drawingInfo = document.getElementById('drawing-info');
 const linkSourceBtn = document.getElementById('link-source-btn');
 const sourceMappingsList = document.getElementById('source-mappings-list');
 const sourceMappingsItems = document.getElementById('source-mappings-items');
@@ -64,6 +141,29 @@ const archiveLink = document.getElementById('archive-link');
 // Store content archive address
 let contentArchiveAddress = null;
 
+// Last textarea value the process tracker has accounted for (detects script-set values)
+let trackedContentValue = '';
+// Set by paste/drop events for browsers that do not report InputEvent.inputType
+let pendingInsertionSource = null;
+
+// Writing session persisted per document (see SessionStore)
+let currentDocumentId = null;
+let sessionDirty = false;
+
+// Content being proved: 'text' (textarea) or 'drawing' (canvas, proved as PNG)
+let contentMode = 'text';
+let drawingTracker = null;
+let drawingPad = null;
+
+// Auto-lock settings and idle timer
+const AUTO_LOCK_STORAGE_KEY = 'pohw-auto-lock';
+const AUTO_LOCK_ACTIVITY_EVENTS = ['pointerdown', 'pointermove', 'keydown', 'wheel', 'touchstart'];
+let autoLockTimer = null;
+let lastActivityAt = 0;
+
+// Cancels the passphrase request currently shown in the panel, if any
+let cancelPendingPassphrase = null;
+
 // Initialize
 document.addEventListener('DOMContentLoaded', async () => {
     // Initialize managers after DOM and all scripts are loaded
@@ -71,7 +171,8 @@ document.addEventListener('DOMContentLoaded', async () => {
         keyManager = new PoHWKeyManager();
         registryClient = new RegistryClient();
         registryDiscovery = new RegistryDiscovery();
-        processTracker = new BrowserProcessTracker();
+        processTracker = new ProcessTrackerClient();
+        sessionStore = new SessionStore();
     } catch (error) {
         console.error('[App] Failed to initialize managers:', error);
         // Show error to user
@@ -84,12 +185,20 @@ document.addEventListener('DOMContentLoaded', async () => {
     }
     
     setupKeyManagement();
+    setupIdentitySwitcher();
+    await setupKeyStorageSelector();
+    await restoreWritingSession();
     setupProcessTracking();
+    setupWritingSessions();
+    setupDrawingMode();
+    setupFocusTracking();
     setupSourceMapping();
     setupContentArchiving();
     await setupRegistrySelector();
     setupCreateButton();
+    setupAutoLock();
     await loadExistingKeys();
+    await submitPendingRevocations();
 });
 
 
@@ -101,37 +210,31 @@ function setupKeyManagement() {
         try {
             setLoading(true);
             generateKeysBtn.disabled = true;
-            const originalText = generateKeysBtn.textContent;
-            generateKeysBtn.textContent = 'Loading library...';
-            
-            // Check for load error
-            if (window.ed25519LoadError) {
-                throw new Error(window.ed25519LoadError);
+            const backend = keyStorageSelect.value;
+            if (backend === 'webcrypto') {
+                // Native WebCrypto key: no library or passphrase needed
+                generateKeysBtn.textContent = 'Generating keys...';
+                const { did } = await keyManager.generateKeys(null, { backend: 'webcrypto' });
+                updateKeyStatus(true, did);
+                showSuccess('Browser-protected keys generated successfully!');
+                return;
             }
             
-            // Wait for ed25519 library to be available (up to 5 seconds)
-            let waitAttempts = 0;
-            const maxWaitAttempts = 50; // 5 seconds
-            
-            while ((typeof window.ed25519 === 'undefined' || !window.ed25519.getPublicKey) && waitAttempts < maxWaitAttempts) {
-                if (window.ed25519LoadError) {
-                    throw new Error(window.ed25519LoadError);
-                }
-                await new Promise(resolve => setTimeout(resolve, 100));
-                waitAttempts++;
-                
-                // Update button text to show progress
-                if (waitAttempts % 10 === 0) {
-                    generateKeysBtn.textContent = `Loading library... (${waitAttempts * 100}ms)`;
-                }
-            }
+            // Bundled library (fails only if the vendored file is missing or was altered)
+            await keyManager.ensureEd25519Library();
             
-            if (typeof window.ed25519 === 'undefined' || !window.ed25519.getPublicKey) {
-                throw new Error('Ed25519 library failed to load. Please refresh the page and try again. If the problem persists, check your internet connection.');
+            generateKeysBtn.textContent = 'Waiting for passphrase...';
+            const passphrase = await requestPassphrase({
+                prompt: 'Choose a passphrase. Your private key is encrypted with it before being stored in this browser.',
+                confirm: true,
+                submitLabel: 'Encrypt & Save'
+            });
+            if (!passphrase) {
+                return;
             }
             
             generateKeysBtn.textContent = 'Generating keys...';
-            const { did } = await keyManager.generateKeys();
+            const { did } = await keyManager.generateKeys(passphrase, { backend: 'noble' });
             updateKeyStatus(true, did);
             showSuccess('Keys generated successfully!');
         } catch (error) {
@@ -147,23 +250,64 @@ function setupKeyManagement() {
     
     importKeysBtn.addEventListener('click', () => {
         importKeysInput.classList.remove('hidden');
-        importKeysTextarea.focus();
+        setImportMode('key');
+    });
+    
+    importModeBtns.forEach(btn => {
+        btn.addEventListener('click', () => setImportMode(btn.dataset.mode));
     });
     
+    setupMnemonicInput();
+    sharesTextarea.addEventListener('input', updateSharesStatus);
+    
     confirmImportBtn.addEventListener('click', async () => {
         try {
+            const mode = getImportMode();
             const privateKeyHex = importKeysTextarea.value.trim();
-            if (!privateKeyHex) {
+            const words = getMnemonicWords();
+            const shares = getShareLines();
+            if (mode === 'mnemonic' && words.length < MNEMONIC_WORD_COUNT) {
+                showError(`Please enter all ${MNEMONIC_WORD_COUNT} words of your recovery phrase`);
+                return;
+            }
+            if (mode === 'shares' && shares.length === 0) {
+                showError('Please paste your backup shares');
+                return;
+            }
+            if (mode === 'key' && !privateKeyHex) {
                 showError('Please enter a private key');
                 return;
             }
             
+            const backend = keyStorageSelect.value;
+            const password = importPassword.value;
+            if (!password && backend === 'noble') {
+                showError('Please enter a passphrase to protect the imported key');
+                return;
+            }
+            
             setLoading(true);
-            const { did } = await keyManager.importKeys(privateKeyHex);
-            updateKeyStatus(true, did);
+            const options = { backend: backend };
+            let result;
+            if (mode === 'mnemonic') {
+                result = await keyManager.importMnemonic(words, password || null, options);
+            } else if (mode === 'shares') {
+                result = await keyManager.importShares(shares, password || null, options);
+            } else {
+                result = await keyManager.importKeys(privateKeyHex, password || null, options);
+            }
+            updateKeyStatus(true, result.did);
             importKeysInput.classList.add('hidden');
             importKeysTextarea.value = '';
-            showSuccess('Keys imported successfully!');
+            importPassword.value = '';
+            sharesTextarea.value = '';
+            clearMnemonicInput();
+            const messages = {
+                key: 'Keys imported successfully!',
+                mnemonic: 'Keys restored from recovery phrase!',
+                shares: 'Keys rebuilt from backup shares!'
+            };
+            showSuccess(messages[mode]);
         } catch (error) {
             showError('Failed to import keys: ' + error.message);
         } finally {
@@ -174,474 +318,2016 @@ function setupKeyManagement() {
     cancelImportBtn.addEventListener('click', () => {
         importKeysInput.classList.add('hidden');
         importKeysTextarea.value = '';
+        importPassword.value = '';
+        sharesTextarea.value = '';
+        clearMnemonicInput();
     });
     
-    exportKeysBtn.addEventListener('click', () => {
+    unlockKeysBtn.addEventListener('click', async () => {
+        await unlockStoredKeys();
+    });
+    
+    rotateKeysBtn.addEventListener('click', async () => {
+        await rotateSigningKey();
+    });
+    
+    revokeKeysBtn.addEventListener('click', () => {
+        // Default to "now"; datetime-local expects local time without zone
+        const now = new Date();
+        now.setSeconds(0, 0);
+        const local = new Date(now.getTime() - now.getTimezoneOffset() * 60000);
+        revokeEffectiveFrom.value = local.toISOString().slice(0, 16);
+        revokeEffectiveFrom.max = revokeEffectiveFrom.value;
+        revokeError.classList.add('hidden');
+        revokePanel.classList.remove('hidden');
+    });
+    
+    cancelRevokeBtn.addEventListener('click', () => {
+        revokePanel.classList.add('hidden');
+    });
+    
+    confirmRevokeBtn.addEventListener('click', async () => {
+        await revokeSigningKey();
+    });
+    
+    didDocumentBtn.addEventListener('click', () => {
+        didDocumentPanel.classList.remove('hidden');
+        renderDIDDocumentPreview();
+    });
+    
+    closeDidDocumentBtn.addEventListener('click', () => {
+        didDocumentPanel.classList.add('hidden');
+    });
+    
+    didWebDomainInput.addEventListener('input', renderDIDDocumentPreview);
+    registrySelect.addEventListener('change', () => {
+        if (!didDocumentPanel.classList.contains('hidden')) {
+            renderDIDDocumentPreview();
+        }
+    });
+    
+    downloadDidDocumentBtn.addEventListener('click', () => {
+        exportDIDDocument('json-ld');
+    });
+    
+    downloadDidWebBtn.addEventListener('click', () => {
+        exportDIDDocument('did-web');
+    });
+    
+    exportKeysBtn.addEventListener('click', async () => {
         try {
-            const keys = keyManager.exportKeys();
-            const text = `Private Key (hex): ${keys.privateKey}\nPublic Key (hex): ${keys.publicKey}\nDID: ${keys.did}`;
-            
-            // Copy to clipboard
-            navigator.clipboard.writeText(text).then(() => {
-                showSuccess('Keys copied to clipboard!');
-            }).catch(() => {
-                // Fallback: show in alert
-                alert('Keys:\n\n' + text);
+            // Browser-protected keys can only export their public key
+            const extractable = keyManager.isExtractable();
+            privateKeyExport.classList.toggle('hidden', !extractable);
+            privateExportNote.classList.toggle('hidden', extractable);
+            keyFileFormat.querySelectorAll('option[data-private]').forEach(option => {
+                option.disabled = !extractable;
             });
+            if (!extractable && keyFileFormat.selectedOptions[0].dataset.private) {
+                keyFileFormat.value = 'spki-pem';
+            }
+            updateKeyFileHint();
+            
+            mnemonicExportList.innerHTML = '';
+            if (extractable) {
+                const words = await keyManager.exportMnemonic();
+                words.forEach(word => {
+                    const item = document.createElement('li');
+                    item.textContent = word;
+                    mnemonicExportList.appendChild(item);
+                });
+            }
+            exportPanel.classList.remove('hidden');
+        } catch (error) {
+            showError('Failed to export keys: ' + error.message);
+        }
+    });
+    
+    keyFileFormat.addEventListener('change', updateKeyFileHint);
+    
+    downloadKeyFileBtn.addEventListener('click', async () => {
+        try {
+            const file = await keyManager.exportKeyFile(keyFileFormat.value, keyFilePassword.value || null);
+            downloadFile(file);
+            keyFilePassword.value = '';
+        } catch (error) {
+            showError('Failed to export key file: ' + error.message);
+        }
+    });
+    
+    importKeyFile.addEventListener('change', async () => {
+        const file = importKeyFile.files[0];
+        if (!file) return;
+        importKeysTextarea.value = await file.text();
+        importKeyFile.value = '';
+    });
+    
+    copyMnemonicBtn.addEventListener('click', () => {
+        // Copy the phrase already shown (exporting it again would ask for the passkey again)
+        const words = Array.from(mnemonicExportList.children).map(item => item.textContent);
+        if (words.length === 0) {
+            showError('Failed to export keys: no recovery phrase to copy');
+            return;
+        }
+        copyToClipboard(words.join(' '), 'Recovery phrase copied to clipboard!');
+    });
+    
+    copyHexBtn.addEventListener('click', async () => {
+        try {
+            const keys = await keyManager.exportKeys();
+            const text = `Private Key (hex): ${keys.privateKey}\nPublic Key (hex): ${keys.publicKey}\nDID: ${keys.did}`;
+            copyToClipboard(text, 'Keys copied to clipboard!');
         } catch (error) {
             showError('Failed to export keys: ' + error.message);
         }
     });
+    
+    closeExportBtn.addEventListener('click', () => {
+        exportPanel.classList.add('hidden');
+        mnemonicExportList.innerHTML = '';
+        shareList.innerHTML = '';
+        keyFilePassword.value = '';
+    });
+    
+    createSharesBtn.addEventListener('click', async () => {
+        await createKeyShares();
+    });
 }
 
 /**
- * Update key status display
+ * Explain the selected key file format
  */
-function updateKeyStatus(hasKeys, did = null) {
-    if (hasKeys && did) {
-        keyStatusText.textContent = 'Keys loaded';
-        keyStatusText.className = 'key-status-text success';
-        didDisplay.style.display = 'flex';
-        didValue.textContent = did;
-        exportKeysBtn.style.display = 'inline-block';
-        createButton.disabled = false;
-    } else {
-        keyStatusText.textContent = 'No keys loaded';
-        keyStatusText.className = 'key-status-text';
-        didDisplay.style.display = 'none';
-        exportKeysBtn.style.display = 'none';
-        createButton.disabled = true;
+function updateKeyFileHint() {
+    const hints = {
+        'pkcs8-pem': 'Works with openssl and the pohw CLI (--key). The passphrase encrypts the file (PBES2, AES-256-CBC).',
+        'openssh': 'Works with ssh-keygen and ssh-agent. The passphrase encrypts the file (bcrypt KDF, AES-256-CTR).',
+        'jwk': 'For JOSE libraries. The passphrase encrypts the JWK as a JWE (PBES2-HS256+A128KW, A256GCM).',
+        'spki-pem': 'For openssl pkeyutl -verify -pubin -inkey pohw-public.pem -rawin ...',
+        'openssh-public': 'For SSH tooling (authorized_keys, allowed_signers).',
+        'jwk-public': 'For JOSE / WebCrypto tooling.'
+    };
+    keyFileHint.textContent = hints[keyFileFormat.value] || '';
+    keyFilePassword.style.display = keyFileFormat.selectedOptions[0].dataset.private ? 'block' : 'none';
+}
+
+/**
+ * Show the DID document that would be published
+ * With a domain entered, the preview is the did:web document to host.
+ */
+function renderDIDDocumentPreview() {
+    didDocumentError.classList.add('hidden');
+    const domain = didWebDomainInput.value.trim();
+    downloadDidWebBtn.disabled = !domain;
+    
+    try {
+        const didWeb = domain ? didWebFromLocation(domain) : null;
+        const didDocument = didWeb
+            ? keyManager.createDIDDocument({ did: didWeb, registryUrl: registrySelect.value })
+            : keyManager.createDIDDocument({ registryUrl: registrySelect.value });
+        didDocumentPreview.textContent = JSON.stringify(didDocument, null, 2);
+        didWebHint.textContent = didWeb
+            ? `${didWeb} resolves to ${didWebToUrl(didWeb)}`
+            : 'Leave empty to export a document for your current DID only.';
+    } catch (error) {
+        didWebHint.textContent = '';
+        didDocumentError.textContent = error.message;
+        didDocumentError.classList.remove('hidden');
+        downloadDidWebBtn.disabled = true;
     }
 }
 
 /**
- * Load existing keys
+ * Download the DID document as JSON-LD or as a did:web bundle
  */
-async function loadExistingKeys() {
+function exportDIDDocument(format) {
     try {
-        const keys = await keyManager.loadKeys();
-        if (keys) {
-            updateKeyStatus(true, keys.did);
+        const file = keyManager.exportDIDDocument(format, {
+            domain: didWebDomainInput.value.trim() || null,
+            registryUrl: registrySelect.value
+        });
+        downloadFile(file);
+        if (file.url) {
+            showSuccess(`Upload did.json so it is served at ${file.url}`);
         }
     } catch (error) {
-        console.warn('Could not load existing keys:', error);
+        didDocumentError.textContent = 'Failed to export DID document: ' + error.message;
+        didDocumentError.classList.remove('hidden');
     }
 }
 
 /**
- * Setup content archiving
+ * Save generated content as a file download
+ * @param {Object} file - { filename, mimeType, content: string|Uint8Array }
  */
-function setupContentArchiving() {
-    if (!contentArchiveOption) return;
-    
-    contentArchiveOption.addEventListener('change', () => {
-        const option = contentArchiveOption.value;
-        
-        if (option === 'none') {
-            contentArchiveSection.style.display = 'none';
-            contentArchiveAddress = null;
-        } else {
-            contentArchiveSection.style.display = 'block';
+function downloadFile(file) {
+    const blob = new Blob([file.content], { type: file.mimeType });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = file.filename;
+    link.click();
+    URL.revokeObjectURL(url);
+}
+
+/**
+ * Split the key into Shamir shares and show each as text and QR code
+ */
+async function createKeyShares() {
+    try {
+        const total = parseInt(shareTotalInput.value, 10);
+        const threshold = parseInt(shareThresholdInput.value, 10);
+        const shares = await keyManager.exportShares(total, threshold);
+        
+        shareList.innerHTML = '';
+        shares.forEach((share, index) => {
+            const card = document.createElement('div');
+            card.className = 'share-card';
             
-            if (option === 'ipfs' || option === 'arweave') {
-                archiveUploadArea.style.display = 'block';
-                archiveManualInput.style.display = 'none';
-                archiveResult.style.display = 'none';
-            } else if (option === 'manual') {
-                archiveUploadArea.style.display = 'none';
-                archiveManualInput.style.display = 'block';
-                archiveResult.style.display = 'none';
-            }
-        }
-    });
-    
-    // Handle manual address input
-    if (archiveAddressInput) {
-        archiveAddressInput.addEventListener('input', () => {
-            const address = archiveAddressInput.value.trim();
-            if (address) {
-                updateArchiveResult(address, contentArchiveOption.value);
-            } else {
-                archiveResult.style.display = 'none';
-                contentArchiveAddress = null;
-            }
-        });
-    }
-    
-    // Handle upload button
-    if (archiveUploadBtn) {
-        archiveUploadBtn.addEventListener('click', async () => {
-            await uploadContentToArchive();
+            const title = document.createElement('strong');
+            title.textContent = `Share ${index + 1} of ${total} (any ${threshold} rebuild the key)`;
+            card.appendChild(title);
+            
+            const qr = qrcode(0, 'M');
+            qr.addData(share);
+            qr.make();
+            const img = document.createElement('img');
+            img.src = qr.createDataURL(4, 8);
+            img.alt = `QR code for share ${index + 1}`;
+            card.appendChild(img);
+            
+            const text = document.createElement('code');
+            text.className = 'share-text';
+            text.textContent = share;
+            card.appendChild(text);
+            
+            const actions = document.createElement('div');
+            actions.className = 'import-actions';
+            const copyBtn = document.createElement('button');
+            copyBtn.className = 'action-btn';
+            copyBtn.textContent = 'Copy';
+            copyBtn.addEventListener('click', () => copyToClipboard(share, `Share ${index + 1} copied to clipboard!`));
+            const saveLink = document.createElement('a');
+            saveLink.className = 'action-btn';
+            saveLink.textContent = 'Save QR';
+            saveLink.href = img.src;
+            saveLink.download = `pohw-key-share-${index + 1}-of-${total}.gif`;
+            actions.appendChild(copyBtn);
+            actions.appendChild(saveLink);
+            card.appendChild(actions);
+            
+            shareList.appendChild(card);
         });
+    } catch (error) {
+        showError('Failed to split key: ' + error.message);
     }
 }
 
 /**
- * Upload content to IPFS or Arweave
+ * Get pasted share lines
  */
-async function uploadContentToArchive() {
-    if (!contentTextarea || !contentArchiveOption) return;
-    
-    const content = contentTextarea.value.trim();
-    if (!content) {
-        showError('Please enter content before archiving');
-        return;
-    }
-    
-    const archiveType = contentArchiveOption.value;
-    if (archiveType !== 'ipfs' && archiveType !== 'arweave') {
+function getShareLines() {
+    return sharesTextarea.value.split('\n')
+        .map(line => line.trim())
+        .filter(line => line.length > 0);
+}
+
+/**
+ * Show how many valid shares have been pasted
+ */
+async function updateSharesStatus() {
+    const lines = getShareLines();
+    if (lines.length === 0) {
+        sharesStatus.textContent = 'Paste at least as many shares as the split requires.';
+        sharesStatus.className = 'mnemonic-status';
         return;
     }
     
-    if (archiveUploadBtn) {
-        archiveUploadBtn.disabled = true;
-        archiveUploadBtn.textContent = 'Uploading...';
-    }
-    
-    if (archiveStatus) {
-        archiveStatus.textContent = `Uploading to ${archiveType.toUpperCase()}...`;
-        archiveStatus.style.color = 'var(--text-secondary)';
-    }
-    
     try {
-        let contentAddress = null;
-        
-        if (archiveType === 'ipfs') {
-            // Upload to IPFS using public gateway
-            contentAddress = await uploadToIPFS(content);
-        } else if (archiveType === 'arweave') {
-            // Upload to Arweave (requires wallet or service)
-            contentAddress = await uploadToArweave(content);
-        }
-        
-        if (contentAddress) {
-            contentArchiveAddress = contentAddress;
-            updateArchiveResult(contentAddress, archiveType);
-            if (archiveStatus) {
-                archiveStatus.textContent = '✓ Upload successful';
-                archiveStatus.style.color = 'var(--accent-green)';
-            }
-        } else {
-            throw new Error('Upload failed - no content address returned');
-        }
+        const shares = await Promise.all(lines.map(line => parseShare(line)));
+        const threshold = shares[0].threshold;
+        const ready = shares.length >= threshold;
+        sharesStatus.textContent = `${shares.length} of ${threshold} shares entered` +
+            (ready ? ' — ready to rebuild' : '');
+        sharesStatus.className = ready ? 'mnemonic-status valid' : 'mnemonic-status';
     } catch (error) {
-        console.error('Archive upload error:', error);
-        if (archiveStatus) {
-            archiveStatus.textContent = `✗ Upload failed: ${error.message}`;
-            archiveStatus.style.color = 'var(--error-color, #ff4444)';
-        }
-        showError(`Failed to archive content: ${error.message}`);
-    } finally {
-        if (archiveUploadBtn) {
-            archiveUploadBtn.disabled = false;
-            archiveUploadBtn.textContent = 'Upload Content';
-        }
+        sharesStatus.textContent = error.message;
+        sharesStatus.className = 'mnemonic-status invalid';
     }
 }
 
 /**
- * Upload content to IPFS
+ * Get the active import mode ('key', 'mnemonic' or 'shares')
  */
-async function uploadToIPFS(content) {
-    try {
-        // Convert content to Blob
-        const blob = new Blob([content], { type: 'text/plain' });
-        
-        // Use public IPFS gateway for upload
-        // Note: In production, you'd use a proper IPFS node or service
-        const formData = new FormData();
-        formData.append('file', blob);
+function getImportMode() {
+    const active = document.querySelector('.import-mode-btn.active');
+    return active ? active.dataset.mode : 'key';
+}
+
+/**
+ * Copy secret text to the clipboard (falls back to an alert)
+ */
+function copyToClipboard(text, message) {
+    navigator.clipboard.writeText(text).then(() => {
+        showSuccess(message);
+    }).catch(() => {
+        // Fallback: show in alert
+        alert(text);
+    });
+}
+
+/**
+ * Switch the import panel between hex/encrypted key, recovery phrase and shares
+ */
+function setImportMode(mode) {
+    importModeBtns.forEach(btn => btn.classList.toggle('active', btn.dataset.mode === mode));
+    mnemonicImport.classList.toggle('hidden', mode !== 'mnemonic');
+    sharesImport.classList.toggle('hidden', mode !== 'shares');
+    importKeysTextarea.classList.toggle('hidden', mode !== 'key');
+    
+    if (mode === 'mnemonic') {
+        mnemonicGrid.querySelector('input').focus();
+    } else if (mode === 'shares') {
+        sharesTextarea.focus();
+    } else {
+        importKeysTextarea.focus();
+    }
+}
+
+/**
+ * Build the 24 recovery phrase inputs with autocompletion
+ */
+function setupMnemonicInput() {
+    for (let i = 0; i < MNEMONIC_WORD_COUNT; i++) {
+        const cell = document.createElement('label');
+        cell.className = 'mnemonic-word';
+        cell.textContent = `${i + 1}.`;
         
-        // Try multiple IPFS upload endpoints
-        const endpoints = [
-            'https://ipfs.infura.io:5001/api/v0/add',
-            'https://ipfs.io/api/v0/add',
-            'https://dweb.link/api/v0/add'
-        ];
+        const input = document.createElement('input');
+        input.type = 'text';
+        input.autocomplete = 'off';
+        input.spellcheck = false;
+        input.setAttribute('autocapitalize', 'off');
+        input.setAttribute('list', 'mnemonic-suggestions');
+        input.dataset.index = i;
+        cell.appendChild(input);
+        mnemonicGrid.appendChild(cell);
         
-        for (const endpoint of endpoints) {
+        input.addEventListener('input', () => {
+            input.value = input.value.toLowerCase().trim();
+            const completions = mnemonicCompletions(input.value);
+            mnemonicSuggestions.innerHTML = completions
+                .map(word => `<option value="${word}"></option>`)
+                .join('');
+            input.classList.toggle('invalid', input.value.length > 0 && completions.length === 0);
+            updateMnemonicStatus();
+        });
+        
+        // Space / Enter completes a unique prefix and moves on
+        input.addEventListener('keydown', (e) => {
+            if (e.key !== ' ' && e.key !== 'Enter') return;
+            e.preventDefault();
+            const completions = mnemonicCompletions(input.value);
+            if (completions.length === 1 || completions.includes(input.value)) {
+                input.value = completions.length === 1 ? completions[0] : input.value;
+                input.classList.remove('invalid');
+                const next = mnemonicGrid.querySelector(`input[data-index="${i + 1}"]`);
+                if (next) next.focus();
+                updateMnemonicStatus();
+            }
+        });
+        
+        // Pasting a whole phrase fills the following inputs
+        input.addEventListener('paste', (e) => {
+            const words = normalizeMnemonic(e.clipboardData.getData('text'));
+            if (words.length < 2) return;
+            e.preventDefault();
+            const inputs = mnemonicGrid.querySelectorAll('input');
+            words.forEach((word, offset) => {
+                const target = inputs[i + offset];
+                if (!target) return;
+                target.value = word;
+                target.classList.toggle('invalid', !BIP39_WORDLIST.includes(word));
+            });
+            updateMnemonicStatus();
+        });
+    }
+}
+
+/**
+ * Get the entered recovery phrase words
+ */
+function getMnemonicWords() {
+    return Array.from(mnemonicGrid.querySelectorAll('input'))
+        .map(input => input.value.trim().toLowerCase())
+        .filter(word => word.length > 0);
+}
+
+/**
+ * Show word count / checksum state of the entered phrase
+ */
+async function updateMnemonicStatus() {
+    const words = getMnemonicWords();
+    if (words.length < MNEMONIC_WORD_COUNT) {
+        mnemonicStatus.textContent = `${words.length} of ${MNEMONIC_WORD_COUNT} words entered`;
+        mnemonicStatus.className = 'mnemonic-status';
+        return;
+    }
+    
+    const result = await validateMnemonic(words);
+    mnemonicStatus.textContent = result.valid ? 'Checksum valid' : result.error;
+    mnemonicStatus.className = result.valid ? 'mnemonic-status valid' : 'mnemonic-status invalid';
+}
+
+/**
+ * Clear recovery phrase inputs
+ */
+function clearMnemonicInput() {
+    mnemonicGrid.querySelectorAll('input').forEach(input => {
+        input.value = '';
+        input.classList.remove('invalid');
+    });
+    updateMnemonicStatus();
+}
+
+/**
+ * Setup identity switcher (named keyring)
+ */
+function setupIdentitySwitcher() {
+    if (!identitySelect) return;
+    
+    renderIdentitySwitcher();
+    
+    identitySelect.addEventListener('change', async () => {
+        await switchToIdentity(identitySelect.value);
+    });
+    
+    newIdentityBtn.addEventListener('click', async () => {
+        const label = prompt('Name for the new identity (e.g. "Personal" or a pen name):');
+        if (label === null) return;
+        try {
+            const identity = keyManager.createIdentity(label);
+            updateKeyStatus(false);
+            renderIdentitySwitcher();
+            showSuccess(`Identity "${identity.label}" created. Generate or import a key for it.`);
+        } catch (error) {
+            showError('Failed to create identity: ' + error.message);
+        }
+    });
+    
+    renameIdentityBtn.addEventListener('click', () => {
+        const current = keyManager.getActiveIdentity();
+        const label = prompt('New name for this identity:', current.label);
+        if (label === null) return;
+        try {
+            keyManager.renameIdentity(current.id, label);
+            renderIdentitySwitcher();
+        } catch (error) {
+            showError('Failed to rename identity: ' + error.message);
+        }
+    });
+    
+    removeIdentityBtn.addEventListener('click', async () => {
+        const current = keyManager.getActiveIdentity();
+        const confirmed = confirm(
+            `Remove identity "${current.label}"?\n\n` +
+            'Its key will be deleted from this device. Unless you have a backup, you will no longer be able to sign as this identity.'
+        );
+        if (!confirmed) return;
+        try {
+            // Its signed revocations are deleted with it, so try to get them out first
+            await submitPendingRevocations();
+            await keyManager.removeIdentity(current.id);
+            await switchToIdentity(keyManager.identityId);
+        } catch (error) {
+            showError('Failed to remove identity: ' + error.message);
+        }
+    });
+}
+
+/**
+ * Switch identity and load its key
+ */
+async function switchToIdentity(id) {
+    try {
+        keyManager.switchIdentity(id);
+        updateKeyStatus(false);
+        renderIdentitySwitcher();
+        await loadExistingKeys();
+        await submitPendingRevocations();
+    } catch (error) {
+        showError('Failed to switch identity: ' + error.message);
+    }
+}
+
+/**
+ * Show keyring identities with labels and creation dates
+ */
+function renderIdentitySwitcher() {
+    if (!identitySelect) return;
+    
+    const identities = keyManager.listIdentities();
+    identitySelect.innerHTML = '';
+    identities.forEach(identity => {
+        const option = document.createElement('option');
+        option.value = identity.id;
+        option.textContent = identity.hasKeys ? identity.label : `${identity.label} (no key)`;
+        option.selected = identity.active;
+        identitySelect.appendChild(option);
+    });
+    
+    const active = identities.find(i => i.active);
+    if (active) {
+        const proofs = keyManager.getProofLog(active.id).length;
+        identityMeta.textContent = `Created ${formatTimestamp(active.createdAt)} · ` +
+            `${proofs} proof${proofs === 1 ? '' : 's'} signed on this device`;
+    }
+    removeIdentityBtn.disabled = identities.length === 1 && !(active && active.hasKeys);
+}
+
+/**
+ * Setup key storage backend selector
+ * Non-extractable WebCrypto keys are the default where the browser supports them
+ */
+async function setupKeyStorageSelector() {
+    if (!keyStorageSelect) return;
+    
+    const nativeSupported = await keyManager.supportsNativeEd25519();
+    const nativeOption = keyStorageSelect.querySelector('option[value="webcrypto"]');
+    
+    if (!nativeSupported) {
+        nativeOption.disabled = true;
+        nativeOption.textContent = 'Browser-protected (not supported in this browser)';
+        keyStorageSelect.value = 'noble';
+    } else {
+        keyStorageSelect.value = 'webcrypto';
+    }
+    
+    const updateHint = () => {
+        keyStorageHint.textContent = keyStorageSelect.value === 'webcrypto'
+            ? 'Browser-protected keys can sign but can never be read by page scripts, so they cannot be backed up.'
+            : 'The key is encrypted with your passphrase before it is stored in this browser. It can be exported for backup.';
+    };
+    keyStorageSelect.addEventListener('change', updateHint);
+    updateHint();
+    
+    // Passkey gate: WebAuthn user verification before each signature
+    if (passkeyRequiredCheckbox) {
+        passkeyRequiredCheckbox.addEventListener('change', async () => {
+            const enable = passkeyRequiredCheckbox.checked;
+            passkeyRequiredCheckbox.disabled = true;
             try {
-                const response = await fetch(endpoint, {
-                    method: 'POST',
-                    body: formData,
-                    mode: 'cors'
-                });
-                
-                if (response.ok) {
-                    const data = await response.json();
-                    if (data.Hash) {
-                        return `ipfs://${data.Hash}`;
-                    }
+                if (enable) {
+                    await keyManager.registerPasskey();
+                    showSuccess('Passkey added. Every signature now needs your fingerprint, face or device PIN.');
+                } else {
+                    await keyManager.removePasskey();
+                    showSuccess('Passkey no longer required for signing.');
                 }
-            } catch (e) {
-                console.warn(`IPFS upload failed for ${endpoint}:`, e);
-                continue;
+            } catch (error) {
+                showError(error.message);
+            } finally {
+                updatePasskeyOption();
+                updateUnlockProtection();
+            }
+        });
+    }
+    
+    // DID method: did:key by default, did:pohw in compatibility mode
+    if (didCompatCheckbox) {
+        didCompatCheckbox.checked = keyManager.didMethod === 'pohw';
+        didCompatCheckbox.addEventListener('change', () => {
+            const did = keyManager.setDIDMethod(didCompatCheckbox.checked ? 'pohw' : 'key');
+            if (did) {
+                updateKeyStatus(true, did);
+            } else {
+                const info = keyManager.getStoredKeyInfo();
+                if (info && info.did) {
+                    didValue.textContent = info.did;
+                }
+            }
+        });
+    }
+}
+
+/**
+ * Update key status display
+ */
+function updateKeyStatus(hasKeys, did = null) {
+    unlockKeysBtn.style.display = 'none';
+    if (hasKeys && did) {
+        keyStatusText.textContent = 'Keys loaded';
+        keyStatusText.className = 'key-status-text success';
+        didDisplay.style.display = 'flex';
+        didValue.textContent = did;
+        exportKeysBtn.style.display = 'inline-block';
+        rotateKeysBtn.style.display = 'inline-block';
+        revokeKeysBtn.style.display = 'inline-block';
+        didDocumentBtn.style.display = 'inline-block';
+        if (!didDocumentPanel.classList.contains('hidden')) {
+            renderDIDDocumentPreview();
+        }
+        createButton.disabled = false;
+        resetAutoLockTimer(true);
+    } else {
+        keyStatusText.textContent = 'No keys loaded';
+        keyStatusText.className = 'key-status-text';
+        didDisplay.style.display = 'none';
+        exportKeysBtn.style.display = 'none';
+        rotateKeysBtn.style.display = 'none';
+        revokeKeysBtn.style.display = 'none';
+        didDocumentBtn.style.display = 'none';
+        revokePanel.classList.add('hidden');
+        exportPanel.classList.add('hidden');
+        didDocumentPanel.classList.add('hidden');
+        createButton.disabled = true;
+    }
+    renderIdentitySwitcher();
+    updatePasskeyOption();
+    updateUnlockProtection();
+    renderKeyLineage();
+}
+
+/**
+ * Sync the passkey checkbox with the active identity
+ */
+function updatePasskeyOption() {
+    if (!passkeyRequiredCheckbox) return;
+    passkeyRequiredCheckbox.checked = keyManager.isPasskeyRequired();
+    // Adding a passkey needs the unlocked key (it signs the passkey binding)
+    passkeyRequiredCheckbox.disabled = !keyManager.supportsPasskeys() || !keyManager.keyPair;
+}
+
+/**
+ * Rotate the signing key
+ * The old key signs a continuity statement handing over to the new key,
+ * which is then submitted to the selected registry.
+ */
+async function rotateSigningKey() {
+    const confirmed = confirm(
+        'Rotate your signing key?\n\n' +
+        'A new key will replace the current one on this device. Your current key signs a statement ' +
+        'handing your identity over to the new key, so verifiers can link your past and future proofs.'
+    );
+    if (!confirmed) {
+        return;
+    }
+    
+    try {
+        rotateKeysBtn.disabled = true;
+        
+        // Passphrase-encrypted keys reuse the unlocked passphrase; switching from a
+        // browser-protected key to an encrypted one needs a new passphrase
+        const backend = keyStorageSelect.value;
+        let passphrase = null;
+        if (backend === 'noble' && !keyManager.encryptionKey) {
+            passphrase = await requestPassphrase({
+                prompt: 'Choose a passphrase to encrypt your new key on this device.',
+                confirm: true,
+                submitLabel: 'Encrypt & Rotate'
+            });
+            if (!passphrase) {
+                return;
             }
         }
         
-        // Fallback: Use web3.storage or other service
-        // For now, return a placeholder that user can replace manually
-        throw new Error('IPFS upload unavailable. Please use "Enter content address manually" option.');
+        const { rotation, did } = await keyManager.rotateKeys(passphrase, { backend: backend });
+        updateKeyStatus(true, did);
+        
+        try {
+            registryClient.setRegistryUrl(registrySelect.value);
+            await registryClient.submitKeyRotation(rotation);
+            keyManager.markRotationSubmitted(rotation.statement.newPublicKey, registrySelect.value);
+            showSuccess('Key rotated and continuity statement submitted');
+        } catch (submitError) {
+            showError('Key rotated, but the continuity statement could not be submitted to the registry (' +
+                submitError.message + '). It will be retried when you create your next proof.');
+        }
+        renderKeyLineage();
     } catch (error) {
-        throw error;
+        console.error('Key rotation error:', error);
+        showError('Failed to rotate key: ' + error.message);
+    } finally {
+        rotateKeysBtn.disabled = false;
     }
 }
 
 /**
- * Upload content to Arweave
+ * Submit rotation statements that have not reached a registry yet
  */
-async function uploadToArweave(content) {
-    // Arweave upload requires wallet or service integration
-    // For now, guide user to use manual input
-    throw new Error('Arweave upload requires wallet integration. Please use "Enter content address manually" option and upload via Arweave web app.');
+async function submitPendingRotations() {
+    const pending = keyManager.getKeyLineage().filter(r => !r.submitted);
+    for (const rotation of pending) {
+        try {
+            await registryClient.submitKeyRotation(rotation);
+            keyManager.markRotationSubmitted(rotation.statement.newPublicKey, registryClient.registryUrl);
+        } catch (error) {
+            console.warn('[App] Pending key rotation still not submitted:', error);
+        }
+    }
+    if (pending.length > 0) {
+        renderKeyLineage();
+    }
 }
 
 /**
- * Update archive result display
+ * Declare the current key compromised
+ * The key signs a revocation, which is submitted to the selected registry,
+ * and is then deleted from this device.
  */
-function updateArchiveResult(address, type) {
-    if (!archiveResult || !archiveAddressDisplay || !archiveLink) return;
+async function revokeSigningKey() {
+    const effectiveFrom = new Date(revokeEffectiveFrom.value);
+    if (!revokeEffectiveFrom.value || isNaN(effectiveFrom.getTime())) {
+        revokeError.textContent = 'Choose when the key was compromised';
+        revokeError.classList.remove('hidden');
+        return;
+    }
     
-    // Normalize address format
-    let normalizedAddress = address;
-    let displayAddress = address;
-    let linkUrl = '';
+    const confirmed = confirm(
+        'Revoke this key?\n\n' +
+        `Proofs signed with ${keyManager.getDID()} that were not anchored before ${effectiveFrom.toLocaleString()} will be shown as untrusted, ` +
+        'and the key will be permanently deleted from this device.'
+    );
+    if (!confirmed) {
+        return;
+    }
     
-    if (type === 'ipfs' || address.startsWith('ipfs://') || address.startsWith('Qm') || address.startsWith('baf')) {
-        // IPFS
-        normalizedAddress = address.replace(/^ipfs:\/\//, '');
-        displayAddress = normalizedAddress;
-        linkUrl = `https://ipfs.io/ipfs/${normalizedAddress}`;
-        if (!normalizedAddress.startsWith('ipfs://')) {
-            normalizedAddress = `ipfs://${normalizedAddress}`;
+    try {
+        confirmRevokeBtn.disabled = true;
+        revokeError.classList.add('hidden');
+        
+        const revocation = await keyManager.createRevocation(revokeReason.value, effectiveFrom);
+        
+        // The signed revocation is kept locally, so the key can be deleted even if
+        // the registry is unreachable right now
+        await keyManager.destroyKeys();
+        updateKeyStatus(false);
+        
+        try {
+            registryClient.setRegistryUrl(registrySelect.value);
+            await registryClient.submitRevocation(revocation);
+            keyManager.markRevocationSubmitted(revocation.statement.publicKey, registrySelect.value);
+            showSuccess('Key revoked and removed from this device. Generate or import a new key to continue.');
+        } catch (submitError) {
+            showError('Key removed from this device, but the revocation could not be submitted to the registry (' +
+                submitError.message + '). It will be retried the next time this page loads.');
         }
-    } else if (type === 'arweave' || address.startsWith('ar://')) {
-        // Arweave
-        normalizedAddress = address.replace(/^ar:\/\//, '');
-        displayAddress = normalizedAddress;
-        linkUrl = `https://arweave.net/${normalizedAddress}`;
-        if (!normalizedAddress.startsWith('ar://')) {
-            normalizedAddress = `ar://${normalizedAddress}`;
+    } catch (error) {
+        console.error('Key revocation error:', error);
+        revokeError.textContent = error.message;
+        revokeError.classList.remove('hidden');
+    } finally {
+        confirmRevokeBtn.disabled = false;
+    }
+}
+
+/**
+ * Submit revocations that have not reached a registry yet
+ */
+async function submitPendingRevocations() {
+    const pending = keyManager.getRevocations().filter(r => !r.submitted);
+    if (pending.length === 0 || !registrySelect.value) return;
+    
+    registryClient.setRegistryUrl(registrySelect.value);
+    for (const revocation of pending) {
+        try {
+            await registryClient.submitRevocation(revocation);
+            keyManager.markRevocationSubmitted(revocation.statement.publicKey, registrySelect.value);
+            console.log('[App] Submitted pending revocation for', revocation.statement.did);
+        } catch (error) {
+            console.warn('[App] Pending key revocation still not submitted:', error);
         }
-    } else {
-        // Assume IPFS if no prefix
-        normalizedAddress = `ipfs://${address}`;
-        displayAddress = address;
-        linkUrl = `https://ipfs.io/ipfs/${address}`;
+    }
+}
+
+/**
+ * Show key lineage (original key -> ... -> current key)
+ */
+async function renderKeyLineage() {
+    if (!lineageDisplay || !lineageList) return;
+    
+    const rotations = keyManager.getKeyLineage();
+    if (rotations.length === 0 || !keyManager.keyPair) {
+        lineageDisplay.style.display = 'none';
+        return;
     }
     
-    archiveAddressDisplay.textContent = displayAddress.length > 50 
-        ? displayAddress.substring(0, 50) + '...' 
-        : displayAddress;
-    archiveLink.href = linkUrl;
-    archiveLink.textContent = type === 'ipfs' ? 'View on IPFS' : 'View on Arweave';
-    archiveResult.style.display = 'block';
+    const lineage = await verifyKeyLineage(rotations, keyManager.getDID());
+    if (lineage.signerIndex < 0 && lineage.errors.length === 0) {
+        // Stored lineage belongs to a different (e.g. replaced) identity
+        lineageDisplay.style.display = 'none';
+        return;
+    }
+    lineageDisplay.style.display = 'flex';
+    lineageList.innerHTML = '';
+    
+    lineage.keys.forEach((key, index) => {
+        const entry = document.createElement('div');
+        const isCurrent = index === lineage.keys.length - 1;
+        entry.className = isCurrent ? 'lineage-entry current' : 'lineage-entry';
+        
+        const rotation = rotations.find(r => r.statement.newPublicKey === key.publicKey);
+        const meta = [];
+        meta.push(index === 0 ? 'original' : `since ${formatTimestamp(key.since)}`);
+        if (isCurrent) meta.push('current');
+        if (rotation && !rotation.submitted) meta.push('not yet submitted');
+        
+        entry.textContent = `${index + 1}. ${key.did}`;
+        const metaEl = document.createElement('span');
+        metaEl.className = 'lineage-meta';
+        metaEl.textContent = `(${meta.join(', ')})`;
+        entry.appendChild(metaEl);
+        lineageList.appendChild(entry);
+    });
     
-    contentArchiveAddress = normalizedAddress;
+    if (!lineage.valid) {
+        const warning = document.createElement('div');
+        warning.className = 'lineage-entry';
+        warning.style.color = 'var(--error-color)';
+        warning.textContent = 'Lineage does not verify: ' + lineage.errors.join('; ');
+        lineageList.appendChild(warning);
+    }
+}
+
+/**
+ * Show stored-but-locked key status (encrypted at rest, not yet unlocked)
+ */
+function showLockedKeyStatus(did = null) {
+    keyStatusText.textContent = 'Keys locked';
+    keyStatusText.className = 'key-status-text locked';
+    didDisplay.style.display = did ? 'flex' : 'none';
+    didValue.textContent = did || '—';
+    exportKeysBtn.style.display = 'none';
+    rotateKeysBtn.style.display = 'none';
+    revokeKeysBtn.style.display = 'none';
+    didDocumentBtn.style.display = 'none';
+    unlockKeysBtn.style.display = 'inline-block';
+    revokePanel.classList.add('hidden');
+    exportPanel.classList.add('hidden');
+    didDocumentPanel.classList.add('hidden');
+    updatePasskeyOption();
+    updateUnlockProtection();
+    // Creating a proof prompts for unlock first (see createProof)
+    createButton.disabled = false;
+}
+
+/**
+ * Setup auto-lock: idle timeout and lock-on-tab-hide
+ * Settings are per browser, not per identity.
+ */
+function setupAutoLock() {
+    const settings = loadAutoLockSettings();
+    autoLockSelect.value = String(settings.idleMinutes);
+    lockOnHideCheckbox.checked = settings.lockOnHide;
+    
+    const save = () => {
+        localStorage.setItem(AUTO_LOCK_STORAGE_KEY, JSON.stringify({
+            idleMinutes: parseInt(autoLockSelect.value, 10) || 0,
+            lockOnHide: lockOnHideCheckbox.checked
+        }));
+        resetAutoLockTimer(true);
+    };
+    autoLockSelect.addEventListener('change', save);
+    lockOnHideCheckbox.addEventListener('change', save);
+    
+    AUTO_LOCK_ACTIVITY_EVENTS.forEach(type => {
+        document.addEventListener(type, () => resetAutoLockTimer(), { passive: true });
+    });
+    
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden' && lockOnHideCheckbox.checked) {
+            lockKeys('tab hidden');
+        }
+    });
+    
+    // Browser-protected keys have no passphrase: a PIN (or a passkey) is what locking protects
+    unlockPinBtn.addEventListener('click', async () => {
+        try {
+            if (keyManager.hasUnlockPin()) {
+                const pin = await requestPassphrase({
+                    prompt: 'Enter your unlock PIN to stop requiring it.',
+                    submitLabel: 'Remove PIN',
+                    label: 'PIN',
+                    minLength: keyManager.minPinLength
+                });
+                if (!pin) return;
+                await keyManager.removeUnlockPin(pin);
+                showSuccess('Unlock PIN removed.');
+            } else {
+                const pin = await requestPassphrase({
+                    prompt: 'Choose a PIN. Unlocking your browser-protected key (after auto-lock or on reload) will ask for it.',
+                    confirm: true,
+                    submitLabel: 'Set PIN',
+                    label: 'PIN',
+                    minLength: keyManager.minPinLength
+                });
+                if (!pin) return;
+                await keyManager.setUnlockPin(pin);
+                showSuccess('Unlock PIN set.');
+            }
+        } catch (error) {
+            showError(error.message);
+        } finally {
+            updateUnlockProtection();
+        }
+    });
+}
+
+/**
+ * Show the unlock PIN option, and warn when auto-lock cannot protect the key
+ */
+function updateUnlockProtection() {
+    const info = keyManager.getStoredKeyInfo();
+    // The PIN is set and removed while the key is unlocked
+    const browserProtected = !!info && info.backend === 'webcrypto' && !!keyManager.getDID();
+    unlockPinBtn.style.display = browserProtected && !keyManager.isPasskeyRequired() ? 'inline-block' : 'none';
+    unlockPinBtn.textContent = keyManager.hasUnlockPin() ? 'Remove Unlock PIN' : 'Set Unlock PIN';
+    autoLockWarning.classList.toggle('hidden', keyManager.isUnlockProtected());
+}
+
+/**
+ * Load auto-lock settings (default: lock after 15 idle minutes)
+ */
+function loadAutoLockSettings() {
+    const defaults = { idleMinutes: 15, lockOnHide: false };
+    try {
+        const stored = JSON.parse(localStorage.getItem(AUTO_LOCK_STORAGE_KEY));
+        return stored ? { ...defaults, ...stored } : defaults;
+    } catch (error) {
+        return defaults;
+    }
+}
+
+/**
+ * Restart the idle timer on user activity
+ * Pointer moves fire constantly, so restarts are throttled to once a second.
+ */
+function resetAutoLockTimer(force = false) {
+    const now = Date.now();
+    if (!force && now - lastActivityAt < 1000) return;
+    lastActivityAt = now;
+    
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    
+    const minutes = parseInt(autoLockSelect.value, 10) || 0;
+    if (!minutes || !keyManager || !keyManager.getDID()) return;
+    autoLockTimer = setTimeout(() => lockKeys('idle timeout'), minutes * 60 * 1000);
+}
+
+/**
+ * Drop the unlocked key from memory and show the locked status
+ * The key stays in storage; unlocking needs the passphrase again
+ * (browser-protected keys: the passkey or unlock PIN, if either is set).
+ */
+function lockKeys(reason) {
+    clearTimeout(autoLockTimer);
+    autoLockTimer = null;
+    if (!keyManager.getDID()) return;
+    
+    const info = keyManager.getStoredKeyInfo();
+    if (!info) return; // nothing to unlock from; keep the in-memory key
+    
+    keyManager.clearKeys();
+    showLockedKeyStatus(info.did);
+    console.log(`[App] Keys locked (${reason})`);
+}
+
+/**
+ * Ask the user for a passphrase using the inline passphrase panel
+ * Resolves to the passphrase, or null if cancelled
+ * Opening a new request cancels one that is still waiting (e.g. auto-lock during an export prompt).
+ */
+function requestPassphrase({ prompt, confirm = false, submitLabel = 'Unlock', error = null, label = 'Passphrase', minLength = keyManager.minPassphraseLength }) {
+    if (cancelPendingPassphrase) {
+        cancelPendingPassphrase();
+    }
+    
+    return new Promise(resolve => {
+        passphrasePrompt.textContent = prompt;
+        passphraseInput.value = '';
+        passphraseConfirm.value = '';
+        passphraseInput.placeholder = label;
+        passphraseConfirm.placeholder = 'Confirm ' + label.toLowerCase();
+        passphraseConfirm.style.display = confirm ? 'block' : 'none';
+        passphraseInput.autocomplete = confirm ? 'new-password' : 'current-password';
+        passphraseSubmitBtn.textContent = submitLabel;
+        
+        const setError = (message) => {
+            passphraseError.textContent = message || '';
+            passphraseError.classList.toggle('hidden', !message);
+        };
+        setError(error);
+        
+        passphrasePanel.classList.remove('hidden');
+        passphraseInput.focus();
+        
+        const finish = (value) => {
+            cancelPendingPassphrase = null;
+            passphraseSubmitBtn.removeEventListener('click', onSubmit);
+            passphraseCancelBtn.removeEventListener('click', onCancel);
+            passphraseInput.removeEventListener('keydown', onKeydown);
+            passphraseConfirm.removeEventListener('keydown', onKeydown);
+            passphraseInput.value = '';
+            passphraseConfirm.value = '';
+            setError(null);
+            passphrasePanel.classList.add('hidden');
+            resolve(value);
+        };
+        
+        const onSubmit = () => {
+            const value = passphraseInput.value;
+            if (value.length < minLength) {
+                setError(`${label} must be at least ${minLength} characters`);
+                return;
+            }
+            if (confirm && value !== passphraseConfirm.value) {
+                setError(`${label}s do not match`);
+                return;
+            }
+            finish(value);
+        };
+        const onCancel = () => finish(null);
+        const onKeydown = (e) => {
+            if (e.key === 'Enter') {
+                onSubmit();
+            } else if (e.key === 'Escape') {
+                onCancel();
+            }
+        };
+        
+        passphraseSubmitBtn.addEventListener('click', onSubmit);
+        passphraseCancelBtn.addEventListener('click', onCancel);
+        passphraseInput.addEventListener('keydown', onKeydown);
+        passphraseConfirm.addEventListener('keydown', onKeydown);
+        cancelPendingPassphrase = onCancel;
+    });
+}
+
+/**
+ * Unlock keys from storage (prompts for passphrase)
+ * Legacy plaintext entries are encrypted with the chosen passphrase.
+ */
+async function unlockStoredKeys() {
+    const info = keyManager.getStoredKeyInfo();
+    if (!info) {
+        updateKeyStatus(false);
+        return false;
+    }
+    
+    if (info.backend === 'webcrypto') {
+        // Non-extractable key lives in IndexedDB; loadKeys asks for the passkey, or checks the PIN
+        const needsPin = !keyManager.isPasskeyRequired() && keyManager.hasUnlockPin();
+        let pinError = null;
+        while (true) {
+            let pin = null;
+            if (needsPin) {
+                pin = await requestPassphrase({
+                    prompt: 'Enter your unlock PIN to unlock your signing key.',
+                    error: pinError,
+                    label: 'PIN',
+                    minLength: keyManager.minPinLength
+                });
+                if (!pin) {
+                    showLockedKeyStatus(info.did);
+                    return false;
+                }
+            }
+            
+            try {
+                const keys = await keyManager.loadKeys(pin);
+                updateKeyStatus(true, keys.did);
+                keyStorageSelect.value = 'webcrypto';
+                return true;
+            } catch (loadError) {
+                console.warn('Could not load browser-protected keys:', loadError);
+                if (needsPin) {
+                    pinError = loadError.message;
+                    continue;
+                }
+                showError('Could not unlock your browser-protected key: ' + loadError.message);
+                showLockedKeyStatus(info.did);
+                return false;
+            }
+        }
+    }
+    
+    let error = null;
+    while (true) {
+        const passphrase = await requestPassphrase(info.encrypted
+            ? {
+                prompt: 'Enter your passphrase to unlock your signing key.',
+                error: error
+            }
+            : {
+                prompt: 'Your signing key is stored unencrypted in this browser. Choose a passphrase to encrypt it.',
+                confirm: true,
+                submitLabel: 'Encrypt & Unlock',
+                error: error
+            });
+        
+        if (!passphrase) {
+            showLockedKeyStatus(info.did);
+            return false;
+        }
+        
+        try {
+            const keys = await keyManager.loadKeys(passphrase);
+            updateKeyStatus(true, keys.did);
+            keyStorageSelect.value = keyManager.backend;
+            if (keys.migrated) {
+                showSuccess('Key encrypted with your passphrase');
+            }
+            return true;
+        } catch (unlockError) {
+            console.warn('Could not unlock keys:', unlockError);
+            error = unlockError.message;
+        }
+    }
+}
+
+/**
+ * Load existing keys
+ */
+async function loadExistingKeys() {
+    try {
+        const info = keyManager.getStoredKeyInfo();
+        if (info) {
+            showLockedKeyStatus(info.did);
+            // Browsers only show a passkey prompt after a click (Unlock Keys, or Create Proof)
+            if (info.backend === 'webcrypto' && keyManager.isPasskeyRequired()) {
+                return;
+            }
+            await unlockStoredKeys();
+        }
+    } catch (error) {
+        console.warn('Could not load existing keys:', error);
+    }
+}
+
+/**
+ * Setup content archiving
+ */
+function setupContentArchiving() {
+    if (!contentArchiveOption) return;
+    
+    contentArchiveOption.addEventListener('change', () => {
+        const option = contentArchiveOption.value;
+        
+        if (option === 'none') {
+            contentArchiveSection.style.display = 'none';
+            contentArchiveAddress = null;
+        } else {
+            contentArchiveSection.style.display = 'block';
+            
+            if (option === 'ipfs' || option === 'arweave') {
+                archiveUploadArea.style.display = 'block';
+                archiveManualInput.style.display = 'none';
+                archiveResult.style.display = 'none';
+            } else if (option === 'manual') {
+                archiveUploadArea.style.display = 'none';
+                archiveManualInput.style.display = 'block';
+                archiveResult.style.display = 'none';
+            }
+        }
+    });
+    
+    // Handle manual address input
+    if (archiveAddressInput) {
+        archiveAddressInput.addEventListener('input', () => {
+            const address = archiveAddressInput.value.trim();
+            if (address) {
+                updateArchiveResult(address, contentArchiveOption.value);
+            } else {
+                archiveResult.style.display = 'none';
+                contentArchiveAddress = null;
+            }
+        });
+    }
+    
+    // Handle upload button
+    if (archiveUploadBtn) {
+        archiveUploadBtn.addEventListener('click', async () => {
+            await uploadContentToArchive();
+        });
+    }
+}
+
+/**
+ * Upload content to IPFS or Arweave
+ */
+async function uploadContentToArchive() {
+    if (!contentTextarea || !contentArchiveOption) return;
+    
+    // A drawing is archived as the PNG that is signed
+    const content = contentMode === 'drawing' ? (drawingPad.isEmpty() ? null : await drawingPad.toBlob()) : contentTextarea.value.trim();
+    if (!content) {
+        showError('Please enter content before archiving');
+        return;
+    }
+    
+    const archiveType = contentArchiveOption.value;
+    if (archiveType !== 'ipfs' && archiveType !== 'arweave') {
+        return;
+    }
+    
+    if (archiveUploadBtn) {
+        archiveUploadBtn.disabled = true;
+        archiveUploadBtn.textContent = 'Uploading...';
+    }
+    
+    if (archiveStatus) {
+        archiveStatus.textContent = `Uploading to ${archiveType.toUpperCase()}...`;
+        archiveStatus.style.color = 'var(--text-secondary)';
+    }
+    
+    try {
+        let contentAddress = null;
+        
+        if (archiveType === 'ipfs') {
+            // Upload to IPFS using public gateway
+            contentAddress = await uploadToIPFS(content);
+        } else if (archiveType === 'arweave') {
+            // Upload to Arweave (requires wallet or service)
+            contentAddress = await uploadToArweave(content);
+        }
+        
+        if (contentAddress) {
+            contentArchiveAddress = contentAddress;
+            updateArchiveResult(contentAddress, archiveType);
+            if (archiveStatus) {
+                archiveStatus.textContent = '✓ Upload successful';
+                archiveStatus.style.color = 'var(--accent-green)';
+            }
+        } else {
+            throw new Error('Upload failed - no content address returned');
+        }
+    } catch (error) {
+        console.error('Archive upload error:', error);
+        if (archiveStatus) {
+            archiveStatus.textContent = `✗ Upload failed: ${error.message}`;
+            archiveStatus.style.color = 'var(--error-color, #ff4444)';
+        }
+        showError(`Failed to archive content: ${error.message}`);
+    } finally {
+        if (archiveUploadBtn) {
+            archiveUploadBtn.disabled = false;
+            archiveUploadBtn.textContent = 'Upload Content';
+        }
+    }
+}
+
+/**
+ * Upload content to IPFS
+ */
+async function uploadToIPFS(content) {
+    try {
+        // Convert content to Blob (drawings already are one)
+        const blob = content instanceof Blob ? content : new Blob([content], { type: 'text/plain' });
+        
+        // Use public IPFS gateway for upload
+        // Note: In production, you'd use a proper IPFS node or service
+        const formData = new FormData();
+        formData.append('file', blob);
+        
+        // Try multiple IPFS upload endpoints
+        const endpoints = [
+            'https://ipfs.infura.io:5001/api/v0/add',
+            'https://ipfs.io/api/v0/add',
+            'https://dweb.link/api/v0/add'
+        ];
+        
+        for (const endpoint of endpoints) {
+            try {
+                const response = await fetch(endpoint, {
+                    method: 'POST',
+                    body: formData,
+                    mode: 'cors'
+                });
+                
+                if (response.ok) {
+                    const data = await response.json();
+                    if (data.Hash) {
+                        return `ipfs://${data.Hash}`;
+                    }
+                }
+            } catch (e) {
+                console.warn(`IPFS upload failed for ${endpoint}:`, e);
+                continue;
+            }
+        }
+        
+        // Fallback: Use web3.storage or other service
+        // For now, return a placeholder that user can replace manually
+        throw new Error('IPFS upload unavailable. Please use "Enter content address manually" option.');
+    } catch (error) {
+        throw error;
+    }
+}
+
+/**
+ * Upload content to Arweave
+ */
+async function uploadToArweave(content) {
+    // Arweave upload requires wallet or service integration
+    // For now, guide user to use manual input
+    throw new Error('Arweave upload requires wallet integration. Please use "Enter content address manually" option and upload via Arweave web app.');
+}
+
+/**
+ * Update archive result display
+ */
+function updateArchiveResult(address, type) {
+    if (!archiveResult || !archiveAddressDisplay || !archiveLink) return;
+    
+    // Normalize address format
+    let normalizedAddress = address;
+    let displayAddress = address;
+    let linkUrl = '';
+    
+    if (type === 'ipfs' || address.startsWith('ipfs://') || address.startsWith('Qm') || address.startsWith('baf')) {
+        // IPFS
+        normalizedAddress = address.replace(/^ipfs:\/\//, '');
+        displayAddress = normalizedAddress;
+        linkUrl = `https://ipfs.io/ipfs/${normalizedAddress}`;
+        if (!normalizedAddress.startsWith('ipfs://')) {
+            normalizedAddress = `ipfs://${normalizedAddress}`;
+        }
+    } else if (type === 'arweave' || address.startsWith('ar://')) {
+        // Arweave
+        normalizedAddress = address.replace(/^ar:\/\//, '');
+        displayAddress = normalizedAddress;
+        linkUrl = `https://arweave.net/${normalizedAddress}`;
+        if (!normalizedAddress.startsWith('ar://')) {
+            normalizedAddress = `ar://${normalizedAddress}`;
+        }
+    } else {
+        // Assume IPFS if no prefix
+        normalizedAddress = `ipfs://${address}`;
+        displayAddress = address;
+        linkUrl = `https://ipfs.io/ipfs/${address}`;
+    }
+    
+    archiveAddressDisplay.textContent = displayAddress.length > 50 
+        ? displayAddress.substring(0, 50) + '...' 
+        : displayAddress;
+    archiveLink.href = linkUrl;
+    archiveLink.textContent = type === 'ipfs' ? 'View on IPFS' : 'View on Arweave';
+    archiveResult.style.display = 'block';
+    
+    contentArchiveAddress = normalizedAddress;
+}
+
+/**
+ * Setup registry selector
+ */
+async function setupRegistrySelector() {
+    if (!registrySelect) {
+        console.error('[App] Registry select element not found');
+        return;
+    }
+    
+    // Show loading state
+    registrySelect.innerHTML = '<option value="">Loading nodes...</option>';
+    
+    try {
+        // Ensure registryDiscovery is initialized
+        if (!registryDiscovery) {
+            if (typeof RegistryDiscovery === 'undefined') {
+                throw new Error('RegistryDiscovery class not loaded');
+            }
+            registryDiscovery = new RegistryDiscovery();
+        }
+        
+        const nodes = await registryDiscovery.discoverNodes();
+        console.log('[App] Discovered', nodes.length, 'registry nodes');
+        
+        if (!nodes || nodes.length === 0) {
+            throw new Error('No registry nodes found');
+        }
+        
+        registrySelect.innerHTML = '';
+        nodes.forEach(node => {
+            const option = document.createElement('option');
+            option.value = node.url;
+            option.textContent = node.name;
+            registrySelect.appendChild(option);
+        });
+        
+        const defaultUrl = registryDiscovery.getDefaultRegistry();
+        registrySelect.value = defaultUrl;
+        
+        // Ensure registryClient is initialized
+        if (!registryClient) {
+            if (typeof RegistryClient === 'undefined') {
+                throw new Error('RegistryClient class not loaded');
+            }
+            registryClient = new RegistryClient(defaultUrl);
+        } else {
+            registryClient.setRegistryUrl(defaultUrl);
+        }
+        
+        // Check node status (non-blocking)
+        try {
+            const status = await registryClient.checkNodeStatus();
+            updateNodeStatus(status);
+        } catch (statusError) {
+            console.warn('[App] Node status check failed:', statusError);
+            // Continue anyway - status check is optional
+        }
+        
+    } catch (error) {
+        console.error('[App] Registry discovery failed:', error);
+        // Fallback to hardcoded nodes
+        registrySelect.innerHTML = `
+            <option value="https://pohw-registry-node-production.up.railway.app">Production (Railway)</option>
+            <option value="https://gdn.sh">gdn.sh (Primary)</option>
+        `;
+        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
+            const localOption = document.createElement('option');
+            localOption.value = 'http://localhost:3000';
+            localOption.textContent = 'Local Development';
+            registrySelect.insertBefore(localOption, registrySelect.firstChild);
+        }
+        registrySelect.value = registrySelect.options[0].value;
+        
+        if (!registryClient) {
+            if (typeof RegistryClient !== 'undefined') {
+                registryClient = new RegistryClient(registrySelect.value);
+            }
+        } else {
+            registryClient.setRegistryUrl(registrySelect.value);
+        }
+    }
+    
+    // Setup change handler (only once)
+    registrySelect.removeEventListener('change', handleRegistryChange);
+    registrySelect.addEventListener('change', handleRegistryChange);
+}
+
+async function handleRegistryChange(e) {
+    const selectedUrl = e.target.value;
+    if (registryClient) {
+        registryClient.setRegistryUrl(selectedUrl);
+        try {
+            const status = await registryClient.checkNodeStatus();
+            updateNodeStatus(status);
+        } catch (statusError) {
+            console.warn('[App] Node status check failed:', statusError);
+        }
+    }
+}
+
+/**
+ * Update node status display
+ */
+function updateNodeStatus(status) {
+    const statusEl = document.getElementById('node-status');
+    if (!statusEl) return;
+    
+    if (status.online) {
+        statusEl.innerHTML = `
+            <span class="status-indicator online"></span>
+            <span class="status-text">Online</span>
+            ${status.responseTime ? `<span class="status-response">${status.responseTime.toFixed(0)}ms</span>` : ''}
+        `;
+        statusEl.className = 'node-status online';
+    } else {
+        statusEl.innerHTML = `
+            <span class="status-indicator offline"></span>
+            <span class="status-text">Offline</span>
+        `;
+        statusEl.className = 'node-status offline';
+    }
+}
+
+/**
+ * Setup process tracking
+ */
+function setupProcessTracking() {
+    // Only set up if elements exist
+    if (!contentTextarea) {
+        console.warn('[ProcessTracker] Content elements not found, skipping setup');
+        return;
+    }
+    
+    // Start tracking immediately when page loads (for any interaction)
+    try {
+        processTracker.startSession();
+        // Text restored by the browser was not typed in this session
+        accountForProgrammaticChange();
+    } catch (error) {
+        console.warn('[ProcessTracker] Failed to start session:', error);
+    }
+    
+    // Start tracking when user interacts with content input
+    contentTextarea.addEventListener('focus', () => {
+        try {
+            if (!processTracker.isTracking) {
+                processTracker.startSession();
+            }
+            updateProcessStatus();
+        } catch (error) {
+            console.warn('[ProcessTracker] Focus handler error:', error);
+        }
+    });
+    
+    // Any change made since the last input event came from a script, not the user
+    contentTextarea.addEventListener('beforeinput', () => {
+        accountForProgrammaticChange();
+    });
+    
+    contentTextarea.addEventListener('paste', () => {
+        pendingInsertionSource = 'paste';
+    });
+    
+    contentTextarea.addEventListener('drop', () => {
+        pendingInsertionSource = 'drop';
+    });
+    
+    // IME composition (Japanese, Chinese, Korean...): one commit is one input unit
+    contentTextarea.addEventListener('compositionstart', () => {
+        try {
+            processTracker.recordCompositionStart();
+        } catch (error) {
+            console.warn('[ProcessTracker] Composition handler error:', error);
+        }
+    });
+    
+    contentTextarea.addEventListener('compositionupdate', () => {
+        try {
+            processTracker.recordCompositionUpdate();
+        } catch (error) {
+            console.warn('[ProcessTracker] Composition handler error:', error);
+        }
+    });
+    
+    contentTextarea.addEventListener('compositionend', (event) => {
+        try {
+            processTracker.recordCompositionEnd(event);
+            // Committed text was typed through the IME
+            const value = contentTextarea.value;
+            const change = processTracker.diffInsertion(trackedContentValue, value);
+            trackedContentValue = value;
+            processTracker.recordInsertion('typed', change.inserted, change.position);
+            sessionDirty = true;
+        } catch (error) {
+            console.warn('[ProcessTracker] Composition handler error:', error);
+        }
+    });
+    
+    // Track typing in textarea
+    contentTextarea.addEventListener('input', (event) => {
+        try {
+            if (!processTracker.isTracking) {
+                processTracker.startSession();
+            }
+            // Text being composed is accounted for when the composition ends
+            if (event.isComposing || processTracker.isComposing()) {
+                processTracker.recordInput('composing');
+                return;
+            }
+            const source = recordContentChange(event);
+            // Some browsers send the commit's input after compositionend; it was already counted
+            if (event.inputType !== 'insertCompositionText') {
+                processTracker.recordInput(source === 'typed' ? 'typing' : source);
+            }
+            sessionDirty = true;
+            updateProcessStatus();
+        } catch (error) {
+            console.warn('[ProcessTracker] Input handler error:', error);
+        }
+    });
+    
+    // Track any keypress in textarea (even if no input event)
+    contentTextarea.addEventListener('keydown', (event) => {
+        try {
+            if (!processTracker.isTracking) {
+                processTracker.startSession();
+            }
+            processTracker.recordInput('keydown');
+            processTracker.recordKeyDown(event);
+        } catch (error) {
+            console.warn('[ProcessTracker] Keydown handler error:', error);
+        }
+    });
+    
+    // Key releases complete dwell/flight timing (key identity is not recorded)
+    contentTextarea.addEventListener('keyup', (event) => {
+        try {
+            processTracker.recordKeyUp(event);
+        } catch (error) {
+            console.warn('[ProcessTracker] Keyup handler error:', error);
+        }
+    });
+    
+    
+    // Update status periodically
+    setInterval(() => {
+        try {
+            accountForProgrammaticChange();
+            if (processTracker.isTracking) {
+                updateProcessStatus();
+                // Periodic edit-history link (errors are logged by the tracker)
+                processTracker.recordSnapshot(contentTextarea.value).catch(() => {});
+            }
+            if (sessionDirty) {
+                saveWritingSession();
+            }
+        } catch (error) {
+            // Silently ignore interval errors
+        }
+    }, 2000);
+}
+
+/**
+ * Attribute the characters added by an input event to typing, paste, drop or script
+ * @returns {string} Insertion source
+ */
+function recordContentChange(event) {
+    const value = contentTextarea.value;
+    const change = processTracker.diffInsertion(trackedContentValue, value);
+    trackedContentValue = value;
+    
+    let source = 'typed';
+    if (!event.isTrusted) {
+        source = 'programmatic';
+    } else if (event.inputType === 'insertFromPaste' || event.inputType === 'insertFromPasteAsQuotation') {
+        source = 'paste';
+    } else if (event.inputType === 'insertFromDrop') {
+        source = 'drop';
+    } else if (!event.inputType && pendingInsertionSource) {
+        source = pendingInsertionSource;
+    }
+    pendingInsertionSource = null;
+    
+    processTracker.recordInsertion(source, change.inserted, change.position);
+    return source;
+}
+
+/**
+ * Record content that changed without an input event (value set by a script)
+ */
+function accountForProgrammaticChange() {
+    const value = contentTextarea.value;
+    // Mid-composition text differs from the tracked value without being scripted
+    if (value === trackedContentValue || processTracker.isComposing()) {
+        return;
+    }
+    
+    const change = processTracker.diffInsertion(trackedContentValue, value);
+    trackedContentValue = value;
+    processTracker.recordInsertion('programmatic', change.inserted, change.position);
+}
+
+/**
+ * Update process tracking status display
+ */
+async function updateProcessStatus() {
+    let status;
+    try {
+        status = await processTracker.getStatus();
+    } catch (error) {
+        console.warn('[ProcessTracker] Status unavailable:', error);
+        return;
+    }
+    const duration = status.duration;
+    const events = status.inputEvents;
+    
+    if (duration.active > 0 && events > 0) {
+        console.log(`[ProcessTracker] Session: ${Math.round(duration.active/1000)}s active, ${Math.round(duration.wallClock/1000)}s elapsed, Events: ${events}`);
+    }
+    
+    if (sessionInfo) {
+        let text = '';
+        if (events > 0) {
+            text = `Writing time: ${formatDuration(duration.active)}`;
+            if (duration.segments > 1) {
+                text += ` over ${duration.segments} sittings (${formatDuration(duration.wallClock)} since the first)`;
+            }
+            const away = duration.idle + duration.background;
+            if (away >= 60 * 1000) {
+                text += `; ${formatDuration(away)} idle or in the background not counted`;
+            }
+        }
+        sessionInfo.textContent = text;
+    }
+}
+
+/**
+ * Report page focus and visibility to the process trackers (time away is not writing time)
+ */
+function setupFocusTracking() {
+    const report = (change) => {
+        [processTracker, drawingTracker].forEach(tracker => {
+            if (!tracker) {
+                return;
+            }
+            try {
+                tracker.recordFocusChange(change);
+            } catch (error) {
+                console.warn('[ProcessTracker] Focus tracking error:', error);
+            }
+        });
+    };
+    
+    window.addEventListener('blur', () => report('blur'));
+    window.addEventListener('focus', () => report('focus'));
+    document.addEventListener('visibilitychange', () => {
+        report(document.hidden ? 'hidden' : 'visible');
+    });
+    
+    // The page may have been opened in a background tab
+    if (document.hidden) {
+        report('hidden');
+    }
+    if (!document.hasFocus()) {
+        report('blur');
+    }
+}
+
+/**
+ * Format a duration in milliseconds for display (e.g. "1h 05m", "3m 20s")
+ */
+function formatDuration(ms) {
+    const seconds = Math.floor(ms / 1000);
+    const days = Math.floor(seconds / 86400);
+    const hours = Math.floor((seconds % 86400) / 3600);
+    const minutes = Math.floor((seconds % 3600) / 60);
+    
+    if (days > 0) {
+        return `${days}d ${hours}h`;
+    }
+    if (hours > 0) {
+        return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+    }
+    return `${minutes}m ${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * Reopen the document that was being written before the page was (re)loaded
+ */
+async function restoreWritingSession() {
+    if (!contentTextarea) {
+        return;
+    }
+    
+    currentDocumentId = sessionStore.getCurrentDocumentId();
+    let record = null;
+    if (currentDocumentId) {
+        try {
+            record = await sessionStore.load(currentDocumentId);
+        } catch (error) {
+            console.warn('[Session] Could not restore writing session:', error);
+        }
+    }
+    
+    if (record) {
+        await openWritingSession(record);
+    } else {
+        currentDocumentId = sessionStore.createDocumentId();
+        sessionStore.setCurrentDocumentId(currentDocumentId);
+    }
+}
+
+/**
+ * Load a saved document into the editor and resume its process record
+ */
+async function openWritingSession(record) {
+    processTracker.reset();
+    currentDocumentId = record.id;
+    sessionStore.setCurrentDocumentId(record.id);
+    contentTextarea.value = record.content;
+    
+    try {
+        await processTracker.resumeSession(record.tracker);
+        trackedContentValue = record.content;
+        console.log('[Session] Resumed', record.id, 'with', await processTracker.getInputEventCount(), 'events');
+    } catch (error) {
+        // The text is kept but its history is not; it counts as set by script
+        console.warn('[Session] Could not resume process record:', error);
+        trackedContentValue = '';
+        processTracker.startSession();
+        accountForProgrammaticChange();
+    }
+    sessionDirty = false;
+}
+
+/**
+ * Setup document switching and session saving
+ */
+function setupWritingSessions() {
+    if (!contentTextarea || !documentSelect) {
+        return;
+    }
+    
+    refreshDocumentList();
+    
+    documentSelect.addEventListener('change', async () => {
+        const documentId = documentSelect.value;
+        if (documentId === currentDocumentId) {
+            return;
+        }
+        
+        try {
+            await saveWritingSession();
+            const record = await sessionStore.load(documentId);
+            if (!record) {
+                throw new Error('Document not found');
+            }
+            await openWritingSession(record);
+            updateProcessStatus();
+        } catch (error) {
+            showError('Failed to open document: ' + error.message);
+        }
+        refreshDocumentList();
+    });
+    
+    newDocumentBtn.addEventListener('click', async () => {
+        await saveWritingSession();
+        processTracker.reset();
+        currentDocumentId = sessionStore.createDocumentId();
+        sessionStore.setCurrentDocumentId(currentDocumentId);
+        contentTextarea.value = '';
+        trackedContentValue = '';
+        processTracker.startSession();
+        sessionDirty = false;
+        updateProcessStatus();
+        refreshDocumentList();
+        contentTextarea.focus();
+    });
+    
+    // Close the current segment when the page goes away
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') {
+            saveWritingSession();
+        }
+    });
+    window.addEventListener('pagehide', () => {
+        saveWritingSession();
+    });
+    
+    updateProcessStatus();
 }
 
 /**
- * Setup registry selector
+ * Save the current document and its process record
  */
-async function setupRegistrySelector() {
-    if (!registrySelect) {
-        console.error('[App] Registry select element not found');
+async function saveWritingSession() {
+    const state = await processTracker.exportState();
+    // Nothing worth keeping for a document that was never written in
+    if (!state || !currentDocumentId || (state.inputEventCount === 0 && !contentTextarea.value)) {
         return;
     }
     
-    // Show loading state
-    registrySelect.innerHTML = '<option value="">Loading nodes...</option>';
-    
+    sessionDirty = false;
     try {
-        // Ensure registryDiscovery is initialized
-        if (!registryDiscovery) {
-            if (typeof RegistryDiscovery === 'undefined') {
-                throw new Error('RegistryDiscovery class not loaded');
-            }
-            registryDiscovery = new RegistryDiscovery();
-        }
-        
-        const nodes = await registryDiscovery.discoverNodes();
-        console.log('[App] Discovered', nodes.length, 'registry nodes');
-        
-        if (!nodes || nodes.length === 0) {
-            throw new Error('No registry nodes found');
-        }
-        
-        registrySelect.innerHTML = '';
-        nodes.forEach(node => {
-            const option = document.createElement('option');
-            option.value = node.url;
-            option.textContent = node.name;
-            registrySelect.appendChild(option);
+        const saved = await sessionStore.save({
+            id: currentDocumentId,
+            content: contentTextarea.value,
+            tracker: state
         });
-        
-        const defaultUrl = registryDiscovery.getDefaultRegistry();
-        registrySelect.value = defaultUrl;
-        
-        // Ensure registryClient is initialized
-        if (!registryClient) {
-            if (typeof RegistryClient === 'undefined') {
-                throw new Error('RegistryClient class not loaded');
-            }
-            registryClient = new RegistryClient(defaultUrl);
-        } else {
-            registryClient.setRegistryUrl(defaultUrl);
-        }
-        
-        // Check node status (non-blocking)
-        try {
-            const status = await registryClient.checkNodeStatus();
-            updateNodeStatus(status);
-        } catch (statusError) {
-            console.warn('[App] Node status check failed:', statusError);
-            // Continue anyway - status check is optional
-        }
-        
+        updateDocumentOption(saved);
     } catch (error) {
-        console.error('[App] Registry discovery failed:', error);
-        // Fallback to hardcoded nodes
-        registrySelect.innerHTML = `
-            <option value="https://pohw-registry-node-production.up.railway.app">Production (Railway)</option>
-            <option value="https://gdn.sh">gdn.sh (Primary)</option>
-        `;
-        if (window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1') {
-            const localOption = document.createElement('option');
-            localOption.value = 'http://localhost:3000';
-            localOption.textContent = 'Local Development';
-            registrySelect.insertBefore(localOption, registrySelect.firstChild);
-        }
-        registrySelect.value = registrySelect.options[0].value;
-        
-        if (!registryClient) {
-            if (typeof RegistryClient !== 'undefined') {
-                registryClient = new RegistryClient(registrySelect.value);
-            }
-        } else {
-            registryClient.setRegistryUrl(registrySelect.value);
-        }
+        sessionDirty = true;
+        console.warn('[Session] Failed to save writing session:', error);
     }
-    
-    // Setup change handler (only once)
-    registrySelect.removeEventListener('change', handleRegistryChange);
-    registrySelect.addEventListener('change', handleRegistryChange);
 }
 
-async function handleRegistryChange(e) {
-    const selectedUrl = e.target.value;
-    if (registryClient) {
-        registryClient.setRegistryUrl(selectedUrl);
-        try {
-            const status = await registryClient.checkNodeStatus();
-            updateNodeStatus(status);
-        } catch (statusError) {
-            console.warn('[App] Node status check failed:', statusError);
-        }
+/**
+ * Refresh the document selector from the session store
+ */
+async function refreshDocumentList() {
+    if (!documentSelect) {
+        return;
+    }
+    
+    const documents = await sessionStore.list();
+    if (!documents.some(doc => doc.id === currentDocumentId)) {
+        documents.unshift({ id: currentDocumentId, title: sessionStore.titleFor(contentTextarea.value) });
     }
+    
+    documentSelect.innerHTML = '';
+    documents.forEach(doc => {
+        const option = document.createElement('option');
+        option.value = doc.id;
+        option.textContent = doc.updatedAt
+            ? `${doc.title} (${formatTimestamp(doc.updatedAt)})`
+            : `${doc.title} (not saved yet)`;
+        documentSelect.appendChild(option);
+    });
+    documentSelect.value = currentDocumentId;
 }
 
 /**
- * Update node status display
+ * Update the selector entry of a just-saved document
  */
-function updateNodeStatus(status) {
-    const statusEl = document.getElementById('node-status');
-    if (!statusEl) return;
-    
-    if (status.online) {
-        statusEl.innerHTML = `
-            <span class="status-indicator online"></span>
-            <span class="status-text">Online</span>
-            ${status.responseTime ? `<span class="status-response">${status.responseTime.toFixed(0)}ms</span>` : ''}
-        `;
-        statusEl.className = 'node-status online';
+function updateDocumentOption(record) {
+    if (!documentSelect) {
+        return;
+    }
+    const option = Array.from(documentSelect.options).find(opt => opt.value === record.id);
+    if (option) {
+        option.textContent = `${record.title} (${formatTimestamp(record.updatedAt)})`;
     } else {
-        statusEl.innerHTML = `
-            <span class="status-indicator offline"></span>
-            <span class="status-text">Offline</span>
-        `;
-        statusEl.className = 'node-status offline';
+        refreshDocumentList();
     }
 }
 
 /**
- * Setup process tracking
+ * Setup drawing mode (canvas with its own process tracker)
  */
-function setupProcessTracking() {
-    // Only set up if elements exist
-    if (!contentTextarea) {
-        console.warn('[ProcessTracker] Content elements not found, skipping setup');
+function setupDrawingMode() {
+    contentTabButtons.forEach(button => {
+        button.addEventListener('click', () => setContentMode(button.dataset.tab));
+    });
+    
+    if (!drawingCanvas) {
         return;
     }
     
-    // Start tracking immediately when page loads (for any interaction)
     try {
-        processTracker.startSession();
+        drawingTracker = new DrawingProcessTracker();
+        drawingPad = new DrawingCanvas(drawingCanvas, drawingTracker, {
+            color: drawingColorInput.value,
+            size: Number(drawingSizeInput.value),
+            onChange: updateDrawingStatus
+        });
     } catch (error) {
-        console.warn('[ProcessTracker] Failed to start session:', error);
+        console.warn('[Drawing] Failed to set up drawing mode:', error);
+        return;
     }
     
-    // Start tracking when user interacts with content input
-    contentTextarea.addEventListener('focus', () => {
-        try {
-            if (!processTracker.isTracking) {
-                processTracker.startSession();
-            }
-            updateProcessStatus();
-        } catch (error) {
-            console.warn('[ProcessTracker] Focus handler error:', error);
-        }
+    drawingColorInput.addEventListener('input', () => {
+        drawingPad.color = drawingColorInput.value;
     });
     
-    // Track typing in textarea
-    contentTextarea.addEventListener('input', () => {
-        try {
-            if (!processTracker.isTracking) {
-                processTracker.startSession();
-            }
-            processTracker.recordInput('typing');
-            updateProcessStatus();
-        } catch (error) {
-            console.warn('[ProcessTracker] Input handler error:', error);
+    drawingSizeInput.addEventListener('input', () => {
+        drawingPad.size = Number(drawingSizeInput.value);
+    });
+    
+    undoStrokeBtn.addEventListener('click', () => drawingPad.undo());
+    redoStrokeBtn.addEventListener('click', () => drawingPad.redo());
+    
+    clearDrawingBtn.addEventListener('click', () => {
+        if (!drawingPad.isEmpty() && confirm('Clear the drawing?')) {
+            drawingPad.clear();
         }
     });
     
-    // Track any keypress in textarea (even if no input event)
-    contentTextarea.addEventListener('keydown', () => {
+    downloadDrawingBtn.addEventListener('click', async () => {
         try {
-            if (!processTracker.isTracking) {
-                processTracker.startSession();
-            }
-            processTracker.recordInput('keydown');
+            const artwork = await drawingPad.toBlob();
+            downloadFile({ filename: 'drawing.png', mimeType: 'image/png', content: artwork });
         } catch (error) {
-            console.warn('[ProcessTracker] Keydown handler error:', error);
+            showError(error.message);
         }
     });
     
-    
-    // Update status periodically
+    // Keep the drawing time current while the drawing tab is open
     setInterval(() => {
-        try {
-            if (processTracker.isTracking) {
-                updateProcessStatus();
-            }
-        } catch (error) {
-            // Silently ignore interval errors
+        if (contentMode === 'drawing' && drawingTracker.isTracking) {
+            updateDrawingStatus();
         }
     }, 2000);
 }
 
 /**
- * Update process tracking status display
+ * Switch between proving text and proving a drawing
  */
-function updateProcessStatus() {
-    // This could show a small indicator of tracking status
-    // For now, we'll just log it
-    const duration = processTracker.getSessionDuration();
-    const events = processTracker.getInputEventCount();
-    
-    if (duration > 0 && events > 0) {
-        console.log(`[ProcessTracker] Session: ${Math.round(duration/1000)}s, Events: ${events}`);
+function setContentMode(mode) {
+    if (mode === 'drawing' && !drawingPad) {
+        showError('Drawing is not available in this browser');
+        return;
+    }
+    contentMode = mode;
+    contentTabButtons.forEach(button => {
+        button.classList.toggle('active', button.dataset.tab === mode);
+    });
+    document.querySelectorAll('.input-section .tab-content').forEach(tab => {
+        tab.classList.toggle('active', tab.id === `${mode}-tab`);
+    });
+    // Citations point into the text
+    if (mode === 'drawing') {
+        linkSourceBtn.style.display = 'none';
+    }
+    updateDrawingStatus();
+}
+
+/**
+ * Update the drawing status line
+ */
+function updateDrawingStatus() {
+    if (!drawingTracker || !drawingInfo) {
+        return;
+    }
+    const status = drawingTracker.getStatus();
+    if (status.strokes === 0) {
+        drawingInfo.textContent = '';
+        return;
     }
+    const undos = status.undos === 1 ? '1 undo' : `${status.undos} undos`;
+    const strokes = status.strokes === 1 ? '1 stroke' : `${status.strokes} strokes`;
+    drawingInfo.textContent = `Drawing time: ${formatDuration(status.duration.active)}, ${strokes}, ${undos}`;
 }
 
 /**
@@ -1054,22 +2740,49 @@ async function createProof() {
         hideResults();
         hideError();
         
-        // Check if keys are loaded
+        // Check if keys are loaded; locked keys must be unlocked before signing
         if (!keyManager.getDID()) {
-            showError('Please generate or import keys first');
             setLoading(false);
-            return;
+            if (!keyManager.getStoredKeyInfo()) {
+                showError('Please generate or import keys first');
+                return;
+            }
+            if (!await unlockStoredKeys()) {
+                showError('Unlock your signing key to create a proof');
+                return;
+            }
+            setLoading(true);
         }
         
-        // Get content from textarea
-        const text = contentTextarea.value.trim();
-        if (!text) {
-            showError('Please enter content');
-            setLoading(false);
-            return;
-        }
+        // Capture the signing identity now, in case the user switches while we submit
+        const identity = keyManager.getActiveIdentity();
         
-        const hash = await hashText(text);
+        // Drawings are proved as PNG with their own tracker; text with the typing tracker
+        const drawingMode = contentMode === 'drawing';
+        const tracker = drawingMode ? drawingTracker : processTracker;
+        let artwork = null;
+        let text = null;
+        let hash;
+        
+        if (drawingMode) {
+            if (drawingPad.isEmpty()) {
+                showError('Please draw something first');
+                setLoading(false);
+                return;
+            }
+            artwork = await drawingPad.toBlob();
+            hash = await hashBinary(await artwork.arrayBuffer());
+        } else {
+            // Get content from textarea (anything set by script since the last input counts as non-typed)
+            accountForProgrammaticChange();
+            text = contentTextarea.value.trim();
+            if (!text) {
+                showError('Please enter content');
+                setLoading(false);
+                return;
+            }
+            hash = await hashText(text);
+        }
         
         if (!hash) {
             showError('Failed to generate hash');
@@ -1086,10 +2799,17 @@ async function createProof() {
         const did = keyManager.getDID();
         
         // Ensure process tracking is started
-        if (!processTracker.isTracking) {
-            processTracker.startSession();
+        if (!tracker.isTracking) {
+            tracker.startSession();
         }
         
+        // Close the edit history with exactly the text that was hashed, so replaying
+        // it reproduces the signed hash (drawings keep no text history)
+        if (!drawingMode) {
+            await tracker.recordSnapshot(text, true);
+        }
+        const editChain = await tracker.getEditChain();
+        
         // Generate process digest if tracking
         let processDigest = null;
         let processMetrics = null;
@@ -1098,15 +2818,20 @@ async function createProof() {
         let temporalCoherence = null;
         
         // Always try to generate process digest, even with minimal data
-        if (processTracker.getInputEventCount() > 0 || processTracker.isTracking) {
-            const digestResult = await processTracker.generateDigest();
+        if (tracker.isTracking || (await tracker.getInputEventCount()) > 0) {
+            const digestResult = await tracker.generateDigest();
             if (digestResult && digestResult.digest) {
                 processDigest = digestResult.digest;
                 processMetrics = {
                     duration: digestResult.metrics.duration,
+                    activeTime: digestResult.metrics.activeTime,
+                    idleTime: digestResult.metrics.idleTime,
+                    foregroundRatio: digestResult.metrics.foregroundRatio,
                     entropy: digestResult.metrics.entropy,
                     temporalCoherence: digestResult.metrics.temporalCoherence,
                     inputEvents: digestResult.metrics.inputEvents,
+                    pastedRatio: digestResult.metrics.contentOrigin.pastedRatio,
+                    eventCounts: digestResult.metrics.eventCounts,
                     meetsThresholds: digestResult.meetsThresholds
                 };
                 // Always format entropy and temporal coherence according to whitepaper format
@@ -1129,7 +2854,7 @@ async function createProof() {
         }
         
         // Always detect and send environment (not conditional)
-        const environment = processTracker.detectEnvironment();
+        const environment = tracker.detectEnvironment();
         const platform = navigator.platform;
         const screenInfo = `${screen.width}x${screen.height}`;
         const timezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
@@ -1161,6 +2886,33 @@ async function createProof() {
         const canonicalClaim = JSON.stringify(claim, Object.keys(claim).sort());
         const signature = await keyManager.sign(canonicalClaim);
         
+        // Self-check: never submit a signature the verifier would reject
+        const selfCheck = await keyManager.verifyOwnSignature(canonicalClaim, signature);
+        if (!selfCheck.valid) {
+            console.error('[App] Signature self-check failed:', selfCheck.error, { canonicalClaim, signature });
+            throw new Error('Signature self-check failed, proof was not submitted: ' + selfCheck.error);
+        }
+        
+        // Passkey-gated identities: the assertion's challenge is SHA-256(canonicalClaim)
+        const passkeyAssertion = keyManager.getLastPasskeyAssertion();
+        if (passkeyAssertion) {
+            environmentAttestation.push('local-hardware-signing: webauthn user-verified');
+        }
+        
+        // The edit-history head is signed in its own statement, so the claim keeps the
+        // shape the registry rebuilds; a later reveal of the chain carries the statement
+        if (editChain.length > 0) {
+            editChain.statement = {
+                type: 'pohw:EditChainHead',
+                hash: hash,
+                did: did,
+                timestamp: timestamp,
+                editChainHead: editChain.head,
+                editChainLength: editChain.length
+            };
+            editChain.signature = await keyManager.sign(canonicalizeStatement(editChain.statement));
+        }
+        
         // Determine assistance profile - respect user's explicit declaration
         // Per whitepaper Section 8.5: "AI-assist disclosure is treated as an ethical extension"
         // User's explicit declaration takes precedence for transparency and ethical compliance
@@ -1184,9 +2936,10 @@ async function createProof() {
                 const entropy = processMetrics.entropy || 0;
                 const duration = processMetrics.duration || 0;
                 const inputEvents = processMetrics.inputEvents || 0;
+                const pastedRatio = processMetrics.pastedRatio || 0;
                 
-                // Very low metrics = likely AI-generated
-                if (entropy < 0.1 && duration < 5000 && inputEvents < 5) {
+                // Very low metrics, or almost nothing typed = likely AI-generated
+                if ((entropy < 0.1 && duration < 5000 && inputEvents < 5) || pastedRatio >= 0.95) {
                     assistanceProfile = 'AI-generated';
                 } else {
                     // Some activity but not meeting thresholds = AI-assisted
@@ -1203,6 +2956,7 @@ async function createProof() {
             userSelection: userSelectedProfile,
             hasProcessMetrics: !!processMetrics,
             meetsThresholds: processMetrics?.meetsThresholds,
+            pastedRatio: processMetrics?.pastedRatio,
             respectsUserDeclaration: (userSelectedProfile === 'AI-assisted' || userSelectedProfile === 'AI-generated')
         });
         
@@ -1235,11 +2989,20 @@ async function createProof() {
             // Include content archive URI (pohw:claimURI) - per whitepaper Section 7.3
             ...(contentArchiveAddress && {
                 claimURI: contentArchiveAddress
+            }),
+            // Authenticator assertion for the local hardware signing event
+            ...(passkeyAssertion && {
+                passkeyAssertion: passkeyAssertion
+            }),
+            // Edit-history chain head (the chain itself stays on this device)
+            ...(editChain.length > 0 && {
+                editChainHead: editChain.head,
+                editChainLength: editChain.length
             })
         };
         
         // Add derivedFrom (source mappings for citations/quotes) if provided
-        if (sourceMappings.length > 0) {
+        if (!drawingMode && sourceMappings.length > 0) {
             // Send structured source mappings
             attestation.derivedFrom = sourceMappings.map(m => {
                 const mapping = {
@@ -1281,19 +3044,45 @@ async function createProof() {
         const currentRegistry = registrySelect.value;
         registryClient.setRegistryUrl(currentRegistry);
         
+        // Make sure the registry knows about any key rotations before it sees the new key
+        await submitPendingRotations();
+        await submitPendingRevocations();
+        
         console.log('[App] Submitting attestation:', attestation);
         const receipt = await registryClient.submitAttestation(attestation);
         
         console.log('[App] Receipt received:', receipt);
         
-        // Display results
-        displayResults({
+        // Record which identity signed (local only; labels are never sent to the registry)
+        const proof = {
             hash: hash,
             did: did,
             timestamp: timestamp,
             registry: currentRegistry,
-            receipt: receipt.receipt_hash || receipt.hash || receipt.proof_hash || hash
-        });
+            receipt: receipt.receipt_hash || receipt.hash || receipt.proof_hash || hash,
+            identity: identity,
+            signedClaim: {
+                claim: claim,
+                canonicalClaim: canonicalClaim,
+                signature: signature,
+                publicKey: selfCheck.publicKey
+            },
+            editChain: editChain
+        };
+        keyManager.recordSignedProof(proof, identity);
+        renderIdentitySwitcher();
+        
+        // The signed PNG is the file to verify later
+        if (artwork) {
+            downloadFile({
+                filename: `pohw-drawing-${hash.slice(2, 10)}.png`,
+                mimeType: 'image/png',
+                content: artwork
+            });
+        }
+        
+        // Display results
+        displayResults(proof);
         
     } catch (error) {
         console.error('Proof creation error:', error);
@@ -1312,6 +3101,7 @@ function displayResults(result) {
     document.getElementById('result-status').textContent = 'PROOF CREATED';
     document.getElementById('result-hash').textContent = result.hash;
     document.getElementById('result-signer').textContent = result.did;
+    document.getElementById('result-identity').textContent = result.identity ? result.identity.label : '—';
     document.getElementById('result-timestamp').textContent = formatTimestamp(result.timestamp);
     document.getElementById('result-registry').textContent = result.registry;
     document.getElementById('result-receipt').textContent = result.receipt;
@@ -1327,6 +3117,9 @@ function displayResults(result) {
         showSuccess('Receipt copied to clipboard!');
     };
     
+    displaySignedClaim(result.signedClaim, result.did);
+    displayEditHistory(result);
+    
     // Setup verify link
     const verifyLink = document.getElementById('verify-link');
     verifyLink.href = `../verify/?hash=${encodeURIComponent(result.hash)}`;
@@ -1335,6 +3128,82 @@ function displayResults(result) {
     resultsSection.scrollIntoView({ behavior: 'smooth', block: 'start' });
 }
 
+/**
+ * Show the exact bytes that were signed and offer the claim/signature pair for download
+ */
+async function displaySignedClaim(signedClaim, did) {
+    const selfCheckEl = document.getElementById('result-self-check');
+    const bytesEl = document.getElementById('result-signed-bytes');
+    const metaEl = document.getElementById('result-signed-bytes-meta');
+    const downloadBtn = document.getElementById('download-claim-btn');
+    
+    if (!signedClaim) {
+        selfCheckEl.textContent = '—';
+        bytesEl.textContent = '';
+        metaEl.textContent = '';
+        downloadBtn.style.display = 'none';
+        return;
+    }
+    
+    selfCheckEl.textContent = 'PASSED (verified against the signer\'s public key before submitting)';
+    bytesEl.textContent = signedClaim.canonicalClaim;
+    
+    const bytes = new TextEncoder().encode(signedClaim.canonicalClaim);
+    const digest = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes));
+    metaEl.textContent = `${bytes.length} bytes (UTF-8) · SHA-256 ${bytesToHex(digest)} · signature ${signedClaim.signature}`;
+    
+    downloadBtn.style.display = 'inline-block';
+    downloadBtn.onclick = () => {
+        // Everything needed to check the signature offline, e.g. with verifyEd25519()
+        const pair = {
+            type: 'pohw:SignedClaim',
+            algorithm: 'Ed25519',
+            did: did,
+            publicKey: signedClaim.publicKey,
+            claim: signedClaim.claim,
+            canonicalClaim: signedClaim.canonicalClaim,
+            signature: signedClaim.signature
+        };
+        downloadFile({
+            filename: `pohw-claim-${signedClaim.claim.hash.replace(/^0x/, '').slice(0, 16)}.json`,
+            mimeType: 'application/json',
+            content: JSON.stringify(pair, null, 2)
+        });
+    };
+}
+
+/**
+ * Offer the edit history for download
+ * Revealing it later proves how the text evolved: the links replay to the
+ * signed content and end at the head in the signed pohw:EditChainHead statement.
+ */
+function displayEditHistory(result) {
+    const downloadBtn = document.getElementById('download-history-btn');
+    const chain = result.editChain;
+    
+    if (!chain || chain.length === 0) {
+        downloadBtn.style.display = 'none';
+        return;
+    }
+    
+    downloadBtn.style.display = 'inline-block';
+    downloadBtn.onclick = () => {
+        downloadFile({
+            filename: `pohw-history-${result.hash.replace(/^0x/, '').slice(0, 16)}.json`,
+            mimeType: 'application/json',
+            content: JSON.stringify({
+                type: 'pohw:EditHistory',
+                hash: result.hash,
+                did: result.did,
+                head: chain.head,
+                links: chain.links,
+                statement: chain.statement,
+                signature: chain.signature
+            }, null, 2)
+        });
+    };
+}
+
 /**
  * Format timestamp
  */
@@ -0,0 +1,198 @@
+/**
+ * W3C DID Documents for PoHW Identities
+ * Builds a DID document (DID Core 1.0, Ed25519VerificationKey2020) listing the
+ * current signing key, keys it replaced, and service endpoints, and packages
+ * it as a did:web bundle authors can host on their own domain.
+ */
+
+const DID_DOCUMENT_CONTEXT = [
+    'https://www.w3.org/ns/did/v1',
+    'https://w3id.org/security/suites/ed25519-2020/v1'
+];
+
+/**
+ * Build a DID document
+ * Only the current key may authenticate or sign; rotated keys are listed with
+ * `revoked` set to the rotation time so proofs signed before it still resolve.
+ * @param {Object} options
+ * @param {string} options.did - Document subject
+ * @param {Uint8Array} options.publicKey - Current Ed25519 public key
+ * @param {Array} options.previousKeys - [{ publicKey: Uint8Array, supersededAt }] newest first
+ * @param {Array<string>} options.alsoKnownAs - Other DIDs for the same key
+ * @param {Array<Object>} options.services - [{ id, type, serviceEndpoint }]; ids may be '#fragment'
+ * @returns {Object} DID document
+ */
+function buildDIDDocument({ did, publicKey, previousKeys = [], alsoKnownAs = [], services = [] }) {
+    const verificationMethod = (key, revoked = null) => {
+        const multibase = ed25519PublicKeyMultibase(key);
+        return {
+            id: `${did}#${multibase}`,
+            type: 'Ed25519VerificationKey2020',
+            controller: did,
+            publicKeyMultibase: multibase,
+            ...(revoked && { revoked: revoked })
+        };
+    };
+
+    const current = verificationMethod(publicKey);
+    const document = {
+        '@context': DID_DOCUMENT_CONTEXT,
+        id: did
+    };
+
+    const aliases = [...new Set(alsoKnownAs)].filter(alias => alias && alias !== did);
+    if (aliases.length > 0) {
+        document.alsoKnownAs = aliases;
+    }
+
+    document.verificationMethod = [
+        current,
+        ...previousKeys.map(key => verificationMethod(key.publicKey, key.supersededAt))
+    ];
+    document.authentication = [current.id];
+    document.assertionMethod = [current.id];
+    document.capabilityInvocation = [current.id];
+    document.capabilityDelegation = [current.id];
+
+    if (services.length > 0) {
+        document.service = services.map(service => ({
+            ...service,
+            id: service.id.startsWith('#') ? did + service.id : service.id
+        }));
+    }
+
+    return document;
+}
+
+/**
+ * Package a did:web document for hosting
+ * The zip holds did.json at the path did:web resolves to, plus hosting notes.
+ * @param {Object} document - DID document whose id is a did:web identifier
+ * @returns {Object} { filename, mimeType, content: Uint8Array, url }
+ */
+function buildDIDWebBundle(document) {
+    const url = didWebToUrl(document.id);
+    const { host, pathname } = new URL(url);
+
+    const readme = [
+        `DID: ${document.id}`,
+        '',
+        `Upload the ${pathname.slice(1)} file in this archive so that it is served at:`,
+        `  ${url}`,
+        '',
+        'Requirements:',
+        '  - HTTPS with a valid certificate (did:web does not allow plain HTTP)',
+        '  - Content-Type: application/did+json (application/json also works)',
+        '  - Access-Control-Allow-Origin: * so browser-based verifiers can fetch it',
+        '',
+        'Regenerate and re-upload the document after rotating your signing key.',
+        ''
+    ].join('\n');
+
+    return {
+        filename: `did-web-${host.replace(/[^a-z0-9.-]/gi, '_')}.zip`,
+        mimeType: 'application/zip',
+        content: createZipArchive([
+            { name: pathname.slice(1), content: JSON.stringify(document, null, 2) + '\n' },
+            { name: 'README.txt', content: readme }
+        ]),
+        url: url
+    };
+}
+
+/**
+ * Create an uncompressed (stored) zip archive
+ * @param {Array<Object>} files - [{ name, content: string|Uint8Array }]
+ * @returns {Uint8Array}
+ */
+function createZipArchive(files) {
+    const encoder = new TextEncoder();
+    const now = new Date();
+    const dosTime = (now.getHours() << 11) | (now.getMinutes() << 5) | (now.getSeconds() >> 1);
+    const dosDate = ((now.getFullYear() - 1980) << 9) | ((now.getMonth() + 1) << 5) | now.getDate();
+
+    const parts = [];
+    const centralDirectory = [];
+    let offset = 0;
+
+    for (const file of files) {
+        const name = encoder.encode(file.name);
+        const data = typeof file.content === 'string' ? encoder.encode(file.content) : file.content;
+        const crc = crc32(data);
+
+        // Local file header (flag 0x0800: UTF-8 names, method 0: stored)
+        const header = new Uint8Array(30 + name.length);
+        const view = new DataView(header.buffer);
+        view.setUint32(0, 0x04034b50, true);
+        view.setUint16(4, 20, true);
+        view.setUint16(6, 0x0800, true);
+        view.setUint16(8, 0, true);
+        view.setUint16(10, dosTime, true);
+        view.setUint16(12, dosDate, true);
+        view.setUint32(14, crc, true);
+        view.setUint32(18, data.length, true);
+        view.setUint32(22, data.length, true);
+        view.setUint16(26, name.length, true);
+        header.set(name, 30);
+
+        const entry = new Uint8Array(46 + name.length);
+        const entryView = new DataView(entry.buffer);
+        entryView.setUint32(0, 0x02014b50, true);
+        entryView.setUint16(4, 20, true);
+        entryView.setUint16(6, 20, true);
+        entryView.setUint16(8, 0x0800, true);
+        entryView.setUint16(10, 0, true);
+        entryView.setUint16(12, dosTime, true);
+        entryView.setUint16(14, dosDate, true);
+        entryView.setUint32(16, crc, true);
+        entryView.setUint32(20, data.length, true);
+        entryView.setUint32(24, data.length, true);
+        entryView.setUint16(28, name.length, true);
+        entryView.setUint32(42, offset, true);
+        entry.set(name, 46);
+
+        parts.push(header, data);
+        centralDirectory.push(entry);
+        offset += header.length + data.length;
+    }
+
+    const directorySize = centralDirectory.reduce((sum, entry) => sum + entry.length, 0);
+    const end = new Uint8Array(22);
+    const endView = new DataView(end.buffer);
+    endView.setUint32(0, 0x06054b50, true);
+    endView.setUint16(8, files.length, true);
+    endView.setUint16(10, files.length, true);
+    endView.setUint32(12, directorySize, true);
+    endView.setUint32(16, offset, true);
+
+    const archive = new Uint8Array(offset + directorySize + end.length);
+    let position = 0;
+    for (const part of [...parts, ...centralDirectory, end]) {
+        archive.set(part, position);
+        position += part.length;
+    }
+    return archive;
+}
+
+/**
+ * CRC-32 (IEEE 802.3), as used by zip
+ */
+function crc32(bytes) {
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+        crc ^= bytes[i];
+        for (let k = 0; k < 8; k++) {
+            crc = (crc >>> 1) ^ (0xedb88320 & -(crc & 1));
+        }
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        buildDIDDocument,
+        buildDIDWebBundle,
+        createZipArchive
+    };
+}
@@ -0,0 +1,234 @@
+/**
+ * Drawing Canvas
+ * Drawing surface for the create page's drawing mode. Strokes are kept as
+ * point lists so undo and redo can redraw the canvas; every pointer event is
+ * passed to a DrawingProcessTracker.
+ */
+
+class DrawingCanvas {
+    /**
+     * @param {HTMLCanvasElement} canvas - Drawing surface
+     * @param {DrawingProcessTracker} tracker - Receives strokes, undo, redo and clear
+     * @param {Object} options - { color, size, background, onChange() }
+     */
+    constructor(canvas, tracker, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        if (!this.context) {
+            throw new Error('Canvas 2D context unavailable');
+        }
+        this.tracker = tracker;
+        this.color = options.color || '#111111';
+        this.size = options.size || 4;
+        this.background = options.background || '#ffffff';
+        this.onChange = options.onChange || null;
+
+        this.strokes = []; // { color, size, points: [{ x, y, pressure, pointerType, time }] }
+        this.undone = []; // strokes available to redo
+        this.current = null;
+
+        this.attach();
+        this.render();
+    }
+
+    /**
+     * Listen for pointer input
+     */
+    attach() {
+        // Pens and fingers draw instead of scrolling the page
+        this.canvas.style.touchAction = 'none';
+        this.canvas.addEventListener('pointerdown', (event) => this.handlePointerDown(event));
+        this.canvas.addEventListener('pointermove', (event) => this.handlePointerMove(event));
+        this.canvas.addEventListener('pointerup', (event) => this.handlePointerUp(event));
+        this.canvas.addEventListener('pointercancel', (event) => this.handlePointerUp(event));
+    }
+
+    /**
+     * Canvas coordinates and pressure of a pointer event
+     */
+    pointFromEvent(event) {
+        const rect = this.canvas.getBoundingClientRect();
+        return {
+            x: (event.clientX - rect.left) * this.canvas.width / rect.width,
+            y: (event.clientY - rect.top) * this.canvas.height / rect.height,
+            pressure: event.pressure,
+            pointerType: event.pointerType,
+            time: event.timeStamp
+        };
+    }
+
+    /**
+     * Start a stroke
+     */
+    handlePointerDown(event) {
+        // One stroke at a time; mice draw with the primary button only
+        if (this.current || (event.pointerType === 'mouse' && event.button !== 0)) {
+            return;
+        }
+        event.preventDefault();
+        this.canvas.setPointerCapture(event.pointerId);
+
+        const point = this.pointFromEvent(event);
+        this.current = {
+            pointerId: event.pointerId,
+            color: this.color,
+            size: this.size,
+            points: [point]
+        };
+        this.undone = [];
+        this.tracker.recordStrokeStart(point);
+        this.drawSegment(this.current, point, point);
+    }
+
+    /**
+     * Extend the stroke in progress (coalesced events keep the pen's full sample rate)
+     */
+    handlePointerMove(event) {
+        if (!this.current || event.pointerId !== this.current.pointerId) {
+            return;
+        }
+        const coalesced = event.getCoalescedEvents ? event.getCoalescedEvents() : [];
+        const events = coalesced.length > 0 ? coalesced : [event];
+
+        events.forEach(sample => {
+            const point = this.pointFromEvent(sample);
+            const points = this.current.points;
+            this.drawSegment(this.current, points[points.length - 1], point);
+            points.push(point);
+            this.tracker.recordStrokePoint(point);
+        });
+    }
+
+    /**
+     * Finish the stroke in progress
+     */
+    handlePointerUp(event) {
+        if (!this.current || event.pointerId !== this.current.pointerId) {
+            return;
+        }
+        this.tracker.recordStrokeEnd(null);
+        this.strokes.push(this.current);
+        this.current = null;
+        this.changed();
+    }
+
+    /**
+     * Line width at a point (pens draw thicker when pressed harder)
+     */
+    lineWidth(stroke, point) {
+        if (point.pressure > 0 && point.pressure !== 0.5) {
+            return stroke.size * (0.5 + point.pressure);
+        }
+        return stroke.size;
+    }
+
+    /**
+     * Draw one segment of a stroke (a dot when both points are the same)
+     */
+    drawSegment(stroke, from, to) {
+        const context = this.context;
+        context.strokeStyle = stroke.color;
+        context.lineWidth = this.lineWidth(stroke, to);
+        context.lineCap = 'round';
+        context.lineJoin = 'round';
+        context.beginPath();
+        context.moveTo(from.x, from.y);
+        context.lineTo(to.x, to.y);
+        context.stroke();
+    }
+
+    /**
+     * Redraw the canvas from the stroke list
+     */
+    render() {
+        const context = this.context;
+        context.fillStyle = this.background;
+        context.fillRect(0, 0, this.canvas.width, this.canvas.height);
+        this.strokes.forEach(stroke => {
+            stroke.points.forEach((point, index) => {
+                this.drawSegment(stroke, stroke.points[Math.max(index - 1, 0)], point);
+            });
+        });
+    }
+
+    /**
+     * Remove the last stroke
+     * @returns {boolean} Whether there was a stroke to undo
+     */
+    undo() {
+        if (this.strokes.length === 0) {
+            return false;
+        }
+        this.undone.push(this.strokes.pop());
+        this.tracker.recordUndo();
+        this.render();
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Restore the last undone stroke
+     * @returns {boolean} Whether there was a stroke to redo
+     */
+    redo() {
+        if (this.undone.length === 0) {
+            return false;
+        }
+        this.strokes.push(this.undone.pop());
+        this.tracker.recordRedo();
+        this.render();
+        this.changed();
+        return true;
+    }
+
+    /**
+     * Remove every stroke
+     */
+    clear() {
+        if (this.strokes.length === 0) {
+            return;
+        }
+        this.strokes = [];
+        this.undone = [];
+        this.tracker.recordClear();
+        this.render();
+        this.changed();
+    }
+
+    /**
+     * Whether nothing has been drawn
+     */
+    isEmpty() {
+        return this.strokes.length === 0;
+    }
+
+    /**
+     * Notify the page that the drawing changed
+     */
+    changed() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    /**
+     * Encode the drawing as PNG (the bytes that are hashed and signed)
+     * @returns {Promise<Blob>}
+     */
+    toBlob() {
+        return new Promise((resolve, reject) => {
+            this.canvas.toBlob(blob => {
+                if (blob) {
+                    resolve(blob);
+                } else {
+                    reject(new Error('Failed to encode drawing'));
+                }
+            }, 'image/png');
+        });
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingCanvas;
+}
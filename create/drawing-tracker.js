@@ -0,0 +1,257 @@
+/**
+ * Drawing Process Tracker
+ * Process tracking for visual work: pointer strokes on a canvas instead of keystrokes.
+ * Stroke starts and undo/redo/clear are the input units behind entropy and
+ * temporal coherence; the points of each stroke add velocity and, where the
+ * pointer reports it, pressure. Metrics and digest have the same shape as
+ * BrowserProcessTracker's, plus a `drawing` section.
+ */
+
+// Human thresholds for drawing (replace the language profiles, which describe typing)
+const DRAWING_THRESHOLDS = {
+    typedCoherenceRange: [0.3, 1.5], // gaps between strokes vary more than between keys
+    maxInputRate: 10, // strokes per second
+    minStrokes: 10, // fewer strokes are too little to judge
+    minVelocityVariation: 0.2, // coefficient of variation of pointer speed (a plotted line is uniform)
+    minPressureStdDev: 0.02 // pens that report pressure: constant pressure is scripted
+};
+
+class DrawingProcessTracker extends BrowserProcessTracker {
+    constructor() {
+        super();
+        this.metadata.tool = 'web-canvas';
+        this.drawing = this.createDrawingState();
+    }
+
+    /**
+     * Drawing thresholds apply whatever the language
+     * @returns {string} Profile name now in this.thresholds.profile
+     */
+    setThresholdProfile() {
+        this.thresholds = {
+            ...THRESHOLD_PROFILES.default,
+            ...DRAWING_THRESHOLDS,
+            profile: 'drawing'
+        };
+        return this.thresholds.profile;
+    }
+
+    /**
+     * Empty stroke state (running statistics; point coordinates are not kept)
+     */
+    createDrawingState() {
+        return {
+            stroke: null, // stroke in progress: { pointerType, startedAt, lastPoint, length }
+            strokes: 0,
+            points: 0,
+            undos: 0,
+            redos: 0,
+            clears: 0,
+            pointerTypes: {}, // pointerType -> strokes
+            pressure: this.createRunningStats(),
+            velocity: this.createRunningStats(), // px/ms between consecutive points
+            strokeDuration: this.createRunningStats(), // ms
+            strokeLength: this.createRunningStats() // px
+        };
+    }
+
+    /**
+     * Record the start of a stroke (pointerdown)
+     * @param {Object} point - { x, y, pressure, pointerType, time } (time: event.timeStamp)
+     */
+    recordStrokeStart(point, now = Date.now()) {
+        // A stroke whose pointerup never arrived ends where it was last seen
+        if (this.drawing.stroke) {
+            this.recordStrokeEnd(null, now);
+        }
+
+        this.recordInput('stroke', now);
+        this.drawing.stroke = {
+            pointerType: point.pointerType || 'mouse',
+            startedAt: now,
+            lastPoint: point,
+            length: 0
+        };
+        this.drawing.points++;
+        this.recordPressure(point);
+    }
+
+    /**
+     * Record a point of the stroke in progress (pointermove, one per coalesced event)
+     */
+    recordStrokePoint(point, now = Date.now()) {
+        const stroke = this.drawing.stroke;
+        if (!stroke) {
+            return;
+        }
+
+        const distance = Math.hypot(point.x - stroke.lastPoint.x, point.y - stroke.lastPoint.y);
+        const elapsed = point.time - stroke.lastPoint.time;
+        if (distance > 0 && elapsed > 0) {
+            this.addSample(this.drawing.velocity, distance / elapsed);
+        }
+        stroke.length += distance;
+        stroke.lastPoint = point;
+        this.drawing.points++;
+        this.recordPressure(point);
+        this.segments[this.segments.length - 1].end = now;
+        this.markActivity(now);
+    }
+
+    /**
+     * Record the end of the stroke in progress (pointerup / pointercancel)
+     * @param {Object|null} point - Final point, if it has not been recorded
+     */
+    recordStrokeEnd(point, now = Date.now()) {
+        const stroke = this.drawing.stroke;
+        if (!stroke) {
+            return;
+        }
+        if (point) {
+            this.recordStrokePoint(point, now);
+        }
+
+        const drawing = this.drawing;
+        drawing.strokes++;
+        drawing.pointerTypes[stroke.pointerType] = (drawing.pointerTypes[stroke.pointerType] || 0) + 1;
+        this.addSample(drawing.strokeDuration, now - stroke.startedAt);
+        this.addSample(drawing.strokeLength, stroke.length);
+        drawing.stroke = null;
+    }
+
+    /**
+     * Add a point's pressure, if the pointer reports one
+     * Mice, and touch screens without force sensing, report 0.5 while down.
+     */
+    recordPressure(point) {
+        if (point.pressure > 0 && point.pressure !== 0.5) {
+            this.addSample(this.drawing.pressure, point.pressure);
+        }
+    }
+
+    /**
+     * Record an undone stroke
+     */
+    recordUndo(now = Date.now()) {
+        this.recordInput('undo', now);
+        this.drawing.undos++;
+    }
+
+    /**
+     * Record a redone stroke
+     */
+    recordRedo(now = Date.now()) {
+        this.recordInput('redo', now);
+        this.drawing.redos++;
+    }
+
+    /**
+     * Record a cleared canvas
+     */
+    recordClear(now = Date.now()) {
+        this.recordInput('clear', now);
+        this.drawing.clears++;
+    }
+
+    /**
+     * Calculate stroke metrics
+     */
+    calculateDrawing() {
+        const drawing = this.drawing;
+        const pressure = this.describeStats(drawing.pressure);
+        const velocity = this.describeStats(drawing.velocity);
+
+        return {
+            strokes: drawing.strokes,
+            points: drawing.points,
+            undos: drawing.undos,
+            redos: drawing.redos,
+            clears: drawing.clears,
+            undoRatio: drawing.strokes > 0 ? drawing.undos / drawing.strokes : 0,
+            pointerTypes: { ...drawing.pointerTypes },
+            pressureSamples: drawing.pressure.count,
+            pressureMean: pressure.mean,
+            pressureStdDev: pressure.stdDev,
+            velocityMean: velocity.mean,
+            velocityStdDev: velocity.stdDev,
+            velocityVariation: velocity.mean > 0 ? velocity.stdDev / velocity.mean : 0,
+            strokeDurationMean: this.describeStats(drawing.strokeDuration).mean,
+            strokeLengthMean: this.describeStats(drawing.strokeLength).mean
+        };
+    }
+
+    /**
+     * Check if metrics meet human thresholds (timing checks, plus stroke checks)
+     */
+    meetsThresholds(metrics) {
+        const drawing = metrics.drawing || this.calculateDrawing();
+
+        const humanStrokes = drawing.strokes >= this.thresholds.minStrokes &&
+            drawing.velocityVariation >= this.thresholds.minVelocityVariation;
+
+        // Pressure is judged only where the pointer reports it
+        const humanPressure = drawing.pressureSamples === 0 ||
+            drawing.pressureStdDev >= this.thresholds.minPressureStdDev;
+
+        return super.meetsThresholds(metrics) && humanStrokes && humanPressure;
+    }
+
+    /**
+     * Generate process metrics
+     */
+    generateMetrics() {
+        const metrics = super.generateMetrics();
+        metrics.drawing = this.calculateDrawing();
+        metrics.eventCounts.strokes = this.drawing.strokes;
+        metrics.eventCounts.points = this.drawing.points;
+        metrics.eventCounts.pressure = this.drawing.pressure.count;
+        metrics.eventCounts.velocity = this.drawing.velocity.count;
+        metrics.meetsThresholds = this.meetsThresholds(metrics);
+        return metrics;
+    }
+
+    /**
+     * Metric values the digest commits to
+     */
+    digestFields(metrics) {
+        const drawing = metrics.drawing;
+        return {
+            ...super.digestFields(metrics),
+            strokes: drawing.strokes,
+            undos: drawing.undos,
+            redos: drawing.redos,
+            clears: drawing.clears,
+            pressureSamples: drawing.pressureSamples,
+            pressureStdDev: Math.round(drawing.pressureStdDev * 1000) / 1000,
+            velocityMean: Math.round(drawing.velocityMean * 1000) / 1000,
+            velocityVariation: Math.round(drawing.velocityVariation * 1000) / 1000,
+            strokeDurationMean: Math.round(drawing.strokeDurationMean),
+            strokeLengthMean: Math.round(drawing.strokeLengthMean)
+        };
+    }
+
+    /**
+     * Get tracking status for display
+     * @returns {Object} { isTracking, duration, inputEvents, strokes, undos }
+     */
+    getStatus() {
+        return {
+            ...super.getStatus(),
+            strokes: this.drawing.strokes,
+            undos: this.drawing.undos
+        };
+    }
+
+    /**
+     * Reset session
+     */
+    reset() {
+        super.reset();
+        this.drawing = this.createDrawingState();
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DrawingProcessTracker;
+}
@@ -0,0 +1,516 @@
+/**
+ * Editor Adapters
+ * Feed process tracking from rich editors so sites can embed PoHW in their own
+ * editing surface. Each adapter turns its editor's changes into semantic input
+ * events ('insert', 'delete', 'paste', 'drop', 'undo', 'redo', 'format') for
+ * recordInput(), attributes inserted characters with recordInsertion(), and
+ * forwards keystroke and IME composition events from the editor's DOM.
+ *
+ * Works with a BrowserProcessTracker or a ProcessTrackerClient.
+ *
+ *   const adapter = new CodeMirrorAdapter(tracker);
+ *   new EditorView({ extensions: [adapter.extension(EditorView)], parent });
+ *   adapter.attach(view);
+ */
+
+// Editors that don't say where a change came from: changes this soon after a
+// trusted key, clipboard or input event are the user's; later ones are scripted
+const EDITOR_USER_EVENT_WINDOW = 1000; // ms
+
+// Where inserted characters came from, by semantic event (others add no characters)
+const EDITOR_INSERTION_SOURCES = {
+    insert: 'typed',
+    paste: 'paste',
+    drop: 'drop',
+    programmatic: 'programmatic'
+};
+
+class EditorAdapter {
+    /**
+     * @param {Object} tracker - BrowserProcessTracker or ProcessTrackerClient
+     * @param {Object} options - { onEdit(edit) } called after each recorded edit
+     */
+    constructor(tracker, options = {}) {
+        if (!tracker) {
+            throw new Error('Editor adapter needs a process tracker');
+        }
+        this.tracker = tracker;
+        this.onEdit = options.onEdit || null;
+        this.listeners = []; // { target, type, handler } or { dispose }
+        this.lastUserEventAt = 0;
+        this.pendingSource = null; // 'paste' or 'drop' until the editor applies it
+    }
+
+    /**
+     * Add a listener that detach() removes
+     */
+    listen(target, type, handler) {
+        target.addEventListener(type, handler);
+        this.listeners.push({ target: target, type: type, handler: handler });
+    }
+
+    /**
+     * Forward keystrokes, composition and clipboard events from the editor's DOM
+     */
+    attachDOM(element) {
+        if (!element) {
+            throw new Error('Editor element not found');
+        }
+
+        this.listen(element, 'keydown', (event) => {
+            this.markUserEvent(event);
+            try {
+                this.tracker.recordInput('keydown');
+                this.tracker.recordKeyDown(event);
+            } catch (error) {
+                console.warn('[EditorAdapter] Keydown handler error:', error);
+            }
+        });
+
+        this.listen(element, 'keyup', (event) => {
+            try {
+                this.tracker.recordKeyUp(event);
+            } catch (error) {
+                console.warn('[EditorAdapter] Keyup handler error:', error);
+            }
+        });
+
+        this.listen(element, 'compositionstart', () => {
+            try {
+                this.tracker.recordCompositionStart();
+            } catch (error) {
+                console.warn('[EditorAdapter] Composition handler error:', error);
+            }
+        });
+
+        this.listen(element, 'compositionupdate', () => {
+            try {
+                this.tracker.recordCompositionUpdate();
+            } catch (error) {
+                console.warn('[EditorAdapter] Composition handler error:', error);
+            }
+        });
+
+        // The committed text was typed through the IME; the editor's own
+        // commit transaction is ignored so it isn't counted twice
+        this.listen(element, 'compositionend', (event) => {
+            this.markUserEvent(event);
+            try {
+                this.tracker.recordCompositionEnd(event);
+                this.tracker.recordInsertion('typed', (event.data || '').length, null);
+            } catch (error) {
+                console.warn('[EditorAdapter] Composition handler error:', error);
+            }
+        });
+
+        this.listen(element, 'paste', (event) => {
+            this.markUserEvent(event);
+            this.pendingSource = 'paste';
+        });
+
+        this.listen(element, 'drop', (event) => {
+            this.markUserEvent(event);
+            this.pendingSource = 'drop';
+        });
+
+        this.listen(element, 'cut', (event) => this.markUserEvent(event));
+        this.listen(element, 'beforeinput', (event) => this.markUserEvent(event));
+    }
+
+    /**
+     * Note a trusted user event (see EDITOR_USER_EVENT_WINDOW)
+     */
+    markUserEvent(event) {
+        if (event.isTrusted) {
+            this.lastUserEventAt = Date.now();
+        }
+    }
+
+    /**
+     * Whether a change without other attribution follows a user event
+     */
+    isUserChange() {
+        return Date.now() - this.lastUserEventAt <= EDITOR_USER_EVENT_WINDOW;
+    }
+
+    /**
+     * Paste or drop seen in the DOM but not yet applied by the editor
+     */
+    takePendingSource() {
+        const source = this.pendingSource;
+        this.pendingSource = null;
+        return source;
+    }
+
+    /**
+     * Record one edit
+     * @param {string} kind - 'insert', 'delete', 'paste', 'drop', 'undo', 'redo',
+     *   'format', 'compose' (IME text in progress) or 'programmatic'
+     * @param {number} inserted - Characters added
+     * @param {number} removed - Characters removed
+     * @param {number|null} position - Character offset of the change, if known
+     */
+    record(kind, inserted, removed, position = null) {
+        try {
+            // Input while an IME is composing belongs to the composition
+            if (this.tracker.isComposing()) {
+                this.tracker.recordInput('composing');
+                return;
+            }
+            // A composition's commit was counted at compositionend
+            if (kind === 'compose') {
+                return;
+            }
+
+            const source = EDITOR_INSERTION_SOURCES[kind];
+            if (source && inserted > 0) {
+                this.tracker.recordInsertion(source, inserted, position);
+            }
+            // Scripted changes are attributed but are not the writer's input
+            if (kind !== 'programmatic') {
+                this.tracker.recordInput(kind);
+            }
+
+            if (this.onEdit) {
+                this.onEdit({ kind: kind, inserted: inserted, removed: removed, position: position });
+            }
+        } catch (error) {
+            console.warn('[EditorAdapter] Failed to record edit:', error);
+        }
+    }
+
+    /**
+     * Stop forwarding events (the editor itself is left untouched)
+     */
+    detach() {
+        this.listeners.forEach(listener => {
+            if (listener.dispose) {
+                listener.dispose();
+            } else {
+                listener.target.removeEventListener(listener.type, listener.handler);
+            }
+        });
+        this.listeners = [];
+        this.detached = true;
+    }
+}
+
+/**
+ * contenteditable elements (also plain <textarea> and <input>)
+ */
+class ContentEditableAdapter extends EditorAdapter {
+    /**
+     * Start tracking an element
+     */
+    attach(element) {
+        this.element = element;
+        this.lastText = this.getText();
+        this.attachDOM(element);
+
+        // Any change made since the last input event came from a script
+        this.listen(element, 'beforeinput', () => this.sync());
+        this.listen(element, 'input', (event) => this.handleInput(event));
+        return this;
+    }
+
+    /**
+     * Current text of the element
+     */
+    getText() {
+        const element = this.element;
+        return 'value' in element && typeof element.value === 'string' ? element.value : element.textContent;
+    }
+
+    /**
+     * Semantic event for an InputEvent
+     */
+    kindForInput(event) {
+        const type = event.inputType || '';
+        if (!event.isTrusted) {
+            return 'programmatic';
+        }
+        if (type === 'historyUndo') {
+            return 'undo';
+        }
+        if (type === 'historyRedo') {
+            return 'redo';
+        }
+        if (type === 'insertFromPaste' || type === 'insertFromPasteAsQuotation') {
+            return 'paste';
+        }
+        if (type === 'insertFromDrop') {
+            return 'drop';
+        }
+        if (type === 'insertCompositionText' || event.isComposing) {
+            return 'compose';
+        }
+        if (type.startsWith('delete')) {
+            return 'delete';
+        }
+        if (type.startsWith('format')) {
+            return 'format';
+        }
+        // Browsers without inputType: fall back to the clipboard event seen before it
+        return type ? 'insert' : (this.pendingSource || 'insert');
+    }
+
+    /**
+     * Record an input event
+     */
+    handleInput(event) {
+        const kind = this.kindForInput(event);
+        this.pendingSource = null;
+        const text = this.getText();
+        const change = this.tracker.diffInsertion(this.lastText, text);
+        this.lastText = text;
+        this.record(kind, change.inserted, change.removed, change.position);
+    }
+
+    /**
+     * Record content set by a script since the last input event
+     */
+    sync() {
+        if (this.tracker.isComposing()) {
+            return;
+        }
+        const text = this.getText();
+        if (text === this.lastText) {
+            return;
+        }
+        const change = this.tracker.diffInsertion(this.lastText, text);
+        this.lastText = text;
+        this.record('programmatic', change.inserted, change.removed, change.position);
+    }
+}
+
+/**
+ * CodeMirror 6 (@codemirror/view)
+ */
+class CodeMirrorAdapter extends EditorAdapter {
+    /**
+     * Editor extension that reports document changes
+     * @param {Function} EditorView - The EditorView class from @codemirror/view
+     */
+    extension(EditorView) {
+        return EditorView.updateListener.of(update => {
+            if (!this.detached && update.docChanged) {
+                update.transactions.forEach(tr => this.handleTransaction(tr));
+            }
+        });
+    }
+
+    /**
+     * Forward keystrokes and composition from the view
+     */
+    attach(view) {
+        this.attachDOM(view.contentDOM);
+        return this;
+    }
+
+    /**
+     * Semantic event for a transaction (from its userEvent annotation)
+     */
+    kindForTransaction(tr) {
+        if (tr.isUserEvent('input.type.compose')) {
+            return 'compose';
+        }
+        if (tr.isUserEvent('input.paste')) {
+            return 'paste';
+        }
+        if (tr.isUserEvent('input.drop') || tr.isUserEvent('move.drop')) {
+            return 'drop';
+        }
+        // Autocompletion inserts text the writer didn't type
+        if (tr.isUserEvent('input.complete')) {
+            return 'programmatic';
+        }
+        if (tr.isUserEvent('input')) {
+            return 'insert';
+        }
+        if (tr.isUserEvent('delete')) {
+            return 'delete';
+        }
+        if (tr.isUserEvent('undo')) {
+            return 'undo';
+        }
+        if (tr.isUserEvent('redo')) {
+            return 'redo';
+        }
+        return 'programmatic';
+    }
+
+    /**
+     * Record one transaction's changes
+     */
+    handleTransaction(tr) {
+        if (!tr.docChanged) {
+            return;
+        }
+        let inserted = 0;
+        let removed = 0;
+        let position = null;
+        tr.changes.iterChanges((fromA, toA, fromB, toB, text) => {
+            inserted += text.length;
+            removed += toA - fromA;
+            if (position === null) {
+                position = fromB;
+            }
+        });
+        this.pendingSource = null;
+        this.record(this.kindForTransaction(tr), inserted, removed, position);
+    }
+}
+
+/**
+ * Monaco (monaco-editor)
+ */
+class MonacoAdapter extends EditorAdapter {
+    /**
+     * Start tracking an editor instance
+     */
+    attach(editor) {
+        this.attachDOM(editor.getDomNode());
+        const subscription = editor.onDidChangeModelContent(event => this.handleChange(event));
+        this.listeners.push({ dispose: () => subscription.dispose() });
+        return this;
+    }
+
+    /**
+     * Semantic event for a model change (Monaco doesn't say where typing came from)
+     */
+    kindForChange(event, inserted) {
+        if (event.isUndoing) {
+            return 'undo';
+        }
+        if (event.isRedoing) {
+            return 'redo';
+        }
+        // setValue() replaces the whole model
+        if (event.isFlush) {
+            return 'programmatic';
+        }
+        const pending = this.takePendingSource();
+        if (pending) {
+            return pending;
+        }
+        if (!this.isUserChange()) {
+            return 'programmatic';
+        }
+        return inserted > 0 ? 'insert' : 'delete';
+    }
+
+    /**
+     * Record a model content change
+     */
+    handleChange(event) {
+        let inserted = 0;
+        let removed = 0;
+        let position = null;
+        event.changes.forEach(change => {
+            inserted += change.text.length;
+            removed += change.rangeLength;
+            if (position === null || change.rangeOffset < position) {
+                position = change.rangeOffset;
+            }
+        });
+        this.record(this.kindForChange(event, inserted), inserted, removed, position);
+    }
+}
+
+/**
+ * ProseMirror (prosemirror-state / prosemirror-view)
+ */
+class ProseMirrorAdapter extends EditorAdapter {
+    /**
+     * Editor plugin that reports document changes
+     * @param {Function} Plugin - The Plugin class from prosemirror-state
+     */
+    plugin(Plugin) {
+        return new Plugin({
+            appendTransaction: (transactions) => {
+                if (!this.detached) {
+                    transactions.forEach(tr => this.handleTransaction(tr));
+                }
+                return null;
+            }
+        });
+    }
+
+    /**
+     * Forward keystrokes and composition from the view
+     */
+    attach(view) {
+        this.view = view;
+        this.attachDOM(view.dom);
+        return this;
+    }
+
+    /**
+     * Semantic event for a transaction (from its metadata)
+     */
+    kindForTransaction(tr, inserted, textRemoved) {
+        const history = tr.getMeta('history$');
+        if (history) {
+            return history.redo ? 'redo' : 'undo';
+        }
+        if (tr.getMeta('composition') !== undefined || (this.view && this.view.composing)) {
+            return 'compose';
+        }
+        const uiEvent = tr.getMeta('uiEvent');
+        if (tr.getMeta('paste') || uiEvent === 'paste') {
+            return 'paste';
+        }
+        if (uiEvent === 'drop') {
+            return 'drop';
+        }
+        if (uiEvent === 'cut') {
+            return 'delete';
+        }
+        const pending = this.takePendingSource();
+        if (pending) {
+            return pending;
+        }
+        if (!this.isUserChange()) {
+            return 'programmatic';
+        }
+        if (inserted > 0) {
+            return 'insert';
+        }
+        return textRemoved ? 'delete' : 'format';
+    }
+
+    /**
+     * Record one transaction's steps
+     */
+    handleTransaction(tr) {
+        if (!tr.docChanged) {
+            return;
+        }
+        let inserted = 0;
+        let removed = 0;
+        let position = null;
+        tr.steps.forEach(step => {
+            // Replace steps carry a slice; mark steps change formatting only
+            if (step.slice) {
+                const content = step.slice.content;
+                inserted += content.textBetween(0, content.size, '\n', ' ').length;
+                removed += step.to - step.from;
+                if (position === null) {
+                    position = step.from;
+                }
+            }
+        });
+        this.record(this.kindForTransaction(tr, inserted, removed > 0), inserted, removed, position);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        EditorAdapter,
+        ContentEditableAdapter,
+        CodeMirrorAdapter,
+        MonacoAdapter,
+        ProseMirrorAdapter
+    };
+}
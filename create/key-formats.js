@@ -0,0 +1,648 @@
+/**
+ * Standard Key File Formats for PoHW Signing Keys
+ * Ed25519 keys as PKCS#8 / SPKI PEM (RFC 8410), JWK (RFC 8037, private JWKs
+ * encrypted as JWE) and OpenSSH, so keys move freely between the web creator,
+ * openssl and the CLI.
+ * Passphrase-protected OpenSSH keys need bcryptPbkdf (bcrypt-pbkdf.js).
+ */
+
+// DER-encoded OIDs (tag + length + value)
+const OID_ED25519 = '06032b6570';                        // 1.3.101.112
+const OID_PBES2 = '06092a864886f70d01050d';               // 1.2.840.113549.1.5.13
+const OID_PBKDF2 = '06092a864886f70d01050c';              // 1.2.840.113549.1.5.12
+const OID_HMAC_SHA1 = '06082a864886f70d0207';             // 1.2.840.113549.2.7
+const OID_HMAC_SHA256 = '06082a864886f70d0209';           // 1.2.840.113549.2.9
+const OID_AES128_CBC = '0609608648016503040102';          // 2.16.840.1.101.3.4.1.2
+const OID_AES256_CBC = '060960864801650304012a';          // 2.16.840.1.101.3.4.1.42
+
+// Fixed DER prefixes for Ed25519 keys
+const PKCS8_ED25519_PREFIX = '302e020100300506032b657004220420';
+const SPKI_ED25519_PREFIX = '302a300506032b6570032100';
+
+// Passphrase protection of private JWKs: compact JWE (RFC 7516, 7518 section 4.8)
+const JWE_ALG = 'PBES2-HS256+A128KW';
+const JWE_ENC = 'A256GCM';
+const JWE_PBES2 = {
+    'PBES2-HS256+A128KW': { hash: 'SHA-256', keyLength: 16 },
+    'PBES2-HS384+A192KW': { hash: 'SHA-384', keyLength: 24 },
+    'PBES2-HS512+A256KW': { hash: 'SHA-512', keyLength: 32 }
+};
+
+// Passphrase protection of OpenSSH keys, as ssh-keygen writes it
+const OPENSSH_CIPHER = 'aes256-ctr';
+const OPENSSH_KDF = 'bcrypt';
+const OPENSSH_KDF_ROUNDS = 16;
+
+/**
+ * Hex string to bytes
+ */
+function formatHexToBytes(hex) {
+    return new Uint8Array((hex.match(/../g) || []).map(b => parseInt(b, 16)));
+}
+
+/**
+ * Bytes to hex string
+ */
+function formatBytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Concatenate byte arrays
+ */
+function concatBytes(...arrays) {
+    const result = new Uint8Array(arrays.reduce((sum, a) => sum + a.length, 0));
+    let offset = 0;
+    for (const a of arrays) {
+        result.set(a, offset);
+        offset += a.length;
+    }
+    return result;
+}
+
+/**
+ * Standard base64 encoding of bytes
+ */
+function bytesToBase64(bytes) {
+    let binary = '';
+    bytes.forEach(b => { binary += String.fromCharCode(b); });
+    return btoa(binary);
+}
+
+/**
+ * Standard or URL-safe base64 decoding to bytes
+ */
+function base64ToBytes(text) {
+    let normalized = text.replace(/\s+/g, '').replace(/-/g, '+').replace(/_/g, '/');
+    while (normalized.length % 4 !== 0) normalized += '=';
+    return Uint8Array.from(atob(normalized), c => c.charCodeAt(0));
+}
+
+/**
+ * base64url without padding (JWK)
+ */
+function bytesToBase64Url(bytes) {
+    return bytesToBase64(bytes).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+/**
+ * Wrap bytes in PEM armour
+ */
+function toPEM(label, bytes, lineLength = 64) {
+    const body = bytesToBase64(bytes).match(new RegExp(`.{1,${lineLength}}`, 'g')).join('\n');
+    return `-----BEGIN ${label}-----\n${body}\n-----END ${label}-----\n`;
+}
+
+/**
+ * Extract label and bytes from PEM armour
+ * @returns {Object|null} { label, bytes } or null if the text is not PEM
+ */
+function fromPEM(text) {
+    const match = /-----BEGIN ([A-Z0-9 ]+)-----([\s\S]*?)-----END \1-----/.exec(text);
+    if (!match) {
+        return null;
+    }
+    if (/Proc-Type:/.test(match[2])) {
+        throw new Error('Legacy OpenSSL-encrypted PEM is not supported; convert it with "openssl pkcs8 -topk8 -v2 aes256"');
+    }
+    return { label: match[1], bytes: base64ToBytes(match[2]) };
+}
+
+/**
+ * Encode a DER element
+ */
+function derEncode(tag, content) {
+    let length;
+    if (content.length < 0x80) {
+        length = [content.length];
+    } else {
+        const bytes = [];
+        for (let n = content.length; n > 0; n >>= 8) bytes.unshift(n & 0xff);
+        length = [0x80 | bytes.length, ...bytes];
+    }
+    return concatBytes(new Uint8Array([tag, ...length]), content);
+}
+
+/**
+ * Encode a non-negative DER INTEGER
+ */
+function derInteger(value) {
+    const bytes = [];
+    for (let n = value; n > 0; n = Math.floor(n / 256)) bytes.unshift(n % 256);
+    if (bytes.length === 0 || bytes[0] & 0x80) bytes.unshift(0);
+    return derEncode(0x02, new Uint8Array(bytes));
+}
+
+/**
+ * Decode one DER element
+ * @returns {Object} { tag, content, end }
+ */
+function derDecode(bytes, offset = 0) {
+    if (offset + 2 > bytes.length) {
+        throw new Error('Truncated DER data');
+    }
+    const tag = bytes[offset];
+    let length = bytes[offset + 1];
+    let start = offset + 2;
+    if (length & 0x80) {
+        const count = length & 0x7f;
+        length = 0;
+        for (let i = 0; i < count; i++) length = length * 256 + bytes[start + i];
+        start += count;
+    }
+    if (start + length > bytes.length) {
+        throw new Error('Truncated DER data');
+    }
+    return { tag: tag, content: bytes.subarray(start, start + length), end: start + length };
+}
+
+/**
+ * Decode the children of a constructed DER element (SEQUENCE)
+ */
+function derChildren(content) {
+    const children = [];
+    let offset = 0;
+    while (offset < content.length) {
+        const child = derDecode(content, offset);
+        children.push(child);
+        offset = child.end;
+    }
+    return children;
+}
+
+/**
+ * Re-encode a decoded element (for comparing OIDs)
+ */
+function derHex(element) {
+    return formatBytesToHex(derEncode(element.tag, element.content));
+}
+
+/**
+ * Parse a DER INTEGER into a number
+ */
+function derToNumber(element) {
+    return Array.from(element.content).reduce((n, b) => n * 256 + b, 0);
+}
+
+/**
+ * Ed25519 private key -> unencrypted PKCS#8 DER
+ */
+function encodePKCS8(seed) {
+    return concatBytes(formatHexToBytes(PKCS8_ED25519_PREFIX), seed);
+}
+
+/**
+ * Unencrypted PKCS#8 DER -> 32-byte Ed25519 seed
+ * Accepts v1 (PrivateKeyInfo) and v2 (OneAsymmetricKey with embedded public key)
+ */
+function decodePKCS8(der) {
+    const [version, algorithm, privateKey] = derChildren(derDecode(der).content);
+    if (!version || version.tag !== 0x02 || !algorithm || !privateKey) {
+        throw new Error('Not a PKCS#8 private key');
+    }
+    if (derHex(derChildren(algorithm.content)[0]) !== OID_ED25519) {
+        throw new Error('Only Ed25519 keys are supported');
+    }
+    const seed = derDecode(privateKey.content);
+    if (seed.tag !== 0x04 || seed.content.length !== 32) {
+        throw new Error('Malformed Ed25519 private key');
+    }
+    return new Uint8Array(seed.content);
+}
+
+/**
+ * Ed25519 public key -> SPKI DER
+ */
+function encodeSPKI(publicKey) {
+    return concatBytes(formatHexToBytes(SPKI_ED25519_PREFIX), publicKey);
+}
+
+/**
+ * Derive the AES key for PBES2 (AES-CBC for PKCS#8, AES-KW for JWE)
+ */
+async function derivePBES2Key(password, salt, iterations, hash, keyLength, cipher = 'AES-CBC', usages = ['encrypt', 'decrypt']) {
+    const material = await crypto.subtle.importKey(
+        'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveKey']
+    );
+    return crypto.subtle.deriveKey(
+        { name: 'PBKDF2', salt: salt, iterations: iterations, hash: hash },
+        material,
+        { name: cipher, length: keyLength * 8 },
+        false,
+        usages
+    );
+}
+
+/**
+ * Encrypt PKCS#8 DER as EncryptedPrivateKeyInfo
+ * PBES2 with PBKDF2-HMAC-SHA256 and AES-256-CBC, as "openssl pkcs8 -topk8 -v2 aes256" writes it
+ */
+async function encryptPKCS8(der, password, iterations) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    const iv = crypto.getRandomValues(new Uint8Array(16));
+    const key = await derivePBES2Key(password, salt, iterations, 'SHA-256', 32);
+    const ciphertext = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CBC', iv: iv }, key, der));
+
+    const kdf = derEncode(0x30, concatBytes(
+        formatHexToBytes(OID_PBKDF2),
+        derEncode(0x30, concatBytes(
+            derEncode(0x04, salt),
+            derInteger(iterations),
+            derEncode(0x30, concatBytes(formatHexToBytes(OID_HMAC_SHA256), new Uint8Array([0x05, 0x00])))
+        ))
+    ));
+    const cipher = derEncode(0x30, concatBytes(formatHexToBytes(OID_AES256_CBC), derEncode(0x04, iv)));
+    const algorithm = derEncode(0x30, concatBytes(
+        formatHexToBytes(OID_PBES2),
+        derEncode(0x30, concatBytes(kdf, cipher))
+    ));
+
+    return derEncode(0x30, concatBytes(algorithm, derEncode(0x04, ciphertext)));
+}
+
+/**
+ * Decrypt EncryptedPrivateKeyInfo (PBES2 / PBKDF2 / AES-CBC) to PKCS#8 DER
+ */
+async function decryptPKCS8(der, password) {
+    if (!password) {
+        throw new Error('This key file is encrypted; enter its passphrase');
+    }
+
+    const [algorithm, encrypted] = derChildren(derDecode(der).content);
+    const [scheme, params] = derChildren(algorithm.content);
+    if (derHex(scheme) !== OID_PBES2) {
+        throw new Error('Unsupported key encryption (only PBES2 is supported)');
+    }
+
+    const [kdf, cipher] = derChildren(params.content);
+    const [kdfOid, kdfParams] = derChildren(kdf.content);
+    if (derHex(kdfOid) !== OID_PBKDF2) {
+        throw new Error('Unsupported key derivation (only PBKDF2 is supported)');
+    }
+
+    const kdfFields = derChildren(kdfParams.content);
+    const salt = kdfFields[0].content;
+    const iterations = derToNumber(kdfFields[1]);
+    // Optional keyLength INTEGER, then optional PRF (default HMAC-SHA1)
+    const prf = kdfFields.find((f, i) => i >= 2 && f.tag === 0x30);
+    const prfOid = prf ? derHex(derChildren(prf.content)[0]) : OID_HMAC_SHA1;
+    const hashes = { [OID_HMAC_SHA1]: 'SHA-1', [OID_HMAC_SHA256]: 'SHA-256' };
+    if (!hashes[prfOid]) {
+        throw new Error('Unsupported PBKDF2 hash (use HMAC-SHA1 or HMAC-SHA256)');
+    }
+
+    const [cipherOid, ivElement] = derChildren(cipher.content);
+    const keyLengths = { [OID_AES128_CBC]: 16, [OID_AES256_CBC]: 32 };
+    if (!keyLengths[derHex(cipherOid)]) {
+        throw new Error('Unsupported cipher (use AES-128-CBC or AES-256-CBC)');
+    }
+
+    const key = await derivePBES2Key(password, salt, iterations, hashes[prfOid], keyLengths[derHex(cipherOid)]);
+    try {
+        return new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CBC', iv: ivElement.content }, key, encrypted.content));
+    } catch (error) {
+        throw new Error('Incorrect passphrase');
+    }
+}
+
+/**
+ * Ed25519 keys -> JWK (RFC 8037)
+ * @param {Uint8Array} publicKey - 32-byte public key
+ * @param {Uint8Array|null} seed - 32-byte private key, omitted for a public JWK
+ */
+function encodeJWK(publicKey, seed = null) {
+    const jwk = { kty: 'OKP', crv: 'Ed25519', x: bytesToBase64Url(publicKey) };
+    if (seed) {
+        jwk.d = bytesToBase64Url(seed);
+    }
+    return jwk;
+}
+
+/**
+ * JWK -> { seed, publicKey }
+ */
+function decodeJWK(jwk) {
+    if (jwk.kty !== 'OKP' || jwk.crv !== 'Ed25519') {
+        throw new Error('Only Ed25519 (OKP) JWKs are supported');
+    }
+    if (!jwk.d) {
+        throw new Error('This JWK holds only a public key');
+    }
+    const seed = base64ToBytes(jwk.d);
+    if (seed.length !== 32) {
+        throw new Error('Malformed Ed25519 JWK');
+    }
+    return { seed: seed, publicKey: jwk.x ? base64ToBytes(jwk.x) : null };
+}
+
+/**
+ * PBES2 key-wrapping key of a JWE; the salt is the algorithm name, a zero byte and p2s
+ */
+function deriveJWEKey(password, alg, saltInput, iterations) {
+    const { hash, keyLength } = JWE_PBES2[alg];
+    const salt = concatBytes(new TextEncoder().encode(alg), new Uint8Array([0]), saltInput);
+    return derivePBES2Key(password, salt, iterations, hash, keyLength, 'AES-KW', ['wrapKey', 'unwrapKey']);
+}
+
+/**
+ * Encrypt a JWK as a compact JWE
+ * PBES2-HS256+A128KW with the PKCS#8 iteration count, content encrypted with A256GCM
+ * @returns {Promise<string>} Compact serialization (five base64url parts)
+ */
+async function encryptJWK(jwk, password, iterations) {
+    const encoder = new TextEncoder();
+    const saltInput = crypto.getRandomValues(new Uint8Array(16));
+    const header = { alg: JWE_ALG, enc: JWE_ENC, cty: 'jwk+json', p2s: bytesToBase64Url(saltInput), p2c: iterations };
+    const protectedHeader = bytesToBase64Url(encoder.encode(JSON.stringify(header)));
+
+    const wrappingKey = await deriveJWEKey(password, JWE_ALG, saltInput, iterations);
+    const contentKey = await crypto.subtle.generateKey({ name: 'AES-GCM', length: 256 }, true, ['encrypt']);
+    const encryptedKey = new Uint8Array(await crypto.subtle.wrapKey('raw', contentKey, wrappingKey, 'AES-KW'));
+
+    // WebCrypto appends the 16-byte tag to the ciphertext; JWE carries it separately
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const plaintext = encoder.encode(JSON.stringify(jwk));
+    const sealed = new Uint8Array(await crypto.subtle.encrypt(
+        { name: 'AES-GCM', iv: iv, additionalData: encoder.encode(protectedHeader) }, contentKey, plaintext
+    ));
+    plaintext.fill(0);
+
+    return [
+        protectedHeader,
+        bytesToBase64Url(encryptedKey),
+        bytesToBase64Url(iv),
+        bytesToBase64Url(sealed.subarray(0, sealed.length - 16)),
+        bytesToBase64Url(sealed.subarray(sealed.length - 16))
+    ].join('.');
+}
+
+/**
+ * Decrypt a compact JWE made with a PBES2 passphrase (see encryptJWK) to a JWK
+ */
+async function decryptJWE(text, password) {
+    const parts = text.split('.');
+    let header;
+    try {
+        header = JSON.parse(new TextDecoder().decode(base64ToBytes(parts[0])));
+    } catch (error) {
+        throw new Error('Malformed JWE header');
+    }
+    if (!JWE_PBES2[header.alg] || !['A128GCM', 'A192GCM', 'A256GCM'].includes(header.enc)) {
+        throw new Error(`Unsupported JWE encryption (${header.alg} / ${header.enc}); use PBES2 with AES-GCM`);
+    }
+    if (!header.p2s || !(header.p2c > 0)) {
+        throw new Error('Malformed JWE header (PBES2 salt or iteration count missing)');
+    }
+    if (!password) {
+        throw new Error('This key file is encrypted; enter its passphrase');
+    }
+
+    const wrappingKey = await deriveJWEKey(password, header.alg, base64ToBytes(header.p2s), header.p2c);
+    let contentKey;
+    try {
+        contentKey = await crypto.subtle.unwrapKey('raw', base64ToBytes(parts[1]), wrappingKey, 'AES-KW', 'AES-GCM', false, ['decrypt']);
+    } catch (error) {
+        throw new Error('Incorrect passphrase');
+    }
+
+    let plaintext;
+    try {
+        plaintext = new Uint8Array(await crypto.subtle.decrypt(
+            { name: 'AES-GCM', iv: base64ToBytes(parts[2]), additionalData: new TextEncoder().encode(parts[0]) },
+            contentKey,
+            concatBytes(base64ToBytes(parts[3]), base64ToBytes(parts[4]))
+        ));
+    } catch (error) {
+        throw new Error('Corrupt JWE (authentication tag does not match)');
+    }
+    try {
+        return JSON.parse(new TextDecoder().decode(plaintext));
+    } finally {
+        plaintext.fill(0);
+    }
+}
+
+/**
+ * SSH wire-format string (uint32 length + bytes)
+ */
+function sshString(value) {
+    const bytes = typeof value === 'string' ? new TextEncoder().encode(value) : value;
+    const length = new Uint8Array(4);
+    new DataView(length.buffer).setUint32(0, bytes.length);
+    return concatBytes(length, bytes);
+}
+
+/**
+ * Sequential reader for SSH wire format
+ */
+function sshReader(bytes) {
+    let offset = 0;
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const reader = {
+        uint32() {
+            if (offset + 4 > bytes.length) throw new Error('Truncated OpenSSH key');
+            const value = view.getUint32(offset);
+            offset += 4;
+            return value;
+        },
+        bytes() {
+            const length = reader.uint32();
+            if (offset + length > bytes.length) throw new Error('Truncated OpenSSH key');
+            const value = bytes.subarray(offset, offset + length);
+            offset += length;
+            return value;
+        },
+        string() {
+            return new TextDecoder().decode(reader.bytes());
+        }
+    };
+    return reader;
+}
+
+/**
+ * Ed25519 public key -> OpenSSH public key line
+ */
+function encodeOpenSSHPublic(publicKey, comment = '') {
+    const blob = concatBytes(sshString('ssh-ed25519'), sshString(publicKey));
+    return `ssh-ed25519 ${bytesToBase64(blob)}${comment ? ' ' + comment : ''}\n`;
+}
+
+/**
+ * Derive the AES-256-CTR key and counter block for an OpenSSH key file
+ * @returns {Promise<Object>} { key: CryptoKey, counter: Uint8Array(16) }
+ */
+async function deriveOpenSSHKey(password, salt, rounds) {
+    const material = await bcryptPbkdf(password, salt, rounds, 48);
+    try {
+        const key = await crypto.subtle.importKey('raw', material.slice(0, 32), 'AES-CTR', false, ['encrypt', 'decrypt']);
+        return { key: key, counter: material.slice(32) };
+    } finally {
+        material.fill(0);
+    }
+}
+
+/**
+ * Ed25519 keys -> OpenSSH private key (openssh-key-v1)
+ * With a passphrase the key is encrypted as "ssh-keygen" does (aes256-ctr, bcrypt KDF).
+ * @returns {Promise<string>} PEM text
+ */
+async function encodeOpenSSHPrivate(seed, publicKey, comment = '', password = null) {
+    const publicBlob = concatBytes(sshString('ssh-ed25519'), sshString(publicKey));
+    const check = crypto.getRandomValues(new Uint8Array(4));
+    let privateSection = concatBytes(
+        check, check,
+        sshString('ssh-ed25519'),
+        sshString(publicKey),
+        sshString(concatBytes(seed, publicKey)),
+        sshString(comment)
+    );
+    // Pad to the cipher block size (8 for "none", 16 for AES) with 1, 2, 3, ...
+    const blockSize = password ? 16 : 8;
+    const padding = [];
+    for (let i = 1; (privateSection.length + padding.length) % blockSize !== 0; i++) padding.push(i);
+    privateSection = concatBytes(privateSection, new Uint8Array(padding));
+
+    let cipher = 'none';
+    let kdf = 'none';
+    let kdfOptions = new Uint8Array(0);
+    if (password) {
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const rounds = new Uint8Array(4);
+        new DataView(rounds.buffer).setUint32(0, OPENSSH_KDF_ROUNDS);
+        const { key, counter } = await deriveOpenSSHKey(password, salt, OPENSSH_KDF_ROUNDS);
+        const plaintext = privateSection;
+        privateSection = new Uint8Array(await crypto.subtle.encrypt({ name: 'AES-CTR', counter: counter, length: 128 }, key, plaintext));
+        plaintext.fill(0);
+        cipher = OPENSSH_CIPHER;
+        kdf = OPENSSH_KDF;
+        kdfOptions = concatBytes(sshString(salt), rounds);
+    }
+
+    const body = concatBytes(
+        new TextEncoder().encode('openssh-key-v1\0'),
+        sshString(cipher),
+        sshString(kdf),
+        sshString(kdfOptions),
+        new Uint8Array([0, 0, 0, 1]),
+        sshString(publicBlob),
+        sshString(privateSection)
+    );
+    return toPEM('OPENSSH PRIVATE KEY', body, 70);
+}
+
+/**
+ * OpenSSH private key (openssh-key-v1) -> { seed, publicKey }
+ * Unencrypted, or encrypted with aes256-ctr and the bcrypt KDF (the ssh-keygen default)
+ * @returns {Promise<Object>} { seed, publicKey }
+ */
+async function decodeOpenSSHPrivate(bytes, password = null) {
+    const magic = new TextDecoder().decode(bytes.subarray(0, 15));
+    if (magic !== 'openssh-key-v1\0') {
+        throw new Error('Not an OpenSSH private key');
+    }
+
+    const reader = sshReader(bytes.subarray(15));
+    const cipher = reader.string();
+    const kdf = reader.string();
+    const kdfOptions = reader.bytes();
+    if (cipher !== 'none' && (cipher !== OPENSSH_CIPHER || kdf !== OPENSSH_KDF)) {
+        throw new Error(`Unsupported OpenSSH key encryption (${cipher}); ` +
+            `re-encrypt it with "ssh-keygen -p -Z ${OPENSSH_CIPHER} -f <file>"`);
+    }
+    if (reader.uint32() !== 1) {
+        throw new Error('OpenSSH key files with several keys are not supported');
+    }
+    reader.bytes(); // public key blob
+    let privateSection = reader.bytes();
+
+    if (cipher !== 'none') {
+        if (!password) {
+            throw new Error('This key file is encrypted; enter its passphrase');
+        }
+        const options = sshReader(kdfOptions);
+        const salt = options.bytes();
+        const rounds = options.uint32();
+        if (privateSection.length % 16 !== 0) {
+            throw new Error('Corrupt OpenSSH key (encrypted section is not whole blocks)');
+        }
+        const { key, counter } = await deriveOpenSSHKey(password, salt, rounds);
+        privateSection = new Uint8Array(await crypto.subtle.decrypt({ name: 'AES-CTR', counter: counter, length: 128 }, key, privateSection));
+    }
+
+    const section = sshReader(privateSection);
+    if (section.uint32() !== section.uint32()) {
+        // CTR mode has no padding check: a wrong passphrase shows up here
+        throw new Error(cipher !== 'none' ? 'Incorrect passphrase' : 'Corrupt OpenSSH key (check bytes differ)');
+    }
+    if (section.string() !== 'ssh-ed25519') {
+        throw new Error('Only ssh-ed25519 keys are supported');
+    }
+    const publicKey = section.bytes();
+    const secret = section.bytes();
+    if (secret.length !== 64) {
+        throw new Error('Malformed ssh-ed25519 private key');
+    }
+    return { seed: new Uint8Array(secret.subarray(0, 32)), publicKey: new Uint8Array(publicKey) };
+}
+
+/**
+ * Recognise and parse a private key file
+ * @param {string} text - PEM (PKCS#8, encrypted PKCS#8, OpenSSH), JWK JSON or a JWE-encrypted JWK
+ * @param {string} password - Passphrase for encrypted files
+ * @returns {Promise<Object|null>} { seed, publicKey|null, format } or null if not a key file
+ */
+async function parsePrivateKeyFile(text, password = null) {
+    const input = text.trim();
+
+    if (input.startsWith('{')) {
+        const json = JSON.parse(input);
+        if (!json.kty) {
+            return null;
+        }
+        return { ...decodeJWK(json), format: 'jwk' };
+    }
+
+    // Compact JWE: five base64url parts separated by dots
+    if (/^[\w-]+(\.[\w-]*){4}$/.test(input)) {
+        return { ...decodeJWK(await decryptJWE(input, password)), format: 'jwk-encrypted' };
+    }
+
+    const pem = fromPEM(input);
+    if (!pem) {
+        return null;
+    }
+
+    switch (pem.label) {
+        case 'PRIVATE KEY':
+            return { seed: decodePKCS8(pem.bytes), publicKey: null, format: 'pkcs8' };
+        case 'ENCRYPTED PRIVATE KEY':
+            return { seed: decodePKCS8(await decryptPKCS8(pem.bytes, password)), publicKey: null, format: 'pkcs8-encrypted' };
+        case 'OPENSSH PRIVATE KEY':
+            return { ...(await decodeOpenSSHPrivate(pem.bytes, password)), format: 'openssh' };
+        case 'PUBLIC KEY':
+            throw new Error('This is a public key; a private key is needed to sign');
+        default:
+            throw new Error(`Unsupported PEM type: ${pem.label}`);
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        toPEM,
+        fromPEM,
+        encodePKCS8,
+        decodePKCS8,
+        encodeSPKI,
+        encryptPKCS8,
+        decryptPKCS8,
+        encodeJWK,
+        decodeJWK,
+        encryptJWK,
+        decryptJWE,
+        encodeOpenSSHPublic,
+        encodeOpenSSHPrivate,
+        decodeOpenSSHPrivate,
+        parsePrivateKeyFile
+    };
+}
@@ -8,264 +8,1448 @@ class PoHWKeyManager {
         this.keyPair = null;
         this.did = null;
         this.storageKey = 'pohw-keys';
+        
+        // Encryption at rest (PBKDF2 -> AES-GCM)
+        this.kdfIterations = 600000; // OWASP 2023 recommendation for PBKDF2-SHA256
+        this.minPassphraseLength = 8;
+        this.minPinLength = 4; // unlock PIN of a browser-protected key
+        this.encryptionKey = null; // Derived AES key (non-extractable), kept for re-saving
+        this.encryptionSalt = null;
+        this.encryptionIterations = null;
+        
+        // Storage backends:
+        //  'webcrypto' - non-extractable Ed25519 CryptoKey held in IndexedDB
+        //  'noble'     - @noble/ed25519 key bytes, passphrase-encrypted in localStorage
+        this.backend = null;
+        this.dbName = 'pohw-keystore';
+        this.dbStoreName = 'keys';
+        this.nativeEd25519Supported = null; // Cached feature detection result
+        
+        // DID method: 'key' (did:key, full public key) or 'pohw' (legacy short form)
+        this.didMethodStorageKey = 'pohw-did-method';
+        this.didMethod = this.loadDIDMethod();
+        
+        // Signed key rotation statements, oldest first
+        this.lineageStorageKey = 'pohw-key-lineage';
+        
+        // Signed revocation statements (kept until a registry accepts them)
+        this.revocationStorageKey = 'pohw-key-revocations';
+        
+        // Keyring: several named identities, each with its own key, lineage and revocation slots.
+        // The 'default' identity uses the original unsuffixed storage keys.
+        this.keyringStorageKey = 'pohw-keyring';
+        this.proofLogStorageKey = 'pohw-proof-log';
+        
+        // Optional passkey gate: every sign() needs a WebAuthn user-verification first
+        this.passkeyTimeout = 60000;
+        this.lastPasskeyAssertion = null;
+        this.identityId = null;
+        const keyring = this.loadKeyring();
+        try {
+            if (!localStorage.getItem(this.keyringStorageKey)) {
+                this.saveKeyring(keyring);
+            }
+        } catch (error) {
+            // Storage blocked or full: the default keyring still works for this page load
+            console.warn('[KeyManager] Could not save keyring:', error);
+        }
+        this.activateIdentity(keyring.active);
     }
 
     /**
-     * Check if keys exist in storage
+     * Load the keyring index
+     * Without one, the keyring holds a single 'default' identity (pre-keyring storage)
      */
-    async hasKeys() {
+    loadKeyring() {
         try {
-            const stored = localStorage.getItem(this.storageKey);
-            return stored !== null;
+            const stored = localStorage.getItem(this.keyringStorageKey);
+            if (stored) {
+                const keyring = JSON.parse(stored);
+                if (Array.isArray(keyring.identities) && keyring.identities.length > 0) {
+                    return keyring;
+                }
+            }
         } catch (error) {
-            return false;
+            console.warn('[KeyManager] Could not read keyring, using default identity:', error);
         }
+        
+        const info = this.getStoredKeyInfo('pohw-keys');
+        return {
+            active: 'default',
+            identities: [{
+                id: 'default',
+                label: 'Default',
+                createdAt: (info && info.createdAt) || new Date().toISOString()
+            }]
+        };
     }
 
     /**
-     * Generate new Ed25519 keypair using @noble/ed25519
+     * Save the keyring index
      */
-    async generateKeys() {
-        try {
-            // Load ed25519 library if needed
-            await this.ensureEd25519Library();
-            
-            // Generate random private key (32 bytes for Ed25519)
-            const ed25519Lib = window.ed25519 || ed25519;
-            const privateKeyBytes = ed25519Lib.utils.randomPrivateKey();
-            
-            // Derive public key
-            const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
-            const did = this.generateDID(publicKey);
-            
-            this.keyPair = {
-                privateKey: privateKeyBytes,
-                publicKey: publicKey
+    saveKeyring(keyring) {
+        localStorage.setItem(this.keyringStorageKey, JSON.stringify(keyring));
+    }
+
+    /**
+     * Point storage at an identity's slot
+     */
+    activateIdentity(id) {
+        const suffix = id === 'default' ? '' : `:${id}`;
+        this.identityId = id;
+        this.storageKey = 'pohw-keys' + suffix;
+        this.lineageStorageKey = 'pohw-key-lineage' + suffix;
+        this.passkeyStorageKey = 'pohw-passkey' + suffix;
+        this.unlockPinStorageKey = 'pohw-unlock-pin' + suffix;
+        this.revocationStorageKey = 'pohw-key-revocations' + suffix;
+    }
+
+    /**
+     * List identities in the keyring
+     * @returns {Array<Object>} [{ id, label, createdAt, active, hasKeys, did, backend }]
+     */
+    listIdentities() {
+        return this.loadKeyring().identities.map(identity => {
+            const suffix = identity.id === 'default' ? '' : `:${identity.id}`;
+            const info = this.getStoredKeyInfo('pohw-keys' + suffix);
+            return {
+                id: identity.id,
+                label: identity.label,
+                createdAt: identity.createdAt,
+                active: identity.id === this.identityId,
+                hasKeys: !!info,
+                did: info && info.publicKey ? this.generateDID(this.hexToBytes(info.publicKey)) : null,
+                backend: info ? info.backend : null
             };
-            this.did = did;
-            
-            // Store keys
-            await this.saveKeys();
-            
-            return { keyPair: this.keyPair, did: this.did };
-        } catch (error) {
-            console.error('Error generating keys:', error);
-            throw new Error('Failed to generate keys: ' + error.message);
+        });
+    }
+
+    /**
+     * Get the active identity ({ id, label, createdAt })
+     */
+    getActiveIdentity() {
+        const keyring = this.loadKeyring();
+        return keyring.identities.find(i => i.id === this.identityId) || keyring.identities[0];
+    }
+
+    /**
+     * Validate an identity label
+     */
+    normalizeIdentityLabel(label) {
+        const trimmed = String(label || '').trim();
+        if (!trimmed) {
+            throw new Error('Identity label cannot be empty');
+        }
+        if (trimmed.length > 40) {
+            throw new Error('Identity label must be 40 characters or fewer');
         }
+        return trimmed;
     }
 
     /**
-     * Ensure Ed25519 library is loaded
+     * Add a new (empty) identity and switch to it
+     * Generate or import a key afterwards to fill it.
+     * @param {string} label - Display name, e.g. "Personal" or a pen name
      */
-    async ensureEd25519Library() {
-        // Check if already available
-        if (window.ed25519 && typeof window.ed25519.getPublicKey === 'function') {
-            return;
+    createIdentity(label) {
+        const keyring = this.loadKeyring();
+        const normalized = this.normalizeIdentityLabel(label);
+        if (keyring.identities.some(i => i.label === normalized)) {
+            throw new Error(`An identity named "${normalized}" already exists`);
         }
         
-        // Check if already loading
-        if (window._ed25519Loading) {
-            return window._ed25519Loading;
-        }
+        const id = this.bytesToHex(crypto.getRandomValues(new Uint8Array(8)));
+        const identity = { id: id, label: normalized, createdAt: new Date().toISOString() };
+        keyring.identities.push(identity);
+        this.saveKeyring(keyring);
         
-        window._ed25519Loading = (async () => {
-            try {
-                // Wait for library to load (check multiple times)
-                let attempts = 0;
-                const maxAttempts = 60; // 3 seconds
-                
-                while (attempts < maxAttempts) {
-                    if (window.ed25519 && typeof window.ed25519.getPublicKey === 'function') {
-                        console.log('[KeyManager] Ed25519 library is ready');
-                        return;
-                    }
-                    await new Promise(resolve => setTimeout(resolve, 50));
-                    attempts++;
-                }
-                
-                // If still not loaded, try dynamic import as last resort
-                if (!window.ed25519 || typeof window.ed25519.getPublicKey !== 'function') {
-                    console.log('[KeyManager] Trying dynamic import as fallback...');
-                    try {
-                        // Try jsDelivr
-                        const ed25519Module = await import('https://cdn.jsdelivr.net/npm/@noble/ed25519@1.7.3/index.js');
-                        window.ed25519 = ed25519Module;
-                        if (window.ed25519 && typeof window.ed25519.getPublicKey === 'function') {
-                            console.log('[KeyManager] ✅ Ed25519 loaded via dynamic import');
-                            return;
-                        }
-                    } catch (importError) {
-                        console.warn('[KeyManager] Dynamic import failed:', importError);
-                        // Try unpkg
-                        try {
-                            const ed25519Module = await import('https://unpkg.com/@noble/ed25519@1.7.3/index.js');
-                            window.ed25519 = ed25519Module;
-                            if (window.ed25519 && typeof window.ed25519.getPublicKey === 'function') {
-                                console.log('[KeyManager] ✅ Ed25519 loaded via unpkg');
-                                return;
-                            }
-                        } catch (unpkgError) {
-                            console.error('[KeyManager] All import methods failed');
-                        }
-                    }
-                }
-                
-                // Final check
-                if (!window.ed25519 || typeof window.ed25519.getPublicKey !== 'function') {
-                    const errorMsg = 'Ed25519 library failed to load. Please:\n' +
-                        '1. Check your internet connection\n' +
-                        '2. Try refreshing the page\n' +
-                        '3. Check browser console for details';
-                    throw new Error(errorMsg);
-                }
-            } catch (error) {
-                console.error('[KeyManager] Ed25519 library loading error:', error);
-                throw error;
-            }
-        })();
+        this.switchIdentity(id);
+        return identity;
+    }
+
+    /**
+     * Switch the active identity
+     * Keys of the previous identity are forgotten in memory; the new one must be loaded/unlocked.
+     */
+    switchIdentity(id) {
+        const keyring = this.loadKeyring();
+        if (!keyring.identities.some(i => i.id === id)) {
+            throw new Error(`Unknown identity: ${id}`);
+        }
         
-        return window._ed25519Loading;
+        this.clearKeys();
+        keyring.active = id;
+        this.saveKeyring(keyring);
+        this.activateIdentity(id);
     }
 
     /**
-     * Generate DID from public key
+     * Rename an identity
      */
-    generateDID(publicKey) {
-        // Convert public key to hex
-        const hex = Array.from(publicKey)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
-        // Use first 16 hex chars for DID (simplified)
-        return `did:pohw:${hex.substring(0, 16)}`;
+    renameIdentity(id, label) {
+        const keyring = this.loadKeyring();
+        const identity = keyring.identities.find(i => i.id === id);
+        if (!identity) {
+            throw new Error(`Unknown identity: ${id}`);
+        }
+        
+        const normalized = this.normalizeIdentityLabel(label);
+        if (keyring.identities.some(i => i.id !== id && i.label === normalized)) {
+            throw new Error(`An identity named "${normalized}" already exists`);
+        }
+        
+        identity.label = normalized;
+        this.saveKeyring(keyring);
+        return identity;
     }
 
     /**
-     * Load keys from storage
+     * Remove an identity and delete its key from this device
+     * Switches to another identity if the active one was removed.
      */
-    async loadKeys() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (!stored) {
-                return null;
-            }
-            
-            await this.ensureEd25519Library();
-            
-            const data = JSON.parse(stored);
-            const privateKeyBytes = new Uint8Array(Object.values(data.privateKey));
-            
-            const ed25519Lib = window.ed25519 || ed25519;
-            const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
-            const did = this.generateDID(publicKey);
-            
-            this.keyPair = {
-                privateKey: privateKeyBytes,
-                publicKey: publicKey
-            };
-            this.did = did;
-            
-            return { keyPair: this.keyPair, did: this.did };
-        } catch (error) {
-            console.error('Error loading keys:', error);
-            return null;
+    async removeIdentity(id) {
+        const keyring = this.loadKeyring();
+        const index = keyring.identities.findIndex(i => i.id === id);
+        if (index === -1) {
+            throw new Error(`Unknown identity: ${id}`);
+        }
+        
+        const suffix = id === 'default' ? '' : `:${id}`;
+        localStorage.removeItem('pohw-keys' + suffix);
+        localStorage.removeItem('pohw-key-lineage' + suffix);
+        localStorage.removeItem('pohw-passkey' + suffix);
+        localStorage.removeItem('pohw-unlock-pin' + suffix);
+        localStorage.removeItem('pohw-key-revocations' + suffix);
+        await this.idbDelete('pohw-keys' + suffix).catch(() => {});
+        
+        keyring.identities.splice(index, 1);
+        if (keyring.identities.length === 0) {
+            keyring.identities.push({ id: 'default', label: 'Default', createdAt: new Date().toISOString() });
         }
+        if (keyring.active === id || !keyring.identities.some(i => i.id === keyring.active)) {
+            keyring.active = keyring.identities[0].id;
+        }
+        this.saveKeyring(keyring);
+        
+        if (this.identityId === id || this.identityId !== keyring.active) {
+            this.clearKeys();
+        }
+        this.activateIdentity(keyring.active);
     }
 
     /**
-     * Import keys from hex string
+     * Record which identity signed a proof (kept on this device only)
+     * @param {Object} proof - { hash, did, timestamp, registry }
+     * @param {Object} identity - Identity that signed ({ id, label })
      */
-    async importKeys(privateKeyHex, password = null) {
+    recordSignedProof(proof, identity = this.getActiveIdentity()) {
+        const log = this.getProofLog();
+        log.push({
+            hash: proof.hash,
+            did: proof.did,
+            timestamp: proof.timestamp,
+            registry: proof.registry,
+            identityId: identity.id,
+            identityLabel: identity.label
+        });
+        localStorage.setItem(this.proofLogStorageKey, JSON.stringify(log));
+    }
+
+    /**
+     * Get locally recorded proofs, optionally for one identity
+     */
+    getProofLog(identityId = null) {
         try {
-            await this.ensureEd25519Library();
-            
-            // Remove 0x prefix if present
-            const hex = privateKeyHex.replace(/^0x/, '').trim();
-            
-            // Convert hex to bytes
-            const privateKeyBytes = new Uint8Array(
-                hex.match(/.{1,2}/g).map(byte => parseInt(byte, 16))
-            );
-            
-            if (privateKeyBytes.length !== 32) {
-                throw new Error('Invalid private key length. Must be 32 bytes (64 hex characters).');
-            }
-            
-            const ed25519Lib = window.ed25519 || ed25519;
-            const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
-            const did = this.generateDID(publicKey);
-            
-            this.keyPair = {
-                privateKey: privateKeyBytes,
-                publicKey: publicKey
-            };
-            this.did = did;
-            
-            await this.saveKeys();
-            
-            return { keyPair: this.keyPair, did: this.did };
+            const stored = localStorage.getItem(this.proofLogStorageKey);
+            const log = stored ? JSON.parse(stored) : [];
+            return identityId ? log.filter(entry => entry.identityId === identityId) : log;
         } catch (error) {
-            console.error('Error importing keys:', error);
-            throw new Error('Failed to import keys: ' + error.message);
+            return [];
         }
     }
 
     /**
-     * Save keys to storage (encrypted)
+     * Load DID method preference ('key' unless compatibility mode was chosen)
      */
-    async saveKeys() {
+    loadDIDMethod() {
         try {
-            const data = {
-                privateKey: Array.from(this.keyPair.privateKey),
-                publicKey: Array.from(this.keyPair.publicKey),
-                did: this.did,
-                createdAt: new Date().toISOString()
-            };
-            
-            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            return localStorage.getItem(this.didMethodStorageKey) === 'pohw' ? 'pohw' : 'key';
         } catch (error) {
-            console.error('Error saving keys:', error);
-            throw new Error('Failed to save keys: ' + error.message);
+            return 'key';
         }
     }
 
     /**
-     * Export keys as hex string
+     * Switch DID method
+     * 'pohw' is a compatibility mode for registries/tools that expect did:pohw identifiers
      */
-    exportKeys() {
-        if (!this.keyPair) {
-            throw new Error('No keys loaded');
+    setDIDMethod(method) {
+        if (method !== 'key' && method !== 'pohw') {
+            throw new Error(`Unsupported DID method: ${method}`);
         }
         
-        const hex = Array.from(this.keyPair.privateKey)
-            .map(b => b.toString(16).padStart(2, '0'))
-            .join('');
+        this.didMethod = method;
+        localStorage.setItem(this.didMethodStorageKey, method);
         
-        return {
-            privateKey: hex,
-            publicKey: Array.from(this.keyPair.publicKey)
-                .map(b => b.toString(16).padStart(2, '0'))
-                .join(''),
-            did: this.did
-        };
+        if (this.keyPair) {
+            this.did = this.generateDID(this.keyPair.publicKey);
+        }
+        
+        // Keep stored metadata in sync so the locked view shows the right DID
+        const info = this.getStoredKeyInfo();
+        if (info && info.publicKey) {
+            const data = JSON.parse(localStorage.getItem(this.storageKey));
+            data.did = this.generateDID(this.hexToBytes(info.publicKey));
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        }
+        
+        return this.did;
     }
 
     /**
-     * Sign message with private key
+     * Check whether the browser supports Ed25519 in WebCrypto (and IndexedDB to hold the key)
      */
-    async sign(message) {
-        if (!this.keyPair) {
-            throw new Error('No keys loaded. Please generate or import keys first.');
+    async supportsNativeEd25519() {
+        if (this.nativeEd25519Supported !== null) {
+            return this.nativeEd25519Supported;
         }
         
-        await this.ensureEd25519Library();
+        try {
+            if (typeof indexedDB === 'undefined' || !crypto.subtle) {
+                throw new Error('IndexedDB or WebCrypto unavailable');
+            }
+            await crypto.subtle.generateKey({ name: 'Ed25519' }, false, ['sign', 'verify']);
+            this.nativeEd25519Supported = true;
+        } catch (error) {
+            console.log('[KeyManager] Native Ed25519 not available, using @noble/ed25519:', error.message);
+            this.nativeEd25519Supported = false;
+        }
         
-        // Convert message to bytes if string
+        return this.nativeEd25519Supported;
+    }
+
+    /**
+     * Resolve which backend to use for new keys
+     * Prefers non-extractable WebCrypto keys, falls back to @noble/ed25519
+     */
+    async resolveBackend(requested = null) {
+        if (requested === 'noble') {
+            return 'noble';
+        }
+        
+        const native = await this.supportsNativeEd25519();
+        if (requested === 'webcrypto' && !native) {
+            throw new Error('This browser does not support non-extractable Ed25519 keys (WebCrypto Ed25519 + IndexedDB)');
+        }
+        
+        return native ? 'webcrypto' : 'noble';
+    }
+
+    /**
+     * Check whether the loaded private key can be read by page scripts
+     */
+    isExtractable() {
+        return this.backend !== 'webcrypto';
+    }
+
+    /**
+     * Check if keys exist in storage
+     */
+    async hasKeys() {
+        try {
+            const stored = localStorage.getItem(this.storageKey);
+            return stored !== null;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    /**
+     * Read stored key metadata without decrypting anything
+     * Returns null if no keys are stored
+     * @param {string} storageKey - Identity slot (defaults to the active identity)
+     */
+    getStoredKeyInfo(storageKey = this.storageKey) {
+        try {
+            const stored = localStorage.getItem(storageKey);
+            if (!stored) {
+                return null;
+            }
+            
+            const data = JSON.parse(stored);
+            return {
+                did: data.did || null,
+                publicKey: Array.isArray(data.publicKey) ? this.bytesToHex(data.publicKey) : (data.publicKey || null),
+                backend: data.backend || 'noble',
+                encrypted: !!data.encryption,
+                createdAt: data.createdAt || null
+            };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Generate new Ed25519 keypair
+     * Uses a non-extractable WebCrypto key when available, otherwise @noble/ed25519
+     * @param {string} password - Passphrase used to encrypt the key at rest (noble backend only)
+     * @param {Object} options - { backend: 'webcrypto' | 'noble' }
+     */
+    async generateKeys(password = null, options = {}) {
+        try {
+            const generated = await this.createKeyPair(options.backend);
+            return await this.storeKeyPair(generated, password);
+        } catch (error) {
+            console.error('Error generating keys:', error);
+            throw new Error('Failed to generate keys: ' + error.message);
+        }
+    }
+
+    /**
+     * Create a new Ed25519 keypair in memory (nothing is stored or replaced)
+     * @param {string} requested - 'webcrypto' | 'noble' (defaults to the best available)
+     * @returns {Promise<Object>} { backend, keyPair, cryptoKeyPair } - cryptoKeyPair for webcrypto only
+     */
+    async createKeyPair(requested = null) {
+        const backend = await this.resolveBackend(requested);
+        if (backend === 'webcrypto') {
+            const cryptoKeyPair = await crypto.subtle.generateKey(
+                { name: 'Ed25519' },
+                false, // Private key can sign but can never be exported
+                ['sign', 'verify']
+            );
+            const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKeyPair.publicKey));
+            return {
+                backend: backend,
+                keyPair: { privateKey: cryptoKeyPair.privateKey, publicKey: publicKey },
+                cryptoKeyPair: cryptoKeyPair
+            };
+        }
+        
+        // Load ed25519 library if needed
+        await this.ensureEd25519Library();
+        
+        // Generate random private key (32 bytes for Ed25519) and derive its public key
+        const ed25519Lib = window.ed25519 || ed25519;
+        const privateKeyBytes = ed25519Lib.utils.randomPrivateKey();
+        const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
+        
+        return {
+            backend: backend,
+            keyPair: { privateKey: privateKeyBytes, publicKey: publicKey }
+        };
+    }
+
+    /**
+     * Make a keypair from createKeyPair the current key and persist it, replacing the stored key
+     * @param {Object} generated - Result of createKeyPair
+     * @param {string} password - Passphrase used to encrypt the key at rest (noble backend only)
+     */
+    async storeKeyPair(generated, password = null) {
+        if (generated.backend === 'webcrypto') {
+            return this.storeNativeKeys(generated.cryptoKeyPair);
+        }
+        
+        this.keyPair = generated.keyPair;
+        this.did = this.generateDID(generated.keyPair.publicKey);
+        this.backend = 'noble';
+        await this.saveKeys(password);
+        
+        return { keyPair: this.keyPair, did: this.did };
+    }
+
+    /**
+     * Ensure Ed25519 library is loaded
+     * The library is vendored (vendor/noble-ed25519-1.7.3.js) and pinned by an
+     * integrity hash in index.html; nothing is ever fetched from a third party.
+     */
+    async ensureEd25519Library() {
+        if (window.ed25519 && typeof window.ed25519.getPublicKey === 'function') {
+            return;
+        }
+        
+        throw new Error(window.ed25519LoadError ||
+            'Ed25519 library is not loaded. Make sure vendor/noble-ed25519-1.7.3.js is included before key-manager.js.');
+    }
+
+    /**
+     * Generate DID from public key
+     * Default is did:key (multicodec ed25519-pub, multibase base58btc), which
+     * embeds the full public key so verifiers can check signatures from the DID alone.
+     */
+    generateDID(publicKey, method = this.didMethod) {
+        if (method === 'pohw') {
+            return legacyDIDFromPublicKey(publicKey);
+        }
+        return didKeyFromPublicKey(publicKey);
+    }
+
+    /**
+     * Get both identifiers for the loaded key
+     * Proofs created before did:key was the default are signed with the did:pohw form.
+     */
+    getDIDAliases() {
+        if (!this.keyPair) {
+            return [];
+        }
+        return [
+            this.generateDID(this.keyPair.publicKey, 'key'),
+            this.generateDID(this.keyPair.publicKey, 'pohw')
+        ];
+    }
+
+    /**
+     * Load keys from storage
+     * Encrypted entries are unlocked with the passphrase. Legacy plaintext
+     * entries are loaded and re-saved in encrypted form (passphrase required).
+     * Browser-protected keys need the passkey, or the unlock PIN, if one is set.
+     * @param {string} password - Passphrase to unlock (or to protect a legacy entry);
+     *   the unlock PIN for a browser-protected key
+     */
+    async loadKeys(password = null) {
+        const stored = localStorage.getItem(this.storageKey);
+        if (!stored) {
+            return null;
+        }
+        
+        const data = JSON.parse(stored);
+        
+        if (data.backend === 'webcrypto') {
+            // Non-extractable key: nothing to decrypt, the browser holds it
+            if (this.isPasskeyRequired()) {
+                await this.requirePasskey(new TextEncoder().encode('pohw:Unlock:' + data.publicKey));
+            } else {
+                await this.checkUnlockPin(password);
+            }
+            return await this.loadNativeKeys(data);
+        }
+        
+        const isLegacy = !data.encryption;
+        
+        if (!password) {
+            throw new Error(isLegacy
+                ? 'A passphrase is required to encrypt your existing key'
+                : 'A passphrase is required to unlock your key');
+        }
+        
+        await this.ensureEd25519Library();
+        
+        let privateKeyBytes;
+        if (isLegacy) {
+            // Pre-encryption format: raw private key bytes as a JSON array
+            privateKeyBytes = new Uint8Array(Object.values(data.privateKey));
+        } else {
+            privateKeyBytes = await this.decryptPrivateKey(data, password);
+        }
+        
+        const ed25519Lib = window.ed25519 || ed25519;
+        const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
+        const did = this.generateDID(publicKey);
+        
+        this.keyPair = {
+            privateKey: privateKeyBytes,
+            publicKey: publicKey
+        };
+        this.did = did;
+        this.backend = 'noble';
+        
+        if (isLegacy) {
+            console.log('[KeyManager] Migrating plaintext key to encrypted storage');
+            await this.saveKeys(password);
+        }
+        
+        return { keyPair: this.keyPair, did: this.did, migrated: isLegacy };
+    }
+
+    /**
+     * Import keys from hex string, an encrypted key envelope or a standard key file
+     * @param {string} privateKeyHex - Hex private key, JSON envelope from encrypted storage,
+     *   PKCS#8 PEM (optionally encrypted), OpenSSH private key, JWK or JWE-encrypted JWK
+     * @param {string} password - Passphrase to decrypt the envelope/file and to encrypt the key at rest
+     * @param {Object} options - { backend: 'webcrypto' | 'noble' }
+     */
+    async importKeys(privateKeyHex, password = null, options = {}) {
+        try {
+            const backend = await this.resolveBackend(options.backend);
+            if (backend === 'noble' && !password) {
+                throw new Error('A passphrase is required to protect the imported key');
+            }
+            
+            await this.ensureEd25519Library();
+            
+            let privateKeyBytes;
+            const input = privateKeyHex.trim();
+            const keyFile = await parsePrivateKeyFile(input, password);
+            
+            if (keyFile) {
+                // PKCS#8 / OpenSSH / JWK; check the embedded public key when the file has one
+                privateKeyBytes = keyFile.seed;
+                if (keyFile.publicKey) {
+                    const ed25519Lib = window.ed25519 || ed25519;
+                    const derived = await ed25519Lib.getPublicKey(privateKeyBytes);
+                    if (this.bytesToHex(derived) !== this.bytesToHex(keyFile.publicKey)) {
+                        throw new Error('The public key in the key file does not match its private key');
+                    }
+                }
+            } else if (input.startsWith('{')) {
+                // Encrypted envelope (same format as localStorage entry)
+                privateKeyBytes = await this.decryptPrivateKey(JSON.parse(input), password);
+            } else {
+                // Remove 0x prefix if present
+                const hex = input.replace(/^0x/, '');
+                if (!/^[0-9a-fA-F]*$/.test(hex)) {
+                    throw new Error('Private key must be hexadecimal.');
+                }
+                privateKeyBytes = this.hexToBytes(hex);
+            }
+            
+            if (privateKeyBytes.length !== 32) {
+                throw new Error('Invalid private key length. Must be 32 bytes (64 hex characters).');
+            }
+            
+            if (backend === 'webcrypto') {
+                // Hand the bytes to WebCrypto and keep only the non-extractable handle
+                return await this.importNativeKeys(privateKeyBytes);
+            }
+            
+            const ed25519Lib = window.ed25519 || ed25519;
+            const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
+            const did = this.generateDID(publicKey);
+            
+            this.keyPair = {
+                privateKey: privateKeyBytes,
+                publicKey: publicKey
+            };
+            this.did = did;
+            this.backend = 'noble';
+            
+            await this.saveKeys(password);
+            
+            return { keyPair: this.keyPair, did: this.did };
+        } catch (error) {
+            console.error('Error importing keys:', error);
+            throw new Error('Failed to import keys: ' + error.message);
+        }
+    }
+
+    /**
+     * Save keys to storage (encrypted)
+     * Private key is encrypted with AES-GCM under a PBKDF2-derived key.
+     * @param {string} password - Passphrase (optional if a key was already derived this session)
+     */
+    async saveKeys(password = null) {
+        try {
+            if (password) {
+                if (password.length < this.minPassphraseLength) {
+                    throw new Error(`Passphrase must be at least ${this.minPassphraseLength} characters`);
+                }
+                this.encryptionSalt = crypto.getRandomValues(new Uint8Array(16));
+                this.encryptionIterations = this.kdfIterations;
+                this.encryptionKey = await this.deriveEncryptionKey(password, this.encryptionSalt, this.encryptionIterations);
+            }
+            
+            if (!this.encryptionKey) {
+                throw new Error('A passphrase is required to encrypt keys');
+            }
+            
+            const publicKeyHex = this.bytesToHex(this.keyPair.publicKey);
+            const iv = crypto.getRandomValues(new Uint8Array(12));
+            const ciphertext = await crypto.subtle.encrypt(
+                // Bind ciphertext to its public key so entries can't be swapped
+                { name: 'AES-GCM', iv: iv, additionalData: new TextEncoder().encode(publicKeyHex) },
+                this.encryptionKey,
+                this.keyPair.privateKey
+            );
+            
+            // Keep original creation date across re-saves
+            const existing = this.getStoredKeyInfo();
+            const createdAt = existing && existing.publicKey === publicKeyHex && existing.createdAt
+                ? existing.createdAt
+                : new Date().toISOString();
+            
+            const data = {
+                version: 2,
+                did: this.did,
+                publicKey: publicKeyHex,
+                encryption: {
+                    kdf: 'PBKDF2',
+                    hash: 'SHA-256',
+                    iterations: this.encryptionIterations,
+                    salt: this.bytesToHex(this.encryptionSalt),
+                    cipher: 'AES-GCM',
+                    iv: this.bytesToHex(iv)
+                },
+                ciphertext: this.bytesToHex(new Uint8Array(ciphertext)),
+                createdAt: createdAt
+            };
+            
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+            
+            // Drop any non-extractable key this entry replaces
+            await this.idbDelete(this.storageKey).catch(() => {});
+        } catch (error) {
+            console.error('Error saving keys:', error);
+            throw new Error('Failed to save keys: ' + error.message);
+        }
+    }
+
+    /**
+     * Import raw Ed25519 private key bytes as a non-extractable WebCrypto key
+     */
+    async importNativeKeys(privateKeyBytes) {
+        // WebCrypto only imports Ed25519 private keys as PKCS#8:
+        // fixed 16-byte header (RFC 8410) followed by the 32-byte seed
+        const pkcs8 = new Uint8Array(48);
+        pkcs8.set(this.hexToBytes('302e020100300506032b657004220420'), 0);
+        pkcs8.set(privateKeyBytes, 16);
+        
+        const privateKey = await crypto.subtle.importKey('pkcs8', pkcs8, { name: 'Ed25519' }, false, ['sign']);
+        pkcs8.fill(0);
+        
+        // Public key is derived with noble (WebCrypto can't derive it from a non-extractable key)
+        const ed25519Lib = window.ed25519 || ed25519;
+        const publicKeyBytes = await ed25519Lib.getPublicKey(privateKeyBytes);
+        const publicKey = await crypto.subtle.importKey('raw', publicKeyBytes, { name: 'Ed25519' }, true, ['verify']);
+        
+        return this.storeNativeKeys({ privateKey, publicKey });
+    }
+
+    /**
+     * Persist a WebCrypto keypair to IndexedDB and record its metadata
+     */
+    async storeNativeKeys(cryptoKeyPair) {
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKeyPair.publicKey));
+        const did = this.generateDID(publicKey);
+        
+        // CryptoKey objects survive structured cloning; extractability is preserved
+        await this.idbPut(this.storageKey, cryptoKeyPair);
+        
+        this.keyPair = {
+            privateKey: cryptoKeyPair.privateKey,
+            publicKey: publicKey
+        };
+        this.did = did;
+        this.backend = 'webcrypto';
+        this.encryptionKey = null;
+        this.encryptionSalt = null;
+        this.encryptionIterations = null;
+        
+        const data = {
+            version: 2,
+            backend: 'webcrypto',
+            did: did,
+            publicKey: this.bytesToHex(publicKey),
+            createdAt: new Date().toISOString()
+        };
+        localStorage.setItem(this.storageKey, JSON.stringify(data));
+        
+        return { keyPair: this.keyPair, did: this.did };
+    }
+
+    /**
+     * Load a non-extractable keypair from IndexedDB
+     */
+    async loadNativeKeys(data) {
+        const cryptoKeyPair = await this.idbGet(this.storageKey);
+        if (!cryptoKeyPair || !cryptoKeyPair.privateKey) {
+            throw new Error('Signing key is missing from this browser\'s key store (site data may have been cleared)');
+        }
+        
+        const publicKey = new Uint8Array(await crypto.subtle.exportKey('raw', cryptoKeyPair.publicKey));
+        
+        this.keyPair = {
+            privateKey: cryptoKeyPair.privateKey,
+            publicKey: publicKey
+        };
+        this.did = this.generateDID(publicKey);
+        this.backend = 'webcrypto';
+        
+        if (data.did !== this.did) {
+            // DID method changed (or metadata predates did:key)
+            data.did = this.did;
+            localStorage.setItem(this.storageKey, JSON.stringify(data));
+        }
+        
+        return { keyPair: this.keyPair, did: this.did, migrated: false };
+    }
+
+    /**
+     * Open the IndexedDB key store
+     */
+    openKeyDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+            
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.dbStoreName);
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the key store
+     */
+    async idbRequest(mode, operation) {
+        const db = await this.openKeyDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.dbStoreName, mode);
+                const request = operation(tx.objectStore(this.dbStoreName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Read a value from the key store
+     */
+    idbGet(key) {
+        return this.idbRequest('readonly', store => store.get(key));
+    }
+
+    /**
+     * Write a value to the key store
+     */
+    idbPut(key, value) {
+        return this.idbRequest('readwrite', store => store.put(value, key));
+    }
+
+    /**
+     * Delete a value from the key store
+     */
+    idbDelete(key) {
+        return this.idbRequest('readwrite', store => store.delete(key));
+    }
+
+    /**
+     * Derive AES-GCM key from passphrase (PBKDF2-SHA256)
+     */
+    async deriveEncryptionKey(password, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(password),
+            'PBKDF2',
+            false,
+            ['deriveKey']
+        );
+        
+        return crypto.subtle.deriveKey(
+            { name: 'PBKDF2', salt: salt, iterations: iterations, hash: 'SHA-256' },
+            baseKey,
+            { name: 'AES-GCM', length: 256 },
+            false, // Non-extractable
+            ['encrypt', 'decrypt']
+        );
+    }
+
+    /**
+     * Decrypt private key from an encrypted storage entry
+     */
+    async decryptPrivateKey(data, password) {
+        const params = data.encryption;
+        if (!params || params.kdf !== 'PBKDF2' || params.cipher !== 'AES-GCM') {
+            throw new Error('Unsupported key encryption format');
+        }
+        
+        const salt = this.hexToBytes(params.salt);
+        const key = await this.deriveEncryptionKey(password, salt, params.iterations);
+        
+        let plaintext;
+        try {
+            plaintext = await crypto.subtle.decrypt(
+                { name: 'AES-GCM', iv: this.hexToBytes(params.iv), additionalData: new TextEncoder().encode(data.publicKey) },
+                key,
+                this.hexToBytes(data.ciphertext)
+            );
+        } catch (error) {
+            // AES-GCM authentication failure: wrong passphrase or tampered entry
+            throw new Error('Incorrect passphrase');
+        }
+        
+        // Reuse derived key for subsequent saves this session
+        this.encryptionKey = key;
+        this.encryptionSalt = salt;
+        this.encryptionIterations = params.iterations;
+        
+        return new Uint8Array(plaintext);
+    }
+
+    /**
+     * Convert bytes to hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes)
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+    }
+
+    /**
+     * Convert hex string to bytes
+     */
+    hexToBytes(hex) {
+        return new Uint8Array((hex.match(/.{1,2}/g) || []).map(byte => parseInt(byte, 16)));
+    }
+
+    /**
+     * Export keys as hex string
+     * Every private-key export goes through here, so a passkey-gated identity
+     * verifies the user before its private bytes leave the key manager.
+     * @param {string} purpose - What the key is exported as (bound into the passkey challenge)
+     */
+    async exportKeys(purpose = 'hex') {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded');
+        }
+        
+        if (!this.isExtractable()) {
+            throw new Error(
+                'This key is a non-extractable key held by your browser. ' +
+                'It can sign proofs, but no script (including this page) can read its private bytes, ' +
+                'so it cannot be exported or backed up. This is what protects it from malicious scripts ' +
+                'and extensions. If you need a portable backup, generate or import a passphrase-encrypted key instead.'
+            );
+        }
+        
+        const publicKeyHex = this.bytesToHex(this.keyPair.publicKey);
+        if (this.isPasskeyRequired()) {
+            await this.requirePasskey(new TextEncoder().encode(`pohw:ExportPrivateKey:${purpose}:${publicKeyHex}`));
+        }
+        
+        const hex = Array.from(this.keyPair.privateKey)
+            .map(b => b.toString(16).padStart(2, '0'))
+            .join('');
+        
+        return {
+            privateKey: hex,
+            publicKey: publicKeyHex,
+            did: this.did
+        };
+    }
+
+    /**
+     * Export the private key as a 24-word recovery phrase
+     * @returns {Promise<string[]>} Mnemonic words
+     */
+    async exportMnemonic() {
+        const keys = await this.exportKeys('mnemonic');
+        return mnemonicFromBytes(this.hexToBytes(keys.privateKey));
+    }
+
+    /**
+     * Restore keys from a 24-word recovery phrase
+     * Derives the same key (and DID) that was exported.
+     * @param {string|string[]} phrase - Mnemonic words
+     * @param {string} password - Passphrase to protect the key on this device
+     * @param {Object} options - Same as importKeys()
+     */
+    async importMnemonic(phrase, password = null, options = {}) {
+        try {
+            const privateKeyBytes = await bytesFromMnemonic(phrase);
+            return await this.importKeys(this.bytesToHex(privateKeyBytes), password, options);
+        } catch (error) {
+            throw new Error('Failed to restore from recovery phrase: ' + error.message);
+        }
+    }
+
+    /**
+     * Export the key as a standard key file
+     * Public formats work for every key; private formats need an extractable key.
+     * @param {string} format - 'pkcs8-pem', 'openssh' or 'jwk' (all passphrase-encrypted),
+     *   'spki-pem', 'jwk-public' or 'openssh-public'
+     * @param {string} password - Passphrase for the private formats
+     * @returns {Promise<Object>} { filename, mimeType, content }
+     */
+    async exportKeyFile(format, password = null) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded');
+        }
+        
+        const publicKey = this.keyPair.publicKey;
+        const publicFormats = {
+            'spki-pem': () => ({ filename: 'pohw-public.pem', mimeType: 'application/x-pem-file', content: toPEM('PUBLIC KEY', encodeSPKI(publicKey)) }),
+            'jwk-public': () => ({ filename: 'pohw-public.jwk', mimeType: 'application/jwk+json', content: JSON.stringify({ ...encodeJWK(publicKey), kid: this.did }, null, 2) }),
+            'openssh-public': () => ({ filename: 'pohw_ed25519.pub', mimeType: 'text/plain', content: encodeOpenSSHPublic(publicKey, this.did) })
+        };
+        if (publicFormats[format]) {
+            return publicFormats[format]();
+        }
+        
+        // Check the request before the private key is read (and a passkey asked for)
+        if (!['pkcs8-pem', 'jwk', 'openssh'].includes(format)) {
+            throw new Error(`Unknown key format: ${format}`);
+        }
+        if (!password || password.length < this.minPassphraseLength) {
+            throw new Error(`A passphrase of at least ${this.minPassphraseLength} characters is required`);
+        }
+        
+        const seed = this.hexToBytes((await this.exportKeys(format)).privateKey);
+        try {
+            switch (format) {
+                case 'pkcs8-pem': {
+                    const der = await encryptPKCS8(encodePKCS8(seed), password, this.kdfIterations);
+                    return { filename: 'pohw-private.pem', mimeType: 'application/x-pem-file', content: toPEM('ENCRYPTED PRIVATE KEY', der) };
+                }
+                case 'jwk':
+                    return { filename: 'pohw-private.jwe', mimeType: 'application/jose', content: await encryptJWK({ ...encodeJWK(publicKey, seed), kid: this.did }, password, this.kdfIterations) };
+                case 'openssh':
+                    return { filename: 'pohw_ed25519', mimeType: 'text/plain', content: await encodeOpenSSHPrivate(seed, publicKey, this.did, password) };
+                default:
+                    throw new Error(`Unknown key format: ${format}`);
+            }
+        } finally {
+            seed.fill(0);
+        }
+    }
+
+    /**
+     * Build a W3C DID document for the loaded key (see did-document.js)
+     * Keys replaced by rotation are listed with their rotation time as `revoked`.
+     * @param {Object} options - { did: subject (defaults to the current DID, e.g. a did:web),
+     *   alsoKnownAs: extra aliases, registryUrl: preferred registry }
+     * @returns {Object} DID document
+     */
+    createDIDDocument({ did = this.did, alsoKnownAs = [], registryUrl = null } = {}) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded');
+        }
+        
+        const previousKeys = this.getKeyLineage()
+            .map(rotation => ({
+                publicKey: this.hexToBytes(rotation.statement.previousPublicKey),
+                supersededAt: rotation.statement.timestamp
+            }))
+            .reverse();
+        
+        const services = registryUrl
+            ? [{ id: '#pohw-registry', type: 'PoHWRegistry', serviceEndpoint: registryUrl }]
+            : [];
+        
+        return buildDIDDocument({
+            did: did,
+            publicKey: this.keyPair.publicKey,
+            previousKeys: previousKeys,
+            alsoKnownAs: [this.did, ...this.getDIDAliases(), ...alsoKnownAs],
+            services: services
+        });
+    }
+
+    /**
+     * Export the DID document as a downloadable file
+     * @param {string} format - 'json-ld' (document for the current DID) or
+     *   'did-web' (zip with /.well-known/did.json for self-hosting)
+     * @param {Object} options - { domain: host/path for did:web, registryUrl }
+     * @returns {Object} { filename, mimeType, content, url? }
+     */
+    exportDIDDocument(format, { domain = null, registryUrl = null } = {}) {
+        const didWeb = domain ? didWebFromLocation(domain) : null;
+        
+        switch (format) {
+            case 'json-ld':
+                return {
+                    filename: 'pohw-did.jsonld',
+                    mimeType: 'application/did+ld+json',
+                    content: JSON.stringify(this.createDIDDocument({ alsoKnownAs: didWeb ? [didWeb] : [], registryUrl }), null, 2)
+                };
+            case 'did-web':
+                if (!didWeb) {
+                    throw new Error('Enter the domain that will host your DID document');
+                }
+                return buildDIDWebBundle(this.createDIDDocument({ did: didWeb, registryUrl }));
+            default:
+                throw new Error(`Unknown DID document format: ${format}`);
+        }
+    }
+
+    /**
+     * Split the private key into Shamir shares
+     * Any `threshold` of the `total` shares rebuild the key.
+     * @param {number} total - Number of shares (N)
+     * @param {number} threshold - Shares needed to rebuild (M)
+     * @returns {Promise<string[]>} Encoded shares (see shamir.js)
+     */
+    async exportShares(total, threshold) {
+        const keys = await this.exportKeys('shares');
+        const privateKeyBytes = this.hexToBytes(keys.privateKey);
+        
+        // Public key prefix identifies the split and lets importShares check the result
+        const setId = keys.publicKey.slice(0, 8);
+        const shares = splitSecret(privateKeyBytes, total, threshold);
+        privateKeyBytes.fill(0);
+        
+        return Promise.all(shares.map(share => encodeShare(share, threshold, setId)));
+    }
+
+    /**
+     * Restore keys from Shamir shares
+     * @param {string[]} shareTexts - Encoded shares (at least the threshold)
+     * @param {string} password - Passphrase to protect the key on this device
+     * @param {Object} options - Same as importKeys()
+     */
+    async importShares(shareTexts, password = null, options = {}) {
+        try {
+            const shares = await Promise.all(shareTexts.map(text => parseShare(text)));
+            if (shares.length === 0) {
+                throw new Error('No shares entered');
+            }
+            
+            const { setId, threshold } = shares[0];
+            if (shares.some(s => s.setId !== setId)) {
+                throw new Error('Shares come from different key splits');
+            }
+            if (shares.length < threshold) {
+                throw new Error(`${threshold} shares are needed, only ${shares.length} entered`);
+            }
+            
+            const privateKeyBytes = combineShares(shares);
+            
+            await this.ensureEd25519Library();
+            const ed25519Lib = window.ed25519 || ed25519;
+            const publicKey = await ed25519Lib.getPublicKey(privateKeyBytes);
+            if (!this.bytesToHex(publicKey).startsWith(setId)) {
+                throw new Error('Shares do not rebuild the original key');
+            }
+            
+            return await this.importKeys(this.bytesToHex(privateKeyBytes), password, options);
+        } catch (error) {
+            throw new Error('Failed to restore from shares: ' + error.message);
+        }
+    }
+
+    /**
+     * Sign message with private key
+     * If the identity has a passkey, a WebAuthn user verification bound to the
+     * message must succeed first (see getLastPasskeyAssertion()).
+     */
+    async sign(message) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded. Please generate or import keys first.');
+        }
+        
+        this.lastPasskeyAssertion = null;
+        if (this.isPasskeyRequired()) {
+            const messageBytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+            this.lastPasskeyAssertion = await this.requirePasskey(messageBytes);
+        }
+        
+        return this.signWithKey(this.keyPair, this.backend, message);
+    }
+
+    /**
+     * Verify a signature made by the loaded key before it leaves the browser
+     * Uses verifyEd25519 from crypto-utils (the verifier's code path), not the signing library.
+     * @param {string|Uint8Array} message - Signed message
+     * @param {string} signatureHex - Signature from sign()
+     * @returns {Promise<Object>} { valid, publicKey, error }
+     */
+    async verifyOwnSignature(message, signatureHex) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded. Please generate or import keys first.');
+        }
+        
+        const publicKey = this.bytesToHex(this.keyPair.publicKey);
+        if (!didMatchesPublicKey(this.did, this.keyPair.publicKey)) {
+            return { valid: false, publicKey: publicKey, error: 'DID does not match the loaded public key' };
+        }
+        
+        try {
+            const valid = await verifyEd25519(this.keyPair.publicKey, message, signatureHex);
+            return {
+                valid: valid,
+                publicKey: publicKey,
+                error: valid ? null : 'Signature does not verify against the public key'
+            };
+        } catch (error) {
+            return { valid: false, publicKey: publicKey, error: error.message };
+        }
+    }
+
+    /**
+     * Check whether this browser can use passkeys
+     */
+    supportsPasskeys() {
+        return typeof PublicKeyCredential !== 'undefined' &&
+            typeof navigator !== 'undefined' && !!navigator.credentials;
+    }
+
+    /**
+     * Get the passkey registered to the active identity (or null)
+     */
+    getPasskey() {
+        try {
+            const stored = localStorage.getItem(this.passkeyStorageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether signing is gated by a passkey
+     */
+    isPasskeyRequired() {
+        return this.getPasskey() !== null;
+    }
+
+    /**
+     * Register a platform passkey for the active identity and require it for signing
+     * The signing key endorses the passkey with a binding statement, so verifiers
+     * can tie later assertions to this identity.
+     * @returns {Promise<Object>} Stored passkey record
+     */
+    async registerPasskey() {
+        if (!this.keyPair) {
+            throw new Error('Unlock the key before adding a passkey');
+        }
+        if (!this.supportsPasskeys()) {
+            throw new Error('This browser does not support passkeys (WebAuthn)');
+        }
+        
+        const identity = this.getActiveIdentity();
+        let credential;
+        try {
+            credential = await navigator.credentials.create({
+                publicKey: {
+                    challenge: crypto.getRandomValues(new Uint8Array(32)),
+                    rp: { name: 'PoHW Proof Creator' },
+                    user: {
+                        id: crypto.getRandomValues(new Uint8Array(16)),
+                        name: identity.label,
+                        displayName: identity.label
+                    },
+                    pubKeyCredParams: [
+                        { type: 'public-key', alg: -8 },   // EdDSA
+                        { type: 'public-key', alg: -7 },   // ES256
+                        { type: 'public-key', alg: -257 }  // RS256
+                    ],
+                    authenticatorSelection: {
+                        authenticatorAttachment: 'platform',
+                        userVerification: 'required',
+                        residentKey: 'preferred'
+                    },
+                    attestation: 'none',
+                    timeout: this.passkeyTimeout
+                }
+            });
+        } catch (error) {
+            throw new Error('Passkey registration failed: ' + error.message);
+        }
+        
+        const response = credential.response;
+        const statement = {
+            type: 'pohw:PasskeyBinding',
+            did: this.generateDID(this.keyPair.publicKey, 'key'),
+            credentialId: bytesToBase64Url(new Uint8Array(credential.rawId)),
+            publicKey: response.getPublicKey ? bytesToBase64Url(new Uint8Array(response.getPublicKey())) : null,
+            algorithm: response.getPublicKeyAlgorithm ? response.getPublicKeyAlgorithm() : null,
+            timestamp: new Date().toISOString()
+        };
+        
+        const passkey = {
+            credentialId: statement.credentialId,
+            createdAt: statement.timestamp,
+            binding: {
+                statement: statement,
+                signature: await this.signWithKey(this.keyPair, this.backend, canonicalizeStatement(statement))
+            }
+        };
+        localStorage.setItem(this.passkeyStorageKey, JSON.stringify(passkey));
+        return passkey;
+    }
+
+    /**
+     * Stop requiring the passkey (needs one last successful verification)
+     */
+    async removePasskey() {
+        if (!this.isPasskeyRequired()) {
+            return;
+        }
+        await this.requirePasskey(new TextEncoder().encode('pohw:RemovePasskey:' + this.identityId));
+        localStorage.removeItem(this.passkeyStorageKey);
+    }
+
+    /**
+     * Check whether unlocking the stored key asks the user for anything
+     * Passphrase-encrypted keys always do; a browser-protected key only with a
+     * passkey or an unlock PIN (otherwise locking it cannot keep anyone out).
+     */
+    isUnlockProtected() {
+        const info = this.getStoredKeyInfo();
+        return !info || info.backend !== 'webcrypto' || this.isPasskeyRequired() || this.hasUnlockPin();
+    }
+
+    /**
+     * Get the unlock PIN verifier of the active identity (or null)
+     */
+    getUnlockPin() {
+        try {
+            const stored = localStorage.getItem(this.unlockPinStorageKey);
+            return stored ? JSON.parse(stored) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Check whether a browser-protected key needs a PIN to unlock
+     */
+    hasUnlockPin() {
+        return this.getUnlockPin() !== null;
+    }
+
+    /**
+     * Set a PIN that must be entered to unlock the browser-protected key
+     * The browser holds the key, so it cannot be encrypted under the PIN; only a
+     * PBKDF2 verifier is stored, and loadKeys() checks the PIN against it.
+     * @param {string} pin - At least minPinLength characters
+     */
+    async setUnlockPin(pin) {
+        if (!pin || pin.length < this.minPinLength) {
+            throw new Error(`PIN must be at least ${this.minPinLength} characters`);
+        }
+        
+        const salt = crypto.getRandomValues(new Uint8Array(16));
+        const verifier = await this.deriveUnlockVerifier(pin, salt, this.kdfIterations);
+        localStorage.setItem(this.unlockPinStorageKey, JSON.stringify({
+            kdf: 'PBKDF2',
+            hash: 'SHA-256',
+            iterations: this.kdfIterations,
+            salt: this.bytesToHex(salt),
+            verifier: this.bytesToHex(verifier),
+            createdAt: new Date().toISOString()
+        }));
+    }
+
+    /**
+     * Stop requiring the unlock PIN (needs the PIN)
+     */
+    async removeUnlockPin(pin) {
+        if (!this.hasUnlockPin()) {
+            return;
+        }
+        await this.checkUnlockPin(pin);
+        localStorage.removeItem(this.unlockPinStorageKey);
+    }
+
+    /**
+     * Check a PIN against the stored verifier (passes when no PIN is set)
+     */
+    async checkUnlockPin(pin) {
+        const record = this.getUnlockPin();
+        if (!record) {
+            return;
+        }
+        if (!pin) {
+            throw new Error('Your unlock PIN is required to unlock your key');
+        }
+        
+        const verifier = await this.deriveUnlockVerifier(pin, this.hexToBytes(record.salt), record.iterations);
+        if (this.bytesToHex(verifier) !== record.verifier) {
+            throw new Error('Incorrect PIN');
+        }
+    }
+
+    /**
+     * Derive the PIN verifier (PBKDF2-SHA256, 256 bits)
+     */
+    async deriveUnlockVerifier(pin, salt, iterations) {
+        const baseKey = await crypto.subtle.importKey(
+            'raw',
+            new TextEncoder().encode(pin),
+            'PBKDF2',
+            false,
+            ['deriveBits']
+        );
+        const bits = await crypto.subtle.deriveBits(
+            { name: 'PBKDF2', hash: 'SHA-256', salt: salt, iterations: iterations },
+            baseKey,
+            256
+        );
+        return new Uint8Array(bits);
+    }
+
+    /**
+     * Run a WebAuthn user verification bound to a message
+     * The challenge is SHA-256(message), so the assertion only vouches for these bytes.
+     * @param {Uint8Array} messageBytes - Bytes about to be signed
+     * @returns {Promise<Object>} Assertion record for the attestation
+     */
+    async requirePasskey(messageBytes) {
+        const passkey = this.getPasskey();
+        if (!passkey) {
+            throw new Error('No passkey registered for this identity');
+        }
+        if (!this.supportsPasskeys()) {
+            throw new Error('This identity requires a passkey, but this browser does not support WebAuthn');
+        }
+        
+        const challenge = new Uint8Array(await crypto.subtle.digest('SHA-256', messageBytes));
+        let credential;
+        try {
+            credential = await navigator.credentials.get({
+                publicKey: {
+                    challenge: challenge,
+                    allowCredentials: [{ type: 'public-key', id: base64ToBytes(passkey.credentialId) }],
+                    userVerification: 'required',
+                    timeout: this.passkeyTimeout
+                }
+            });
+        } catch (error) {
+            throw new Error('Passkey verification failed, key stays locked: ' + error.message);
+        }
+        
+        // Flags byte follows the 32-byte RP ID hash: bit 0 = user present, bit 2 = user verified
+        const authenticatorData = new Uint8Array(credential.response.authenticatorData);
+        const flags = authenticatorData[32];
+        if (!(flags & 0x01) || !(flags & 0x04)) {
+            throw new Error('Passkey did not verify the user, key stays locked');
+        }
+        
+        return {
+            type: 'webauthn.get',
+            credentialId: bytesToBase64Url(new Uint8Array(credential.rawId)),
+            challenge: bytesToBase64Url(challenge),
+            authenticatorData: bytesToBase64Url(authenticatorData),
+            clientDataJSON: bytesToBase64Url(new Uint8Array(credential.response.clientDataJSON)),
+            signature: bytesToBase64Url(new Uint8Array(credential.response.signature)),
+            userVerified: true,
+            binding: passkey.binding
+        };
+    }
+
+    /**
+     * Get the passkey assertion from the most recent sign() (null if not gated)
+     */
+    getLastPasskeyAssertion() {
+        return this.lastPasskeyAssertion;
+    }
+
+    /**
+     * Sign message with a specific keypair (used during rotation, when two keys are live)
+     */
+    async signWithKey(keyPair, backend, message) {
+        // Convert message to bytes if string
         const messageBytes = typeof message === 'string' 
             ? new TextEncoder().encode(message)
             : message;
         
-        const ed25519Lib = window.ed25519 || ed25519;
-        const signature = await ed25519Lib.sign(messageBytes, this.keyPair.privateKey);
+        let signature;
+        if (backend === 'webcrypto') {
+            signature = new Uint8Array(await crypto.subtle.sign({ name: 'Ed25519' }, keyPair.privateKey, messageBytes));
+        } else {
+            await this.ensureEd25519Library();
+            const ed25519Lib = window.ed25519 || ed25519;
+            signature = await ed25519Lib.sign(messageBytes, keyPair.privateKey);
+        }
         
         // Convert signature to hex
         return Array.from(signature)
@@ -273,6 +1457,207 @@ class PoHWKeyManager {
             .join('');
     }
 
+    /**
+     * Rotate to a new keypair, keeping identity continuity
+     * The old key signs a statement handing over to the new key, and the new key
+     * countersigns it to prove possession. The new key replaces the stored key only
+     * once both signatures exist, together with the lineage entry.
+     * @param {string} password - Passphrase for the new key (noble backend; defaults to current passphrase)
+     * @param {Object} options - { backend: 'webcrypto' | 'noble' }
+     * @returns {Promise<Object>} { rotation, did } - rotation is the signed continuity statement
+     */
+    async rotateKeys(password = null, options = {}) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded. Unlock your current key before rotating.');
+        }
+        
+        const previous = {
+            keyPair: this.keyPair,
+            backend: this.backend
+        };
+        
+        // Passkey-gated identities verify the user once, before anything is replaced
+        if (this.isPasskeyRequired()) {
+            await this.requirePasskey(new TextEncoder().encode('pohw:KeyRotation:' + this.bytesToHex(previous.keyPair.publicKey)));
+        }
+        
+        // The new key stays in memory until the handover is signed
+        const next = await this.createKeyPair(options.backend || this.backend);
+        if (next.backend === 'noble' && !password && !this.encryptionKey) {
+            throw new Error('A passphrase is required to encrypt the new key');
+        }
+        
+        // Statement always uses did:key so it is self-certifying, whatever the display mode
+        const statement = {
+            type: 'pohw:KeyRotation',
+            previousDid: this.generateDID(previous.keyPair.publicKey, 'key'),
+            previousPublicKey: this.bytesToHex(previous.keyPair.publicKey),
+            newDid: this.generateDID(next.keyPair.publicKey, 'key'),
+            newPublicKey: this.bytesToHex(next.keyPair.publicKey),
+            timestamp: new Date().toISOString()
+        };
+        
+        const canonical = canonicalizeStatement(statement);
+        const rotation = {
+            statement: statement,
+            signature: await this.signWithKey(previous.keyPair, previous.backend, canonical),
+            newKeySignature: await this.signWithKey(next.keyPair, next.backend, canonical),
+            submitted: false
+        };
+        
+        // Persist the new key and its lineage entry together; if either write fails, the old key is put back
+        const stored = {
+            entry: localStorage.getItem(this.storageKey),
+            native: previous.backend === 'webcrypto' ? await this.idbGet(this.storageKey) : null,
+            encryptionKey: this.encryptionKey,
+            encryptionSalt: this.encryptionSalt,
+            encryptionIterations: this.encryptionIterations
+        };
+        try {
+            await this.storeKeyPair(next, password);
+            const lineage = this.getKeyLineage();
+            lineage.push(rotation);
+            localStorage.setItem(this.lineageStorageKey, JSON.stringify(lineage));
+        } catch (error) {
+            await this.restoreStoredKey(previous, stored);
+            throw new Error('Failed to rotate keys: ' + error.message);
+        }
+        
+        return { rotation: rotation, did: this.did };
+    }
+
+    /**
+     * Put back the key a failed rotation replaced, in storage and in memory
+     * @param {Object} previous - { keyPair, backend } of the old key
+     * @param {Object} stored - Storage entries and encryption state saved before the rotation
+     */
+    async restoreStoredKey(previous, stored) {
+        if (stored.entry !== null) {
+            localStorage.setItem(this.storageKey, stored.entry);
+        }
+        if (stored.native) {
+            await this.idbPut(this.storageKey, stored.native);
+        } else {
+            await this.idbDelete(this.storageKey).catch(() => {});
+        }
+        
+        this.keyPair = previous.keyPair;
+        this.backend = previous.backend;
+        this.did = this.generateDID(previous.keyPair.publicKey);
+        this.encryptionKey = stored.encryptionKey;
+        this.encryptionSalt = stored.encryptionSalt;
+        this.encryptionIterations = stored.encryptionIterations;
+    }
+
+    /**
+     * Get stored rotation statements (oldest first)
+     */
+    getKeyLineage() {
+        try {
+            const stored = localStorage.getItem(this.lineageStorageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Mark a rotation statement as accepted by a registry
+     */
+    markRotationSubmitted(newPublicKey, registryUrl) {
+        const lineage = this.getKeyLineage();
+        const entry = lineage.find(r => r.statement.newPublicKey === newPublicKey);
+        if (entry) {
+            entry.submitted = true;
+            entry.registry = registryUrl;
+            localStorage.setItem(this.lineageStorageKey, JSON.stringify(lineage));
+        }
+    }
+
+    /**
+     * Declare the loaded key compromised
+     * Produces a revocation signed by the key itself. Proofs not anchored
+     * before effectiveFrom must no longer be trusted.
+     * @param {string} reason - Revocation reason (e.g. 'key_compromise', 'device_lost')
+     * @param {Date|string} effectiveFrom - When the compromise is believed to have started
+     * @returns {Promise<Object>} { statement, signature }
+     */
+    async createRevocation(reason, effectiveFrom = new Date()) {
+        if (!this.keyPair) {
+            throw new Error('No keys loaded. Unlock the key you want to revoke.');
+        }
+        
+        const effective = new Date(effectiveFrom);
+        if (isNaN(effective.getTime())) {
+            throw new Error('Invalid effective-from time');
+        }
+        
+        const now = new Date();
+        if (effective > now) {
+            throw new Error('Effective-from time cannot be in the future');
+        }
+        
+        const statement = {
+            type: 'pohw:KeyRevocation',
+            did: this.generateDID(this.keyPair.publicKey, 'key'),
+            publicKey: this.bytesToHex(this.keyPair.publicKey),
+            reason: reason,
+            effectiveFrom: effective.toISOString(),
+            timestamp: now.toISOString()
+        };
+        
+        const revocation = {
+            statement: statement,
+            signature: await this.sign(canonicalizeStatement(statement)),
+            submitted: false
+        };
+        
+        const revocations = this.getRevocations();
+        revocations.push(revocation);
+        localStorage.setItem(this.revocationStorageKey, JSON.stringify(revocations));
+        
+        return revocation;
+    }
+
+    /**
+     * Get stored revocation statements
+     */
+    getRevocations() {
+        try {
+            const stored = localStorage.getItem(this.revocationStorageKey);
+            return stored ? JSON.parse(stored) : [];
+        } catch (error) {
+            return [];
+        }
+    }
+
+    /**
+     * Mark a revocation as accepted by a registry
+     */
+    markRevocationSubmitted(publicKey, registryUrl) {
+        const revocations = this.getRevocations();
+        const entry = revocations.find(r => r.statement.publicKey === publicKey);
+        if (entry) {
+            entry.submitted = true;
+            entry.registry = registryUrl;
+            localStorage.setItem(this.revocationStorageKey, JSON.stringify(revocations));
+        }
+    }
+
+    /**
+     * Permanently delete the key from this device (storage and memory)
+     * The identity's passkey, unlock PIN and lineage go with it; signed revocations
+     * stay until a registry accepts them.
+     */
+    async destroyKeys() {
+        localStorage.removeItem(this.storageKey);
+        localStorage.removeItem(this.lineageStorageKey);
+        localStorage.removeItem(this.passkeyStorageKey);
+        localStorage.removeItem(this.unlockPinStorageKey);
+        await this.idbDelete(this.storageKey).catch(() => {});
+        this.clearKeys();
+    }
+
     /**
      * Get current DID
      */
@@ -286,6 +1671,11 @@ class PoHWKeyManager {
     clearKeys() {
         this.keyPair = null;
         this.did = null;
+        this.lastPasskeyAssertion = null;
+        this.encryptionKey = null;
+        this.encryptionSalt = null;
+        this.encryptionIterations = null;
+        this.backend = null;
     }
 }
 
@@ -0,0 +1,353 @@
+/**
+ * Process Tracker Client
+ * Runs the BrowserProcessTracker in a dedicated worker (process-worker.js) so
+ * typing stays smooth in long documents. Where workers are unavailable (e.g.
+ * pages opened from file://) the same tracker runs on the main thread.
+ *
+ * Recording calls are fire-and-forget; queries return promises. The worker
+ * handles messages in order, so a query sees every event recorded before it.
+ */
+
+class ProcessTrackerClient {
+    constructor(workerUrl = 'process-worker.js') {
+        // Mirrors of tracker state the page reads synchronously
+        this.isTracking = false;
+        this.composing = false;
+
+        this.worker = null;
+        this.local = null;
+        this.ready = false;
+        this.queue = []; // messages sent before the worker reported ready
+        this.pending = new Map(); // id -> { resolve, reject }
+        this.nextId = 1;
+        this.lastState = null; // last state exported or resumed, to recover from a worker crash
+
+        try {
+            this.worker = new Worker(workerUrl);
+            this.worker.onmessage = (event) => this.handleMessage(event.data);
+            this.worker.onerror = (event) => this.handleWorkerError(event);
+        } catch (error) {
+            this.useMainThread(error);
+        }
+    }
+
+    /**
+     * Handle a message from the worker
+     */
+    handleMessage(message) {
+        if (message.type === 'ready') {
+            this.ready = true;
+            this.queue.forEach(queued => this.worker.postMessage(queued));
+            this.queue = [];
+            console.log('[ProcessTracker] Tracking in worker');
+            return;
+        }
+
+        const request = this.pending.get(message.id);
+        if (!request) {
+            return;
+        }
+        this.pending.delete(message.id);
+        if (message.error) {
+            request.reject(new Error(message.error));
+        } else {
+            request.resolve(message.result);
+        }
+    }
+
+    /**
+     * A worker that fails is replaced by a main-thread tracker
+     * The worker handles its own call errors, so an error event means its tracker
+     * is gone: calls waiting on it are rejected, and tracking continues from the
+     * last exported state (events since then are lost).
+     */
+    handleWorkerError(event) {
+        event.preventDefault();
+        this.worker.terminate();
+        this.worker = null;
+
+        if (!this.ready) {
+            this.useMainThread(new Error(event.message || 'worker failed to load'));
+            return;
+        }
+
+        this.ready = false;
+        const failure = new Error('Process tracking worker failed: ' + (event.message || 'unknown error'));
+        this.pending.forEach(request => request.reject(failure));
+        this.pending.clear();
+        this.useMainThread(failure, this.lastState);
+    }
+
+    /**
+     * Switch to a tracker on the main thread, replaying anything queued for the worker
+     * @param {Error} reason - Why the worker is not used
+     * @param {Object|null} state - Saved tracker state to resume from
+     */
+    useMainThread(reason, state = null) {
+        console.warn('[ProcessTracker] Worker unavailable, tracking on the main thread:', reason.message);
+        this.local = new BrowserProcessTracker();
+        if (state) {
+            try {
+                this.local.resumeSession(state);
+            } catch (error) {
+                console.warn('[ProcessTracker] Could not resume the saved session:', error);
+            }
+        }
+        this.isTracking = this.local.isTracking;
+        this.composing = false;
+
+        const queued = this.queue;
+        this.queue = [];
+        queued.forEach(message => this.runLocal(message));
+    }
+
+    /**
+     * Run a call on the main-thread tracker
+     */
+    async runLocal({ id, method, args }) {
+        const request = id ? this.pending.get(id) : null;
+        if (id) {
+            this.pending.delete(id);
+        }
+
+        try {
+            const result = await this.local[method](...args);
+            if (request) {
+                request.resolve(result);
+            }
+        } catch (error) {
+            if (request) {
+                request.reject(error);
+            } else {
+                console.warn(`[ProcessTracker] ${method} failed:`, error);
+            }
+        }
+    }
+
+    /**
+     * Send a message to the worker (queued until it is ready) or the main-thread tracker
+     */
+    send(message) {
+        if (this.local) {
+            this.runLocal(message);
+        } else if (this.ready) {
+            this.worker.postMessage(message);
+        } else {
+            this.queue.push(message);
+        }
+    }
+
+    /**
+     * Call a tracker method and wait for its result
+     * @returns {Promise<*>}
+     */
+    call(method, ...args) {
+        const id = this.nextId++;
+        const result = new Promise((resolve, reject) => {
+            this.pending.set(id, { resolve, reject });
+        });
+        this.send({ id: id, method: method, args: args });
+        return result;
+    }
+
+    /**
+     * Call a tracker method without waiting (errors are logged where it runs)
+     */
+    post(method, ...args) {
+        this.send({ method: method, args: args });
+    }
+
+    /**
+     * Start tracking session
+     */
+    startSession() {
+        this.isTracking = true;
+        this.post('startSession');
+    }
+
+    /**
+     * Resume a saved session (see BrowserProcessTracker.exportState)
+     * @returns {Promise<void>} Rejects if the saved state cannot be resumed
+     */
+    async resumeSession(state) {
+        await this.call('resumeSession', state);
+        this.lastState = state;
+        this.isTracking = true;
+        this.composing = false;
+    }
+
+    /**
+     * Serializable tracker state
+     * @returns {Promise<Object|null>}
+     */
+    async exportState() {
+        const state = await this.call('exportState');
+        this.lastState = state;
+        return state;
+    }
+
+    /**
+     * Record an input event (stamped here, not when the worker gets to it)
+     */
+    recordInput(eventType = 'input') {
+        this.isTracking = true;
+        this.post('recordInput', eventType, Date.now());
+    }
+
+    /**
+     * Record a key press (only the fields the tracker reads are sent)
+     */
+    recordKeyDown(event) {
+        this.isTracking = true;
+        this.post('recordKeyDown', this.keyEventData(event));
+    }
+
+    /**
+     * Record a key release
+     */
+    recordKeyUp(event) {
+        this.post('recordKeyUp', this.keyEventData(event));
+    }
+
+    /**
+     * Cloneable copy of a KeyboardEvent (timeStamp keeps the page's clock)
+     */
+    keyEventData(event) {
+        return {
+            key: event.key,
+            code: event.code,
+            repeat: event.repeat,
+            timeStamp: event.timeStamp
+        };
+    }
+
+    /**
+     * Record the start of an IME composition
+     */
+    recordCompositionStart() {
+        this.isTracking = true;
+        this.composing = true;
+        this.post('recordCompositionStart', Date.now());
+    }
+
+    /**
+     * Record a change to the text being composed
+     */
+    recordCompositionUpdate() {
+        this.post('recordCompositionUpdate', Date.now());
+    }
+
+    /**
+     * Record a committed (or cancelled) composition
+     */
+    recordCompositionEnd(event) {
+        this.composing = false;
+        this.post('recordCompositionEnd', { data: event && event.data }, Date.now());
+    }
+
+    /**
+     * Whether an IME composition is in progress
+     */
+    isComposing() {
+        return this.composing;
+    }
+
+    /**
+     * Record a change of page focus or visibility ('blur', 'focus', 'hidden', 'visible')
+     */
+    recordFocusChange(change) {
+        this.post('recordFocusChange', change, Date.now());
+    }
+
+    /**
+     * Record characters inserted into the content
+     */
+    recordInsertion(source, length, position = null) {
+        this.post('recordInsertion', source, length, position);
+    }
+
+    /**
+     * Add the current content to the edit history
+     * @returns {Promise<Object|null>} New link, or null if none was added
+     */
+    recordSnapshot(content, force = false) {
+        return this.call('recordSnapshot', content, force);
+    }
+
+    /**
+     * Get the edit history
+     * @returns {Promise<Object>} { head, length, links }
+     */
+    getEditChain() {
+        return this.call('getEditChain');
+    }
+
+    /**
+     * Generate process digest
+     * @returns {Promise<Object>} { digest, metrics, meetsThresholds }
+     */
+    generateDigest() {
+        return this.call('generateDigest');
+    }
+
+    /**
+     * Select the human-threshold profile for a language
+     * @returns {Promise<string>} Profile name
+     */
+    setThresholdProfile(locale) {
+        return this.call('setThresholdProfile', locale);
+    }
+
+    /**
+     * Get input event count
+     * @returns {Promise<number>}
+     */
+    getInputEventCount() {
+        return this.call('getInputEventCount');
+    }
+
+    /**
+     * Get tracking status for display
+     * @returns {Promise<Object>} { isTracking, duration, inputEvents }
+     */
+    getStatus() {
+        return this.call('getStatus');
+    }
+
+    /**
+     * Stop tracking
+     */
+    stopTracking() {
+        this.isTracking = false;
+        this.post('stopTracking');
+    }
+
+    /**
+     * Reset session
+     */
+    reset() {
+        this.isTracking = false;
+        this.composing = false;
+        this.lastState = null;
+        this.post('reset');
+    }
+
+    /**
+     * Locate the change between two versions of the content (runs here; no tracker state)
+     */
+    diffInsertion(before, after) {
+        return BrowserProcessTracker.prototype.diffInsertion(before, after);
+    }
+
+    /**
+     * Detect browser environment (runs here; no tracker state)
+     */
+    detectEnvironment() {
+        return BrowserProcessTracker.prototype.detectEnvironment();
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ProcessTrackerClient;
+}
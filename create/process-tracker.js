@@ -1,13 +1,58 @@
 /**
  * Browser-based Process Tracker
  * Tracks user activity to generate process digests for PoHW proofs
+ * Requires verify/crypto-utils.js (edit history hashing) to be loaded first.
  */
 
+/**
+ * Human-threshold profiles by language (defaults from the whitepaper)
+ * Other profiles override only what differs for that language's input method;
+ * the coherence ranges are the coefficients of variation of human timing for
+ * typed keystrokes and for IME composition commits.
+ */
+const THRESHOLD_PROFILES = {
+    default: {
+        minDuration: 30 * 1000, // 30 seconds minimum
+        minEntropy: 0.3, // Minimum input variation
+        minTemporalCoherence: 0.2, // Human-like timing patterns
+        maxInputRate: 20, // events per second (prevents automation)
+        minEventInterval: 50, // milliseconds (prevents machine-speed input)
+        minDwellStdDev: 5, // milliseconds (scripted key presses hold every key equally long)
+        minKeystrokesForDynamics: 20, // keystroke checks apply from this many key presses
+        maxPastedRatio: 0.1, // share of characters that may arrive by paste, drop or script
+        typedCoherenceRange: [0.3, 1.0],
+        composedCoherenceRange: [0.4, 2.0]
+    },
+    // Kana-kanji conversion: choosing candidates makes commits slow and irregular
+    ja: { minEntropy: 0.25, composedCoherenceRange: [0.5, 2.5] },
+    // Pinyin/Zhuyin: one commit often carries a whole phrase
+    zh: { minEntropy: 0.25, composedCoherenceRange: [0.5, 2.5] },
+    // Hangul composes syllable by syllable, close to a typing rhythm
+    ko: { composedCoherenceRange: [0.4, 1.5] }
+};
+
+/**
+ * Content-origin counters per insertion source (see recordInsertion)
+ * chars: characters inserted; events: insertions (typing is counted as input events instead)
+ */
+const INSERTION_COUNTERS = {
+    typed: { chars: 'typedChars', events: null },
+    paste: { chars: 'pastedChars', events: 'pasteEvents' },
+    drop: { chars: 'droppedChars', events: 'dropEvents' },
+    programmatic: { chars: 'programmaticChars', events: 'programmaticEvents' }
+};
+
+/**
+ * Version of the state exportState() writes and resumeSession() accepts
+ * Bump it with every change to the saved shape: older states are rejected
+ * rather than resumed with sections missing.
+ */
+const SESSION_STATE_VERSION = 5;
+
 class BrowserProcessTracker {
     constructor() {
         this.sessionStart = null;
-        this.inputEvents = [];
-        this.editTimestamps = [];
+        this.segments = []; // writing sittings: [{ start, end }] (ms); the last one is open
         this.isTracking = false;
         this.metadata = {
             tool: 'web-browser',
@@ -15,14 +60,243 @@ class BrowserProcessTracker {
             aiAssisted: false
         };
         
-        // Human thresholds (from whitepaper)
+        // Human thresholds for the browser's language (see THRESHOLD_PROFILES)
+        this.setThresholdProfile(navigator.language);
+        
+        // Input-interval histogram: fixed-width buckets; the last bucket is open-ended
+        this.intervalBucketSize = 100; // ms
+        this.intervalBuckets = 100; // up to 10 s, plus one bucket for longer gaps
+        
+        // Pause-length buckets (ms, press-to-press), upper bounds; the last bucket is open-ended
+        this.pauseBuckets = [200, 500, 2000, 5000];
+        
+        // Minimum time between edit-history links (forced snapshots ignore it)
+        this.snapshotInterval = 10 * 1000;
+        
+        // Non-typed insertions kept with their positions (the most recent; counts cover the whole session)
+        this.insertionRecordLimit = 100;
+        
+        // Gaps between activity longer than this are idle time, not writing time
+        this.idleThreshold = 60 * 1000;
+        
+        // Page state reported by recordFocusChange (kept across sessions)
+        this.focus = { hidden: false, blurred: false };
+        
+        // Session statistics are kept as running totals, so memory does not grow with session length
+        this.inputEventCount = 0; // all input events, including those inside IME compositions
+        this.lastEditAt = null; // last input unit in the current segment
+        this.intervals = this.createIntervalState();
+        this.keystrokes = this.createKeystrokeState();
+        this.insertions = this.createInsertionState();
+        this.composition = this.createCompositionState();
+        this.editChain = this.createEditChainState();
+        this.activity = this.createActivityState(null);
+    }
+
+    /**
+     * Empty running statistics (Welford mean/variance, optional fixed-bucket histogram)
+     * @param {number} buckets - Histogram bucket count (0 for none)
+     */
+    createRunningStats(buckets = 0) {
+        return {
+            count: 0,
+            mean: 0,
+            m2: 0, // sum of squared deviations from the mean
+            min: null,
+            max: null,
+            histogram: buckets > 0 ? new Array(buckets).fill(0) : null
+        };
+    }
+
+    /**
+     * Add one sample to running statistics
+     * @param {Object} stats - From createRunningStats()
+     * @param {number} value - Sample
+     * @param {number} bucket - Histogram bucket index, if the stats keep a histogram
+     */
+    addSample(stats, value, bucket = null) {
+        stats.count++;
+        const delta = value - stats.mean;
+        stats.mean += delta / stats.count;
+        stats.m2 += delta * (value - stats.mean);
+        stats.min = stats.min === null ? value : Math.min(stats.min, value);
+        stats.max = stats.max === null ? value : Math.max(stats.max, value);
+        if (stats.histogram && bucket !== null) {
+            stats.histogram[bucket]++;
+        }
+    }
+
+    /**
+     * Combine two sets of running statistics (histograms must have the same buckets)
+     */
+    mergeStats(a, b) {
+        if (a.count === 0 || b.count === 0) {
+            return this.copyStats(a.count === 0 ? b : a);
+        }
+        
+        const count = a.count + b.count;
+        const delta = b.mean - a.mean;
+        return {
+            count: count,
+            mean: a.mean + delta * b.count / count,
+            m2: a.m2 + b.m2 + delta * delta * a.count * b.count / count,
+            min: Math.min(a.min, b.min),
+            max: Math.max(a.max, b.max),
+            histogram: a.histogram && b.histogram ? a.histogram.map((n, i) => n + b.histogram[i]) : null
+        };
+    }
+
+    /**
+     * Copy running statistics
+     */
+    copyStats(stats) {
+        return { ...stats, histogram: stats.histogram ? stats.histogram.slice() : null };
+    }
+
+    /**
+     * Mean and standard deviation of running statistics
+     */
+    describeStats(stats) {
+        if (stats.count === 0) {
+            return { mean: 0, stdDev: 0 };
+        }
+        return { mean: stats.mean, stdDev: Math.sqrt(stats.m2 / stats.count) };
+    }
+
+    /**
+     * Empty input-interval statistics, per input class ('typed', 'composed')
+     * Interval histograms use intervalBucketSize-wide buckets.
+     */
+    createIntervalState() {
+        return {
+            units: { typed: 0, composed: 0 }, // input units (events outside compositions, commits)
+            typed: this.createRunningStats(this.intervalBuckets + 1),
+            composed: this.createRunningStats(this.intervalBuckets + 1)
+        };
+    }
+
+    /**
+     * Histogram bucket of an input interval
+     */
+    intervalBucket(interval) {
+        return Math.min(Math.floor(interval / this.intervalBucketSize), this.intervalBuckets);
+    }
+
+    /**
+     * Bucket of a press-to-press pause (see pauseBuckets)
+     */
+    pauseBucket(pause) {
+        const index = this.pauseBuckets.findIndex(limit => pause < limit);
+        return index === -1 ? this.pauseBuckets.length : index;
+    }
+
+    /**
+     * Empty keystroke-dynamics state
+     * Keys are identified only while held (to pair keydown with keyup);
+     * what was typed is never stored.
+     */
+    createKeystrokeState() {
+        return {
+            pressed: new Map(),
+            lastKeyDown: null,
+            lastKeyUp: null,
+            keyCount: 0,
+            correctionCount: 0,
+            currentBurst: 0,
+            correctionBursts: 0, // completed runs of backspace/delete
+            correctionBurstKeys: 0, // key presses in completed runs
+            dwell: this.createRunningStats(),
+            flight: this.createRunningStats(),
+            rollovers: 0, // flights < 0: next key pressed before the previous was released
+            pauses: this.createRunningStats(this.pauseBuckets.length + 1)
+        };
+    }
+
+    /**
+     * Empty content-origin state (how inserted characters arrived)
+     * Character and event counts cover the whole session; positions are kept
+     * for the last insertionRecordLimit paste, drop and script insertions.
+     */
+    createInsertionState() {
+        return {
+            typedChars: 0,
+            pastedChars: 0,
+            droppedChars: 0,
+            programmaticChars: 0,
+            pasteEvents: 0,
+            dropEvents: 0,
+            programmaticEvents: 0,
+            records: [] // most recent non-typed insertions: { source, timestamp, length, position }
+        };
+    }
+
+    /**
+     * Empty IME composition state
+     * A composition (compositionstart to compositionend) is one input unit;
+     * the events inside it do not count towards the typing rhythm.
+     */
+    createCompositionState() {
+        return {
+            active: false,
+            startedAt: null,
+            compositions: 0,
+            updates: 0,
+            events: 0, // input events recorded while composing
+            composedChars: 0,
+            duration: this.createRunningStats()
+        };
+    }
+
+    /**
+     * Select the human-threshold profile for a language
+     * @param {string} locale - BCP 47 tag (e.g. 'ja-JP'); unknown languages use 'default'
+     * @returns {string} Profile name now in this.thresholds.profile
+     */
+    setThresholdProfile(locale = 'default') {
+        const language = String(locale || 'default').toLowerCase().split(/[-_]/)[0];
+        const profile = THRESHOLD_PROFILES[language] ? language : 'default';
         this.thresholds = {
-            minDuration: 30 * 1000, // 30 seconds minimum
-            minEntropy: 0.3, // Minimum input variation
-            minTemporalCoherence: 0.2, // Human-like timing patterns
-            maxInputRate: 20, // events per second (prevents automation)
-            minEventInterval: 50 // milliseconds (prevents machine-speed input)
+            ...THRESHOLD_PROFILES.default,
+            ...THRESHOLD_PROFILES[profile],
+            profile: profile
         };
+        return profile;
+    }
+
+    /**
+     * Empty edit history (hash chain of content deltas, see hashEditLink)
+     */
+    createEditChainState() {
+        return {
+            head: EDIT_CHAIN_GENESIS,
+            links: [],
+            snapshot: '',
+            lastLinkAt: 0,
+            pending: Promise.resolve()
+        };
+    }
+
+    /**
+     * Empty active/idle/background time accounting
+     * @param {number|null} now - Accounting start; a page already in the background starts there
+     */
+    createActivityState(now) {
+        return {
+            active: 0, // ms between consecutive activity, gaps up to idleThreshold
+            idle: 0, // ms of gaps longer than idleThreshold
+            background: 0, // ms with the page hidden or the window blurred
+            blurs: 0,
+            hides: 0,
+            lastActivityAt: null,
+            backgroundSince: now !== null && this.isBackground() ? now : null
+        };
+    }
+
+    /**
+     * Whether the page is hidden or its window has lost focus
+     */
+    isBackground() {
+        return this.focus.hidden || this.focus.blurred;
     }
 
     /**
@@ -72,129 +346,661 @@ class BrowserProcessTracker {
         }
         
         this.sessionStart = Date.now();
-        this.inputEvents = [];
-        this.editTimestamps = [];
+        this.segments = [{ start: this.sessionStart, end: this.sessionStart }];
+        this.inputEventCount = 0;
+        this.lastEditAt = null;
+        this.intervals = this.createIntervalState();
+        this.keystrokes = this.createKeystrokeState();
+        this.insertions = this.createInsertionState();
+        this.composition = this.createCompositionState();
+        this.editChain = this.createEditChainState();
+        this.activity = this.createActivityState(this.sessionStart);
         this.isTracking = true;
         
         console.log('[ProcessTracker] Session started');
     }
 
+    /**
+     * Resume a saved session (see exportState) as a new writing segment
+     * Time between the saved segment and now counts towards wall-clock time only.
+     * @param {Object} state - Saved tracker state
+     */
+    resumeSession(state) {
+        if (!state || state.version !== SESSION_STATE_VERSION) {
+            throw new Error('Failed to resume session: unsupported session state');
+        }
+        
+        const now = Date.now();
+        this.sessionStart = state.sessionStart;
+        this.segments = [...state.segments.map(segment => ({ ...segment })), { start: now, end: now }];
+        this.inputEventCount = state.inputEventCount;
+        // The gap since the last segment is not an input interval
+        this.lastEditAt = null;
+        this.intervals = {
+            units: { ...state.intervals.units },
+            typed: this.copyStats(state.intervals.typed),
+            composed: this.copyStats(state.intervals.composed)
+        };
+        this.composition = {
+            ...state.composition,
+            active: false,
+            startedAt: null,
+            duration: this.copyStats(state.composition.duration)
+        };
+        this.keystrokes = {
+            ...state.keystrokes,
+            dwell: this.copyStats(state.keystrokes.dwell),
+            flight: this.copyStats(state.keystrokes.flight),
+            pauses: this.copyStats(state.keystrokes.pauses),
+            // Key timings are relative to page load, so pairs never span a reload
+            pressed: new Map(),
+            lastKeyDown: null,
+            lastKeyUp: null
+        };
+        this.insertions = {
+            ...state.insertions,
+            records: state.insertions.records.map(record => ({ ...record }))
+        };
+        this.editChain = {
+            ...this.createEditChainState(),
+            head: state.editChain.head,
+            links: state.editChain.links.slice(),
+            snapshot: state.editChain.snapshot,
+            lastLinkAt: state.editChain.lastLinkAt
+        };
+        this.activity = { ...this.createActivityState(now), ...state.activity };
+        this.isTracking = true;
+        
+        console.log('[ProcessTracker] Session resumed, segment', this.segments.length);
+    }
+
+    /**
+     * Serializable tracker state for persisting between page loads
+     * @returns {Object|null} State for resumeSession(), or null if no session started
+     */
+    exportState() {
+        if (!this.sessionStart) {
+            return null;
+        }
+        
+        const { pressed, ...keystrokes } = this.keystrokes;
+        const { pending, ...editChain } = this.editChain;
+        const { active, idle, blurs, hides } = this.activity;
+        return {
+            version: SESSION_STATE_VERSION,
+            sessionStart: this.sessionStart,
+            segments: this.getSegments().map(({ start, end }) => ({ start, end })),
+            inputEventCount: this.inputEventCount,
+            intervals: {
+                units: { ...this.intervals.units },
+                typed: this.copyStats(this.intervals.typed),
+                composed: this.copyStats(this.intervals.composed)
+            },
+            composition: {
+                ...this.composition,
+                active: false,
+                startedAt: null,
+                duration: this.copyStats(this.composition.duration)
+            },
+            keystrokes: {
+                ...keystrokes,
+                dwell: this.copyStats(keystrokes.dwell),
+                flight: this.copyStats(keystrokes.flight),
+                pauses: this.copyStats(keystrokes.pauses)
+            },
+            insertions: {
+                ...this.insertions,
+                records: this.insertions.records.map(record => ({ ...record }))
+            },
+            editChain: {
+                ...editChain,
+                links: editChain.links.slice()
+            },
+            activity: {
+                active: active,
+                idle: idle,
+                // The open segment is exported up to now, so time in the background is too
+                background: this.getSessionDuration().background,
+                blurs: blurs,
+                hides: hides
+            }
+        };
+    }
+
+    /**
+     * Writing segments with durations; the open segment runs until now
+     * @returns {Array<Object>} [{ start, end, duration }] (ms)
+     */
+    getSegments() {
+        const now = Date.now();
+        return this.segments.map((segment, index) => {
+            const open = this.isTracking && index === this.segments.length - 1;
+            const end = open ? now : segment.end;
+            return { start: segment.start, end: end, duration: Math.max(end - segment.start, 0) };
+        });
+    }
+
     /**
      * Record an input event (typing, editing, etc.)
+     * @param {string} eventType - Event name; 'composition' marks an IME commit
+     * @param {number} now - Event time (ms since epoch); pass it when events are delivered later (worker)
      */
-    recordInput(eventType = 'input') {
+    recordInput(eventType = 'input', now = Date.now()) {
         if (!this.isTracking) {
             this.startSession();
         }
         
-        const now = Date.now();
-        this.inputEvents.push({
-            type: eventType,
-            timestamp: now
-        });
-        this.editTimestamps.push(now);
+        this.inputEventCount++;
+        this.segments[this.segments.length - 1].end = now;
+        this.markActivity(now);
         
-        // Limit array size to prevent memory issues
-        if (this.inputEvents.length > 10000) {
-            this.inputEvents = this.inputEvents.slice(-5000);
-            this.editTimestamps = this.editTimestamps.slice(-5000);
+        // Keys and input while an IME is composing belong to the composition
+        if (this.composition.active) {
+            this.composition.events++;
+            return;
         }
+        
+        // The interval ending at this unit is filed under the unit's input class
+        const inputClass = eventType === 'composition' ? 'composed' : 'typed';
+        this.intervals.units[inputClass]++;
+        if (this.lastEditAt !== null) {
+            const interval = now - this.lastEditAt;
+            if (interval > 0) {
+                this.addSample(this.intervals[inputClass], interval, this.intervalBucket(interval));
+            }
+        }
+        this.lastEditAt = now;
     }
 
     /**
-     * Calculate Shannon entropy of input intervals
+     * Account for the time since the last activity (active, or idle if the gap is long)
      */
-    calculateEntropy() {
-        if (this.editTimestamps.length < 2) {
-            return 0;
+    markActivity(now = Date.now()) {
+        const activity = this.activity;
+        if (activity.backgroundSince !== null) {
+            // Input proves the page is in front (focus events are missed, e.g. when focus moves into a frame)
+            activity.background += Math.max(now - activity.backgroundSince, 0);
+            activity.backgroundSince = null;
+            this.focus = { hidden: false, blurred: false };
+        } else if (activity.lastActivityAt !== null) {
+            const gap = now - activity.lastActivityAt;
+            if (gap > this.idleThreshold) {
+                activity.idle += gap;
+            } else if (gap > 0) {
+                activity.active += gap;
+            }
+        }
+        activity.lastActivityAt = now;
+    }
+
+    /**
+     * Record a change of page focus or visibility
+     * Time in the background is neither active nor idle, and the gap around it
+     * is not an input interval.
+     * @param {string} change - 'blur', 'focus', 'hidden' or 'visible'
+     */
+    recordFocusChange(change, now = Date.now()) {
+        const wasBackground = this.isBackground();
+        if (change === 'blur' || change === 'focus') {
+            this.focus.blurred = change === 'blur';
+        } else if (change === 'hidden' || change === 'visible') {
+            this.focus.hidden = change === 'hidden';
+        } else {
+            throw new Error(`Unknown focus change: ${change}`);
+        }
+        if (!this.isTracking) {
+            return;
         }
         
-        // Calculate intervals between events
-        const intervals = [];
-        for (let i = 1; i < this.editTimestamps.length; i++) {
-            const interval = this.editTimestamps[i] - this.editTimestamps[i - 1];
-            if (interval > 0) {
-                intervals.push(interval);
+        const activity = this.activity;
+        if (change === 'blur') {
+            activity.blurs++;
+        } else if (change === 'hidden') {
+            activity.hides++;
+        }
+        
+        if (this.isBackground() && !wasBackground) {
+            this.markActivity(now);
+            activity.lastActivityAt = null;
+            activity.backgroundSince = now;
+            this.lastEditAt = null;
+        } else if (!this.isBackground() && activity.backgroundSince !== null) {
+            activity.background += Math.max(now - activity.backgroundSince, 0);
+            activity.backgroundSince = null;
+            // Coming back to the page is activity; the wait for the next input is measured from here
+            activity.lastActivityAt = now;
+        }
+        this.segments[this.segments.length - 1].end = now;
+    }
+
+    /**
+     * Record the start of an IME composition (compositionstart)
+     */
+    recordCompositionStart(now = Date.now()) {
+        if (!this.isTracking) {
+            this.startSession();
+        }
+        
+        this.composition.active = true;
+        this.composition.startedAt = now;
+        this.composition.compositions++;
+        this.recordInput('compositionstart', now);
+    }
+
+    /**
+     * Record a change to the text being composed (compositionupdate)
+     */
+    recordCompositionUpdate(now = Date.now()) {
+        if (!this.composition.active) {
+            return;
+        }
+        this.composition.updates++;
+        this.recordInput('compositionupdate', now);
+    }
+
+    /**
+     * Record a committed (or cancelled) composition (compositionend)
+     * The commit is one input unit of the 'composed' class.
+     * @param {CompositionEvent} event - event.data is the committed text
+     * @param {number} now - Event time (ms since epoch)
+     */
+    recordCompositionEnd(event, now = Date.now()) {
+        const composition = this.composition;
+        if (!composition.active) {
+            return;
+        }
+        
+        composition.active = false;
+        this.addSample(composition.duration, now - composition.startedAt);
+        composition.composedChars += (event && event.data ? event.data.length : 0);
+        this.recordInput('composition', now);
+    }
+
+    /**
+     * Whether an IME composition is in progress
+     */
+    isComposing() {
+        return this.composition.active;
+    }
+
+    /**
+     * Summarize IME composition use
+     */
+    calculateComposition() {
+        const composition = this.composition;
+        const units = this.intervals.units.typed + this.intervals.units.composed;
+        return {
+            compositions: composition.compositions,
+            updates: composition.updates,
+            events: composition.events,
+            composedChars: composition.composedChars,
+            meanCompositionTime: this.describeStats(composition.duration).mean,
+            composedShare: units > 0 ? this.intervals.units.composed / units : 0
+        };
+    }
+
+    /**
+     * Record a key press (KeyboardEvent from keydown)
+     * Only timing and whether the key is a correction key are kept.
+     */
+    recordKeyDown(event) {
+        if (!this.isTracking) {
+            this.startSession();
+        }
+        if (this.isModifierKey(event)) {
+            return;
+        }
+        
+        const ks = this.keystrokes;
+        const now = this.keystrokeTime(event);
+        const isCorrection = event.key === 'Backspace' || event.key === 'Delete';
+        
+        // Correction bursts: runs of consecutive backspace/delete presses (auto-repeat included)
+        if (isCorrection) {
+            ks.correctionCount++;
+            ks.currentBurst++;
+        } else if (ks.currentBurst > 0) {
+            ks.correctionBursts++;
+            ks.correctionBurstKeys += ks.currentBurst;
+            ks.currentBurst = 0;
+        }
+        ks.keyCount++;
+        
+        // Auto-repeat has no matching keyup and no human timing of its own
+        if (event.repeat) {
+            return;
+        }
+        
+        if (ks.lastKeyDown !== null) {
+            const pause = now - ks.lastKeyDown;
+            this.addSample(ks.pauses, pause, this.pauseBucket(pause));
+        }
+        // Flight: previous release to this press (negative when keys overlap)
+        if (ks.lastKeyUp !== null) {
+            const flight = now - ks.lastKeyUp;
+            this.addSample(ks.flight, flight);
+            if (flight < 0) {
+                ks.rollovers++;
             }
         }
+        ks.lastKeyDown = now;
+        ks.pressed.set(event.code || event.key, now);
+    }
+
+    /**
+     * Record a key release (KeyboardEvent from keyup)
+     */
+    recordKeyUp(event) {
+        if (!this.isTracking || this.isModifierKey(event)) {
+            return;
+        }
         
-        if (intervals.length === 0) {
-            return 0;
+        const ks = this.keystrokes;
+        const keyRef = event.code || event.key;
+        const pressedAt = ks.pressed.get(keyRef);
+        if (pressedAt === undefined) {
+            return;
         }
         
-        // Bin intervals into buckets for entropy calculation
-        const buckets = {};
-        const bucketSize = 100; // 100ms buckets
+        const now = this.keystrokeTime(event);
+        ks.pressed.delete(keyRef);
+        this.addSample(ks.dwell, now - pressedAt);
+        ks.lastKeyUp = now;
+    }
+
+    /**
+     * Record characters inserted into the content
+     * Every insertion is counted; non-typed ones are also recorded with their
+     * position, keeping only the last insertionRecordLimit records.
+     * @param {string} source - 'typed', 'paste', 'drop' or 'programmatic' (value set by script)
+     * @param {number} length - Number of characters inserted
+     * @param {number|null} position - Character offset of the insertion, if known
+     */
+    recordInsertion(source, length, position = null) {
+        const counter = INSERTION_COUNTERS[source];
+        if (!counter) {
+            throw new Error(`Unknown insertion source: ${source}`);
+        }
+        if (!this.isTracking) {
+            this.startSession();
+        }
+        if (!(length > 0)) {
+            return;
+        }
         
-        intervals.forEach(interval => {
-            const bucket = Math.floor(interval / bucketSize);
-            buckets[bucket] = (buckets[bucket] || 0) + 1;
+        this.insertions[counter.chars] += length;
+        if (counter.events) {
+            this.insertions[counter.events]++;
+            const records = this.insertions.records;
+            records.push({ source: source, timestamp: Date.now(), length: length, position: position });
+            if (records.length > this.insertionRecordLimit) {
+                records.shift();
+            }
+        }
+    }
+
+    /**
+     * Add the current content to the edit history
+     * Links are added at most every snapshotInterval unless forced, and only
+     * when the content changed. Calls are queued so the chain never forks.
+     * @param {string} content - Full current content
+     * @param {boolean} force - Link now regardless of the interval (e.g. before signing)
+     * @returns {Promise<Object|null>} New link, or null if none was added
+     */
+    recordSnapshot(content, force = false) {
+        const chain = this.editChain;
+        const next = chain.pending.then(() => this.appendEditLink(chain, content, force));
+        chain.pending = next.catch(error => {
+            console.warn('[ProcessTracker] Failed to record snapshot:', error);
         });
+        return next;
+    }
+
+    /**
+     * Append one link (see recordSnapshot)
+     */
+    async appendEditLink(chain, content, force) {
+        if (content === chain.snapshot) {
+            return null;
+        }
+        if (!force && Date.now() - chain.lastLinkAt < this.snapshotInterval) {
+            return null;
+        }
+        
+        const change = this.diffInsertion(chain.snapshot, content);
+        const link = {
+            index: chain.links.length,
+            previous: chain.head,
+            timestamp: new Date().toISOString(),
+            position: change.position,
+            removed: change.removed,
+            inserted: content.slice(change.position, change.position + change.inserted)
+        };
+        link.hash = await hashEditLink(link);
         
-        // Calculate Shannon entropy
-        const total = intervals.length;
+        chain.links.push(link);
+        chain.head = link.hash;
+        chain.snapshot = content;
+        chain.lastLinkAt = Date.now();
+        return link;
+    }
+
+    /**
+     * Get the edit history (kept on this device; reveal it to prove the draft history)
+     * @returns {Object} { head, length, links }
+     */
+    getEditChain() {
+        return {
+            head: this.editChain.head,
+            length: this.editChain.links.length,
+            links: this.editChain.links.map(link => ({ ...link }))
+        };
+    }
+
+    /**
+     * Locate the change between two versions of the content
+     * @returns {Object} { position, inserted, removed } (character counts)
+     */
+    diffInsertion(before, after) {
+        let prefix = 0;
+        const maxPrefix = Math.min(before.length, after.length);
+        while (prefix < maxPrefix && before[prefix] === after[prefix]) {
+            prefix++;
+        }
+        
+        let suffix = 0;
+        const maxSuffix = Math.min(before.length, after.length) - prefix;
+        while (suffix < maxSuffix && before[before.length - 1 - suffix] === after[after.length - 1 - suffix]) {
+            suffix++;
+        }
+        
+        return {
+            position: prefix,
+            inserted: after.length - prefix - suffix,
+            removed: before.length - prefix - suffix
+        };
+    }
+
+    /**
+     * Calculate how the content's characters arrived (typed vs pasted/dropped/scripted)
+     * The ratios are taken against the content as it stands (the latest edit-history
+     * snapshot), counting every removed character as a typed one: typing filler and
+     * deleting it again cannot dilute a paste.
+     */
+    calculateContentOrigin() {
+        const ins = this.insertions;
+        const externalChars = ins.pastedChars + ins.droppedChars + ins.programmaticChars;
+        const totalChars = ins.typedChars + externalChars;
+        // Without an edit history, nothing is known to have been removed
+        const contentChars = this.editChain.links.length > 0 ? this.editChain.snapshot.length : totalChars;
+        const externalInContent = Math.min(externalChars, contentChars);
+        
+        return {
+            typedChars: ins.typedChars,
+            pastedChars: ins.pastedChars,
+            droppedChars: ins.droppedChars,
+            programmaticChars: ins.programmaticChars,
+            pasteEvents: ins.pasteEvents,
+            dropEvents: ins.dropEvents,
+            programmaticEvents: ins.programmaticEvents,
+            insertions: ins.records.map(record => ({ ...record })),
+            contentChars: contentChars,
+            typedRatio: contentChars > 0 ? (contentChars - externalInContent) / contentChars : 0,
+            pastedRatio: contentChars > 0 ? externalInContent / contentChars : 0
+        };
+    }
+
+    /**
+     * Modifier keys are held across other keys and would skew dwell times
+     */
+    isModifierKey(event) {
+        return ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph', 'Fn'].includes(event.key);
+    }
+
+    /**
+     * High-resolution event time in milliseconds
+     */
+    keystrokeTime(event) {
+        return typeof event.timeStamp === 'number' && event.timeStamp > 0 ? event.timeStamp : performance.now();
+    }
+
+    /**
+     * Calculate keystroke-dynamics metrics
+     * Dwell = how long a key is held; flight = release to next press;
+     * pauses = press-to-press gaps, bucketed into a distribution.
+     */
+    calculateKeystrokeDynamics() {
+        const ks = this.keystrokes;
+        const dwell = this.describeStats(ks.dwell);
+        const flight = this.describeStats(ks.flight);
+        
+        // The run in progress counts as a burst
+        const bursts = ks.correctionBursts + (ks.currentBurst > 0 ? 1 : 0);
+        const meanBurst = bursts > 0 ? (ks.correctionBurstKeys + ks.currentBurst) / bursts : 0;
+        
+        // Pause distribution: share of gaps in each bucket
+        const pauseDistribution = ks.pauses.histogram.map(count => ks.pauses.count > 0 ? count / ks.pauses.count : 0);
+        
+        // Normalized Shannon entropy of the pause distribution (0 = one bucket only)
+        let pauseEntropy = 0;
+        pauseDistribution.forEach(p => {
+            if (p > 0) {
+                pauseEntropy -= p * Math.log2(p);
+            }
+        });
+        pauseEntropy /= Math.log2(pauseDistribution.length);
+        
+        return {
+            keystrokes: ks.keyCount,
+            dwellMean: dwell.mean,
+            dwellStdDev: dwell.stdDev,
+            flightMean: flight.mean,
+            flightStdDev: flight.stdDev,
+            rolloverRatio: ks.flight.count > 0 ? ks.rollovers / ks.flight.count : 0,
+            correctionRatio: ks.keyCount > 0 ? ks.correctionCount / ks.keyCount : 0,
+            correctionBursts: bursts,
+            meanCorrectionBurst: meanBurst,
+            pauseDistribution: pauseDistribution,
+            pauseEntropy: pauseEntropy
+        };
+    }
+
+    /**
+     * Calculate Shannon entropy of input intervals
+     * Typed and composed (IME) intervals are scored separately and weighted by count.
+     */
+    calculateEntropy() {
+        const { typed, composed } = this.intervals;
+        const total = typed.count + composed.count;
+        
+        if (total === 0) {
+            return 0;
+        }
+        
+        // A commit carries many characters, so there are far fewer composed
+        // intervals; their entropy is capped by the sample count, not 6 bits
+        const composedMaxBits = Math.min(6, Math.log2(Math.max(composed.count, 2)));
+        return (
+            typed.count * this.intervalEntropy(typed, 6) +
+            composed.count * this.intervalEntropy(composed, composedMaxBits)
+        ) / total;
+    }
+
+    /**
+     * Normalized Shannon entropy of one class of intervals
+     * @param {Object} stats - Interval statistics with histogram (100ms buckets)
+     * @param {number} maxBits - Entropy that maps to 1
+     */
+    intervalEntropy(stats, maxBits) {
+        if (stats.count === 0) {
+            return 0;
+        }
+        
+        // Calculate Shannon entropy over the interval histogram
+        const total = stats.count;
         let entropy = 0;
         
-        Object.values(buckets).forEach(count => {
+        stats.histogram.forEach(count => {
             const probability = count / total;
             if (probability > 0) {
                 entropy -= probability * Math.log2(probability);
             }
         });
         
-        // Normalize to 0-1 range (assuming max entropy around 5-6 bits)
-        return Math.min(entropy / 6, 1);
+        // Normalize to 0-1 range (assuming max entropy around 5-6 bits for typing)
+        return Math.min(entropy / maxBits, 1);
     }
 
     /**
      * Calculate temporal coherence (coefficient of variation)
+     * Typed and composed (IME) intervals are judged against their own human
+     * ranges from the threshold profile and weighted by count.
      */
     calculateTemporalCoherence() {
-        if (this.editTimestamps.length < 2) {
-            return 0;
-        }
+        const { typed, composed } = this.intervals;
+        const total = typed.count + composed.count;
         
-        // Calculate intervals
-        const intervals = [];
-        for (let i = 1; i < this.editTimestamps.length; i++) {
-            const interval = this.editTimestamps[i] - this.editTimestamps[i - 1];
-            if (interval > 0) {
-                intervals.push(interval);
-            }
+        if (total === 0) {
+            return 0;
         }
         
-        if (intervals.length === 0) {
+        return (
+            typed.count * this.intervalCoherence(typed, this.thresholds.typedCoherenceRange) +
+            composed.count * this.intervalCoherence(composed, this.thresholds.composedCoherenceRange)
+        ) / total;
+    }
+
+    /**
+     * Temporal coherence of one class of intervals
+     * @param {Object} stats - Interval statistics
+     * @param {Array<number>} range - [low, high] human-like coefficient of variation
+     */
+    intervalCoherence(stats, [low, high]) {
+        if (stats.count === 0) {
             return 0;
         }
         
-        // Calculate mean
-        const mean = intervals.reduce((sum, val) => sum + val, 0) / intervals.length;
+        // Running mean and standard deviation
+        const { mean, stdDev } = this.describeStats(stats);
         
         if (mean === 0) {
             return 0;
         }
         
-        // Calculate standard deviation
-        const variance = intervals.reduce((sum, val) => {
-            return sum + Math.pow(val - mean, 2);
-        }, 0) / intervals.length;
-        
-        const stdDev = Math.sqrt(variance);
-        
         // Coefficient of variation (CV)
         const cv = stdDev / mean;
         
-        // Normalize: human-like CV is typically 0.3-0.7
+        // Normalize: human-like CV for typing is typically 0.3-0.7
         // Lower CV = more consistent (machine-like)
         // Higher CV = more random (also machine-like)
         // We want moderate CV (human-like)
-        if (cv < 0.3) {
+        if (cv < low) {
             return 0.3; // Too consistent
-        } else if (cv > 1.0) {
+        } else if (cv > high) {
             return 0.2; // Too random
         } else {
-            // Map 0.3-1.0 to 0.3-0.7 (human-like range)
-            return 0.3 + (cv - 0.3) * 0.4 / 0.7;
+            // Map low-high to 0.3-0.7 (human-like range)
+            return 0.3 + (cv - low) * 0.4 / (high - low);
         }
     }
 
@@ -202,31 +1008,37 @@ class BrowserProcessTracker {
      * Check if metrics meet human thresholds
      */
     meetsThresholds(metrics) {
-        const duration = metrics.duration;
+        // Only active time counts: idle gaps and time in the background are excluded
+        const activeTime = metrics.activeTime;
         const entropy = metrics.entropy;
         const temporalCoherence = metrics.temporalCoherence;
-        const inputEvents = metrics.inputEvents;
+        // Events inside an IME composition are one unit, not separate inputs
+        const inputEvents = metrics.inputEvents - (metrics.composition ? metrics.composition.events : 0);
         
         // Calculate input rate
-        const inputRate = duration > 0 ? (inputEvents / (duration / 1000)) : 0;
+        const inputRate = activeTime > 0 ? (inputEvents / (activeTime / 1000)) : 0;
         
-        // Check minimum interval (prevent machine-speed input)
-        let minInterval = Infinity;
-        if (this.editTimestamps.length >= 2) {
-            for (let i = 1; i < this.editTimestamps.length; i++) {
-                const interval = this.editTimestamps[i] - this.editTimestamps[i - 1];
-                if (interval > 0 && interval < minInterval) {
-                    minInterval = interval;
-                }
-            }
-        }
+        // Check minimum interval (prevent machine-speed input); no intervals yet means none too short
+        const minInterval = metrics.eventCounts.timing > 0 ? metrics.minInterval : Infinity;
+        
+        // Keystroke dynamics: every key held for the same time is a scripted typist
+        const dynamics = metrics.keystrokeDynamics;
+        const humanDwell = !dynamics ||
+            dynamics.keystrokes < this.thresholds.minKeystrokesForDynamics ||
+            dynamics.dwellStdDev >= this.thresholds.minDwellStdDev;
+        
+        // Mostly pasted content is not human-only, however it was typed around
+        const mostlyTyped = !metrics.contentOrigin ||
+            metrics.contentOrigin.pastedRatio <= this.thresholds.maxPastedRatio;
         
         return (
-            duration >= this.thresholds.minDuration &&
+            activeTime >= this.thresholds.minDuration &&
             entropy >= this.thresholds.minEntropy &&
             temporalCoherence >= this.thresholds.minTemporalCoherence &&
             inputRate <= this.thresholds.maxInputRate &&
-            minInterval >= this.thresholds.minEventInterval
+            minInterval >= this.thresholds.minEventInterval &&
+            humanDwell &&
+            mostlyTyped
         );
     }
 
@@ -235,58 +1047,68 @@ class BrowserProcessTracker {
      */
     generateMetrics() {
         // Always generate metrics, even if tracking just started
+        // Duration is active time across all segments: idle gaps, time in the
+        // background and time between segments are excluded
         const now = Date.now();
         const sessionStart = this.sessionStart || now;
-        const duration = Math.max(now - sessionStart, 100); // At least 100ms
+        const { active, idle, background, foregroundRatio, wallClock } = this.getSessionDuration();
+        const duration = Math.max(active, 100); // At least 100ms
         
         // Calculate metrics (will return 0 if insufficient events - this is accurate!)
         let entropy = this.calculateEntropy();
         let temporalCoherence = this.calculateTemporalCoherence();
-        let inputEvents = this.inputEvents.length; // Actual event count (can be 0)
+        let inputEvents = this.inputEventCount; // Actual event count (can be 0)
         
         // Only set minimum if we have events but calculation returned 0 due to insufficient data
         // This ensures accuracy: 0 events = 0 entropy (correct), not artificially inflated
         // Note: calculateEntropy() and calculateTemporalCoherence() return 0 if < 2 events
         // This is correct behavior - we should not artificially inflate these values
         
-        // Calculate timing statistics
-        let timingVariance = 0;
-        let averageInterval = 0;
-        let minInterval = Infinity;
-        let maxInterval = 0;
-        
-        if (this.editTimestamps.length >= 2) {
-            const intervals = [];
-            for (let i = 1; i < this.editTimestamps.length; i++) {
-                const interval = this.editTimestamps[i] - this.editTimestamps[i - 1];
-                if (interval > 0) {
-                    intervals.push(interval);
-                    if (interval < minInterval) minInterval = interval;
-                    if (interval > maxInterval) maxInterval = interval;
-                }
-            }
-            
-            if (intervals.length > 0) {
-                averageInterval = intervals.reduce((sum, val) => sum + val, 0) / intervals.length;
-                const mean = averageInterval;
-                const variance = intervals.reduce((sum, val) => {
-                    return sum + Math.pow(val - mean, 2);
-                }, 0) / intervals.length;
-                timingVariance = Math.sqrt(variance);
-            }
-        }
+        // Calculate timing statistics over the whole session (all input classes)
+        const allIntervals = this.mergeStats(this.intervals.typed, this.intervals.composed);
+        const timing = this.describeStats(allIntervals);
+        const keystrokeDynamics = this.calculateKeystrokeDynamics();
         
         const metrics = {
             sessionStart: new Date(sessionStart).toISOString(),
             sessionEnd: new Date(now).toISOString(),
             duration: duration,
+            activeTime: active,
+            idleTime: idle,
+            backgroundTime: background,
+            foregroundRatio: foregroundRatio,
+            wallClockDuration: Math.max(wallClock, duration),
+            segments: this.getSegments().map(segment => ({
+                start: new Date(segment.start).toISOString(),
+                end: new Date(segment.end).toISOString(),
+                duration: segment.duration
+            })),
             entropy: entropy,
             temporalCoherence: temporalCoherence,
             inputEvents: inputEvents,
-            timingVariance: timingVariance,
-            averageInterval: averageInterval,
-            minInterval: minInterval === Infinity ? 0 : minInterval,
-            maxInterval: maxInterval,
+            timingVariance: timing.stdDev,
+            averageInterval: timing.mean,
+            minInterval: allIntervals.min === null ? 0 : allIntervals.min,
+            maxInterval: allIntervals.max === null ? 0 : allIntervals.max,
+            keystrokeDynamics: keystrokeDynamics,
+            contentOrigin: this.calculateContentOrigin(),
+            // Samples behind each metric, for judging how much weight it can bear
+            eventCounts: {
+                inputEvents: inputEvents,
+                inputUnits: this.intervals.units.typed + this.intervals.units.composed,
+                entropy: allIntervals.count,
+                temporalCoherence: allIntervals.count,
+                timing: allIntervals.count,
+                typedIntervals: this.intervals.typed.count,
+                composedIntervals: this.intervals.composed.count,
+                keystrokes: keystrokeDynamics.keystrokes,
+                dwell: this.keystrokes.dwell.count,
+                flight: this.keystrokes.flight.count,
+                pauses: this.keystrokes.pauses.count,
+                compositions: this.composition.compositions
+            },
+            composition: this.calculateComposition(),
+            thresholdProfile: this.thresholds.profile,
             metadata: this.metadata
         };
         
@@ -299,6 +1121,9 @@ class BrowserProcessTracker {
      * Generate process digest
      */
     async generateDigest() {
+        // Let queued snapshots finish so the digest commits to the latest chain head
+        await this.editChain.pending;
+        
         // Always generate metrics, even with minimal data
         const metrics = this.generateMetrics();
         
@@ -314,7 +1139,7 @@ class BrowserProcessTracker {
                     duration: duration,
                     entropy: 0.1, // Minimal entropy
                     temporalCoherence: 0.1, // Minimal coherence
-                    inputEvents: this.inputEvents.length || 1,
+                    inputEvents: this.inputEventCount || 1,
                     timingVariance: 0,
                     averageInterval: 0,
                     minInterval: 0,
@@ -326,16 +1151,7 @@ class BrowserProcessTracker {
         }
         
         // Create canonical JSON representation (exclude metadata for privacy)
-        const digestData = {
-            duration: metrics.duration,
-            entropy: Math.round(metrics.entropy * 1000) / 1000, // Round to 3 decimals
-            temporalCoherence: Math.round(metrics.temporalCoherence * 1000) / 1000,
-            inputEvents: metrics.inputEvents,
-            timingVariance: Math.round(metrics.timingVariance),
-            averageInterval: Math.round(metrics.averageInterval),
-            minInterval: metrics.minInterval,
-            maxInterval: metrics.maxInterval
-        };
+        const digestData = this.digestFields(metrics);
         
         // Generate SHA-256 hash
         const canonicalJson = JSON.stringify(digestData, Object.keys(digestData).sort());
@@ -352,6 +1168,49 @@ class BrowserProcessTracker {
         };
     }
 
+    /**
+     * Metric values the digest commits to (rounded so they survive serialization)
+     */
+    digestFields(metrics) {
+        return {
+            duration: metrics.duration,
+            activeTime: metrics.activeTime,
+            idleTime: metrics.idleTime,
+            backgroundTime: metrics.backgroundTime,
+            foregroundRatio: Math.round(metrics.foregroundRatio * 1000) / 1000,
+            wallClockDuration: metrics.wallClockDuration,
+            segmentDurations: metrics.segments.map(segment => segment.duration),
+            entropy: Math.round(metrics.entropy * 1000) / 1000, // Round to 3 decimals
+            temporalCoherence: Math.round(metrics.temporalCoherence * 1000) / 1000,
+            inputEvents: metrics.inputEvents,
+            timingVariance: Math.round(metrics.timingVariance),
+            averageInterval: Math.round(metrics.averageInterval),
+            minInterval: metrics.minInterval,
+            maxInterval: metrics.maxInterval,
+            keystrokes: metrics.keystrokeDynamics.keystrokes,
+            dwellMean: Math.round(metrics.keystrokeDynamics.dwellMean),
+            dwellStdDev: Math.round(metrics.keystrokeDynamics.dwellStdDev),
+            flightMean: Math.round(metrics.keystrokeDynamics.flightMean),
+            flightStdDev: Math.round(metrics.keystrokeDynamics.flightStdDev),
+            rolloverRatio: Math.round(metrics.keystrokeDynamics.rolloverRatio * 1000) / 1000,
+            correctionRatio: Math.round(metrics.keystrokeDynamics.correctionRatio * 1000) / 1000,
+            correctionBursts: metrics.keystrokeDynamics.correctionBursts,
+            pauseDistribution: metrics.keystrokeDynamics.pauseDistribution.map(p => Math.round(p * 1000) / 1000),
+            intervalCount: metrics.eventCounts.timing,
+            typedChars: metrics.contentOrigin.typedChars,
+            pastedChars: metrics.contentOrigin.pastedChars,
+            droppedChars: metrics.contentOrigin.droppedChars,
+            programmaticChars: metrics.contentOrigin.programmaticChars,
+            pastedRatio: Math.round(metrics.contentOrigin.pastedRatio * 1000) / 1000,
+            compositions: metrics.composition.compositions,
+            composedChars: metrics.composition.composedChars,
+            composedShare: Math.round(metrics.composition.composedShare * 1000) / 1000,
+            thresholdProfile: metrics.thresholdProfile,
+            editChainHead: this.editChain.head,
+            editChainLength: this.editChain.links.length
+        };
+    }
+
     /**
      * Stop tracking
      */
@@ -364,26 +1223,62 @@ class BrowserProcessTracker {
      */
     reset() {
         this.sessionStart = null;
-        this.inputEvents = [];
-        this.editTimestamps = [];
+        this.segments = [];
+        this.inputEventCount = 0;
+        this.lastEditAt = null;
+        this.intervals = this.createIntervalState();
+        this.keystrokes = this.createKeystrokeState();
+        this.insertions = this.createInsertionState();
+        this.composition = this.createCompositionState();
+        this.editChain = this.createEditChainState();
+        this.activity = this.createActivityState(null);
         this.isTracking = false;
     }
 
     /**
      * Get current session duration
+     * @returns {Object} { active, idle, background, foregroundRatio, wallClock, segments } -
+     *   active/idle/background: time (ms) within segments (see markActivity);
+     *   foregroundRatio: share of segment time the page was in front;
+     *   wallClock: time since the session first started (ms)
      */
     getSessionDuration() {
         if (!this.sessionStart) {
-            return 0;
+            return { active: 0, idle: 0, background: 0, foregroundRatio: 1, wallClock: 0, segments: 0 };
         }
-        return Date.now() - this.sessionStart;
+        const now = Date.now();
+        const segments = this.getSegments();
+        const span = segments.reduce((sum, segment) => sum + segment.duration, 0);
+        const activity = this.activity;
+        const background = activity.background +
+            (this.isTracking && activity.backgroundSince !== null ? Math.max(now - activity.backgroundSince, 0) : 0);
+        return {
+            active: activity.active,
+            idle: activity.idle,
+            background: background,
+            foregroundRatio: span > 0 ? Math.min(Math.max((span - background) / span, 0), 1) : 1,
+            wallClock: now - this.sessionStart,
+            segments: segments.length
+        };
     }
 
     /**
      * Get input event count
      */
     getInputEventCount() {
-        return this.inputEvents.length;
+        return this.inputEventCount;
+    }
+
+    /**
+     * Get tracking status for display (one round trip when running in a worker)
+     * @returns {Object} { isTracking, duration, inputEvents }
+     */
+    getStatus() {
+        return {
+            isTracking: this.isTracking,
+            duration: this.getSessionDuration(),
+            inputEvents: this.inputEventCount
+        };
     }
 }
 
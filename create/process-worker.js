@@ -0,0 +1,59 @@
+/**
+ * Process Tracker Worker
+ * Hosts the BrowserProcessTracker for ProcessTrackerClient, so event ingestion
+ * and metric computation run off the main thread.
+ *
+ * Messages in:  { id, method, args }  (id omitted for fire-and-forget calls)
+ * Messages out: { type: 'ready' } once loaded, then { id, result } or { id, error }
+ */
+
+importScripts('../verify/crypto-utils.js', 'process-tracker.js');
+
+const tracker = new BrowserProcessTracker();
+
+// Tracker methods the page may call
+const WORKER_METHODS = [
+    'startSession',
+    'resumeSession',
+    'exportState',
+    'recordInput',
+    'recordKeyDown',
+    'recordKeyUp',
+    'recordCompositionStart',
+    'recordCompositionUpdate',
+    'recordCompositionEnd',
+    'recordFocusChange',
+    'recordInsertion',
+    'recordSnapshot',
+    'getEditChain',
+    'generateMetrics',
+    'generateDigest',
+    'setThresholdProfile',
+    'getSessionDuration',
+    'getInputEventCount',
+    'getStatus',
+    'stopTracking',
+    'reset'
+];
+
+self.onmessage = async (event) => {
+    const { id, method, args = [] } = event.data || {};
+
+    try {
+        if (!WORKER_METHODS.includes(method)) {
+            throw new Error(`Unknown tracker method: ${method}`);
+        }
+        const result = await tracker[method](...args);
+        if (id) {
+            self.postMessage({ id: id, result: result });
+        }
+    } catch (error) {
+        if (id) {
+            self.postMessage({ id: id, error: error.message });
+        } else {
+            console.warn(`[ProcessWorker] ${method} failed:`, error);
+        }
+    }
+};
+
+self.postMessage({ type: 'ready' });
@@ -81,6 +81,67 @@ class RegistryClient {
         }
     }
 
+    /**
+     * Submit key rotation (continuity statement signed by old and new keys)
+     */
+    async submitKeyRotation(rotation) {
+        try {
+            const response = await fetch(`${this.registryUrl}/pohw/keys/rotate`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    statement: rotation.statement,
+                    signature: rotation.signature,
+                    newKeySignature: rotation.newKeySignature
+                }),
+                signal: AbortSignal.timeout(30000) // 30 second timeout
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('[RegistryClient] Key rotation submission failed:', error);
+            throw error;
+        }
+    }
+
+    /**
+     * Submit key revocation (signed by the compromised key)
+     */
+    async submitRevocation(revocation) {
+        try {
+            const response = await fetch(`${this.registryUrl}/pohw/keys/revoke`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify({
+                    statement: revocation.statement,
+                    signature: revocation.signature
+                }),
+                signal: AbortSignal.timeout(30000) // 30 second timeout
+            });
+            
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({ error: 'Unknown error' }));
+                throw new Error(errorData.error || `HTTP ${response.status}`);
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('[RegistryClient] Revocation submission failed:', error);
+            throw error;
+        }
+    }
+
     /**
      * Verify a proof by hash
      */
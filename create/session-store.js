@@ -0,0 +1,150 @@
+/**
+ * Writing Session Store
+ * Keeps process-tracker sessions in IndexedDB, one record per document, so a
+ * piece written over several sittings (or days) stays one process record.
+ * Drafts and process data never leave this browser.
+ */
+
+class SessionStore {
+    constructor() {
+        this.dbName = 'pohw-sessions';
+        this.dbStoreName = 'sessions';
+        this.currentDocumentKey = 'pohw-current-document';
+    }
+
+    /**
+     * Open the session database
+     */
+    openDatabase() {
+        return new Promise((resolve, reject) => {
+            if (typeof indexedDB === 'undefined') {
+                reject(new Error('IndexedDB unavailable'));
+                return;
+            }
+
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.dbStoreName, { keyPath: 'id' });
+            };
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Run a single request against the session store
+     */
+    async idbRequest(mode, operation) {
+        const db = await this.openDatabase();
+        try {
+            return await new Promise((resolve, reject) => {
+                const tx = db.transaction(this.dbStoreName, mode);
+                const request = operation(tx.objectStore(this.dbStoreName));
+                tx.oncomplete = () => resolve(request.result);
+                tx.onerror = () => reject(tx.error);
+                tx.onabort = () => reject(tx.error);
+            });
+        } finally {
+            db.close();
+        }
+    }
+
+    /**
+     * Load a document's session
+     * @returns {Promise<Object|null>} { id, title, content, createdAt, updatedAt, tracker }
+     */
+    async load(documentId) {
+        try {
+            return (await this.idbRequest('readonly', store => store.get(documentId))) || null;
+        } catch (error) {
+            throw new Error('Failed to load writing session: ' + error.message);
+        }
+    }
+
+    /**
+     * Save a document's session
+     * @param {Object} record - { id, content, tracker } (title and dates are filled in)
+     */
+    async save(record) {
+        const now = new Date().toISOString();
+        const existing = await this.load(record.id);
+        const stored = {
+            ...record,
+            title: this.titleFor(record.content),
+            createdAt: existing ? existing.createdAt : now,
+            updatedAt: now
+        };
+
+        try {
+            await this.idbRequest('readwrite', store => store.put(stored));
+        } catch (error) {
+            throw new Error('Failed to save writing session: ' + error.message);
+        }
+        return stored;
+    }
+
+    /**
+     * Delete a document's session
+     */
+    async remove(documentId) {
+        try {
+            await this.idbRequest('readwrite', store => store.delete(documentId));
+        } catch (error) {
+            throw new Error('Failed to delete writing session: ' + error.message);
+        }
+    }
+
+    /**
+     * List saved documents, most recently edited first
+     * @returns {Promise<Array>} [{ id, title, createdAt, updatedAt }]
+     */
+    async list() {
+        try {
+            const records = await this.idbRequest('readonly', store => store.getAll());
+            return records
+                .map(({ id, title, createdAt, updatedAt }) => ({ id, title, createdAt, updatedAt }))
+                .sort((a, b) => new Date(b.updatedAt) - new Date(a.updatedAt));
+        } catch (error) {
+            console.warn('[SessionStore] Could not list sessions:', error);
+            return [];
+        }
+    }
+
+    /**
+     * Short title from the first line of the content
+     */
+    titleFor(content) {
+        const firstLine = (content || '').trim().split('\n')[0].trim();
+        if (!firstLine) {
+            return 'Untitled document';
+        }
+        return firstLine.length > 40 ? firstLine.slice(0, 40) + '…' : firstLine;
+    }
+
+    /**
+     * Document open in the editor (survives reloads)
+     */
+    getCurrentDocumentId() {
+        return localStorage.getItem(this.currentDocumentKey);
+    }
+
+    /**
+     * Remember which document is open
+     */
+    setCurrentDocumentId(documentId) {
+        localStorage.setItem(this.currentDocumentKey, documentId);
+    }
+
+    /**
+     * New random document id
+     */
+    createDocumentId() {
+        const bytes = crypto.getRandomValues(new Uint8Array(8));
+        return 'doc-' + Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+}
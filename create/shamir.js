@@ -0,0 +1,177 @@
+/**
+ * Shamir Secret Sharing for PoHW Signing Keys
+ * Splits a private key into N shares, any M of which rebuild it.
+ * Arithmetic is byte-wise in GF(256) (AES polynomial 0x11b), so each share
+ * is the same length as the key. Fewer than M shares reveal nothing about it.
+ */
+
+const SHARE_PREFIX = 'pohw-share';
+const SHARE_VERSION = 'v1';
+const MAX_SHARES = 255;
+
+// GF(256) exp/log tables (generator 3)
+const GF_EXP = new Uint8Array(510);
+const GF_LOG = new Uint8Array(256);
+(function buildTables() {
+    let x = 1;
+    for (let i = 0; i < 255; i++) {
+        GF_EXP[i] = x;
+        GF_LOG[x] = i;
+        // x * 3 = x * 2 xor x
+        x ^= (x << 1) ^ ((x & 0x80) ? 0x11b : 0);
+        x &= 0xff;
+    }
+    for (let i = 255; i < 510; i++) {
+        GF_EXP[i] = GF_EXP[i - 255];
+    }
+})();
+
+/**
+ * Multiply in GF(256)
+ */
+function gfMul(a, b) {
+    if (a === 0 || b === 0) return 0;
+    return GF_EXP[GF_LOG[a] + GF_LOG[b]];
+}
+
+/**
+ * Divide in GF(256)
+ */
+function gfDiv(a, b) {
+    if (b === 0) throw new Error('Division by zero');
+    if (a === 0) return 0;
+    return GF_EXP[GF_LOG[a] + 255 - GF_LOG[b]];
+}
+
+/**
+ * Split a secret into shares
+ * @param {Uint8Array} secret - Secret bytes
+ * @param {number} total - Number of shares (N)
+ * @param {number} threshold - Shares needed to rebuild (M)
+ * @returns {Array<Object>} [{ x, y: Uint8Array }]
+ */
+function splitSecret(secret, total, threshold) {
+    if (!Number.isInteger(total) || !Number.isInteger(threshold)) {
+        throw new Error('Share counts must be whole numbers');
+    }
+    if (threshold < 2 || threshold > total || total > MAX_SHARES) {
+        throw new Error(`Need 2 <= threshold <= shares <= ${MAX_SHARES}`);
+    }
+
+    const shares = [];
+    for (let x = 1; x <= total; x++) {
+        shares.push({ x: x, y: new Uint8Array(secret.length) });
+    }
+
+    // One random polynomial of degree M-1 per byte, constant term = secret byte
+    const coefficients = new Uint8Array(threshold - 1);
+    for (let i = 0; i < secret.length; i++) {
+        crypto.getRandomValues(coefficients);
+        for (const share of shares) {
+            // Horner's method
+            let y = 0;
+            for (let j = coefficients.length - 1; j >= 0; j--) {
+                y = gfMul(y, share.x) ^ coefficients[j];
+            }
+            share.y[i] = gfMul(y, share.x) ^ secret[i];
+        }
+    }
+    coefficients.fill(0);
+
+    return shares;
+}
+
+/**
+ * Rebuild a secret from shares (Lagrange interpolation at x = 0)
+ * With fewer than M shares this returns an unrelated value, not an error;
+ * callers must check the result (see PoHWKeyManager.importShares).
+ * @param {Array<Object>} shares - [{ x, y: Uint8Array }]
+ * @returns {Uint8Array} Secret bytes
+ */
+function combineShares(shares) {
+    if (shares.length < 2) {
+        throw new Error('At least two shares are needed');
+    }
+
+    const xs = shares.map(s => s.x);
+    if (new Set(xs).size !== xs.length) {
+        throw new Error('The same share was entered twice');
+    }
+
+    const length = shares[0].y.length;
+    if (shares.some(s => s.y.length !== length)) {
+        throw new Error('Shares have different lengths');
+    }
+
+    const secret = new Uint8Array(length);
+    for (let i = 0; i < shares.length; i++) {
+        // Lagrange basis polynomial for share i, evaluated at 0
+        let basis = 1;
+        for (let j = 0; j < shares.length; j++) {
+            if (i === j) continue;
+            basis = gfMul(basis, gfDiv(xs[j], xs[j] ^ xs[i]));
+        }
+        for (let k = 0; k < length; k++) {
+            secret[k] ^= gfMul(shares[i].y[k], basis);
+        }
+    }
+    return secret;
+}
+
+/**
+ * Encode a share as text
+ * Format: pohw-share:v1:<setId>:<threshold>:<x>:<hex>:<checksum>
+ * setId ties shares of one split together; checksum catches typos.
+ */
+async function encodeShare(share, threshold, setId) {
+    const hex = Array.from(share.y).map(b => b.toString(16).padStart(2, '0')).join('');
+    const body = [SHARE_PREFIX, SHARE_VERSION, setId, threshold, share.x, hex].join(':');
+    return body + ':' + await shareChecksum(body);
+}
+
+/**
+ * Parse share text
+ * @returns {Promise<Object>} { setId, threshold, x, y: Uint8Array }
+ */
+async function parseShare(text) {
+    const parts = String(text).trim().split(':');
+    if (parts.length !== 7 || parts[0] !== SHARE_PREFIX) {
+        throw new Error('Not a PoHW key share');
+    }
+    if (parts[1] !== SHARE_VERSION) {
+        throw new Error(`Unsupported share version: ${parts[1]}`);
+    }
+
+    const [, , setId, threshold, x, hex, checksum] = parts;
+    if (await shareChecksum(parts.slice(0, 6).join(':')) !== checksum.toLowerCase()) {
+        throw new Error(`Share ${x} is damaged (checksum mismatch)`);
+    }
+    if (!/^([0-9a-f]{2})+$/i.test(hex)) {
+        throw new Error(`Share ${x} is not valid hex`);
+    }
+
+    return {
+        setId: setId,
+        threshold: parseInt(threshold, 10),
+        x: parseInt(x, 10),
+        y: new Uint8Array(hex.match(/../g).map(b => parseInt(b, 16)))
+    };
+}
+
+/**
+ * Short checksum of a share body (first 4 bytes of SHA-256)
+ */
+async function shareChecksum(body) {
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(body)));
+    return Array.from(hash.slice(0, 4)).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = {
+        splitSecret,
+        combineShares,
+        encodeShare,
+        parseShare
+    };
+}
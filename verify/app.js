@@ -6,6 +6,13 @@
 // Initialize with default (will be updated by setupRegistrySelector)
 let verificationClient = new VerificationClient();
 let registryDiscovery = new RegistryDiscovery();
+let didResolver = null;
+
+// Signer identity of the proof currently shown (for the publisher domain check)
+let currentSignerIdentity = null;
+
+// Content hash of the proof currently shown (for the edit history check)
+let currentProofHash = null;
 
 // DOM Elements
 const fileInput = document.getElementById('file-input');
@@ -17,6 +24,11 @@ const verifyButton = document.getElementById('verify-button');
 const resultsSection = document.getElementById('results-section');
 const tabButtons = document.querySelectorAll('.tab-button');
 const tabContents = document.querySelectorAll('.tab-content');
+const publisherDomainInput = document.getElementById('publisher-domain-input');
+const checkDomainBtn = document.getElementById('check-domain-btn');
+const publisherDomainResult = document.getElementById('publisher-domain-result');
+const editHistoryInput = document.getElementById('edit-history-input');
+const editHistoryResult = document.getElementById('edit-history-result');
 
 // Initialize
 document.addEventListener('DOMContentLoaded', () => {
@@ -24,6 +36,8 @@ document.addEventListener('DOMContentLoaded', () => {
     setupFileUpload();
     setupVerifyButton();
     setupRegistrySelector();
+    setupPublisherDomainCheck();
+    setupEditHistoryCheck();
 });
 
 /**
@@ -401,12 +415,53 @@ async function performVerification() {
         // Get PAV claim (PAV Ontology Extension)
         const pavClaim = await verificationClient.getPAVClaim(hash);
         
+        // Get key lineage for the signer DID (key rotations keep author continuity)
+        let lineage = null;
+        if (result.signer || result.did) {
+            try {
+                const lineageData = await verificationClient.getKeyLineage(result.signer || result.did);
+                if (lineageData && Array.isArray(lineageData.rotations) && lineageData.rotations.length > 0) {
+                    // Never trust the registry's word for it: check every signature locally
+                    lineage = await verifyKeyLineage(lineageData.rotations, result.signer || result.did);
+                }
+            } catch (error) {
+                console.warn('Could not fetch key lineage:', error);
+            }
+        }
+        
+        // Check whether the signing key was declared compromised
+        let keyStatus = null;
+        if (result.signer || result.did) {
+            try {
+                const revocationData = await verificationClient.getKeyRevocation(result.signer || result.did);
+                if (revocationData && revocationData.revocation) {
+                    // Only a revocation signed by the key itself counts
+                    const revocation = await verifyRevocation(revocationData.revocation, result.signer || result.did);
+                    keyStatus = assessKeyRevocation(revocation, anchoredTimeOf(anchors));
+                }
+            } catch (error) {
+                console.warn('Could not fetch key revocation:', error);
+            }
+        }
+        
+        // Resolve the signer DID and check the claim signature ourselves
+        let signerIdentity = null;
+        if (result.valid && (result.signer || result.did)) {
+            signerIdentity = await checkSignerIdentity(result, hash, proofDetails, pavClaim, anchoredTimeOf(anchors));
+        }
+        
         // Get reputation for the signer DID
+        // Proofs signed by any key in a valid lineage belong to the same author (the lineage root)
         let reputation = null;
         if (result.signer || result.did) {
             try {
                 const did = result.signer || result.did;
-                reputation = await verificationClient.getReputation(did);
+                if (lineage && lineage.valid && lineage.rootDid !== did) {
+                    reputation = await verificationClient.getReputation(lineage.rootDid);
+                }
+                if (!reputation) {
+                    reputation = await verificationClient.getReputation(did);
+                }
             } catch (error) {
                 console.warn('Could not fetch reputation:', error);
             }
@@ -426,7 +481,7 @@ async function performVerification() {
         }
         
         // Display results
-        displayResults(result, hash, proofDetails, anchors, pavClaim, reputation, allProofsData);
+        displayResults(result, hash, proofDetails, anchors, pavClaim, reputation, allProofsData, lineage, keyStatus, signerIdentity);
         
     } catch (error) {
         console.error('Verification error:', error);
@@ -450,17 +505,291 @@ async function performVerification() {
     }
 }
 
+/**
+ * Resolve the signer DID and verify the proof signature locally
+ * Retired keys are judged by the anchor time, never by the claim timestamp.
+ * @param {string|null} anchoredAt - From anchoredTimeOf()
+ * @returns {Promise<Object>} { did, anchoredAt, resolution, error, signatureCheck }
+ */
+async function checkSignerIdentity(result, hash, proofDetails, pavClaim, anchoredAt = null) {
+    const did = result.signer || result.did;
+    const identity = { did: did, anchoredAt: anchoredAt, resolution: null, error: null, signatureCheck: null };
+    didResolver = new DIDResolver(verificationClient.registryUrl);
+    
+    try {
+        identity.resolution = await didResolver.resolve(did);
+    } catch (error) {
+        console.warn('[App] Could not resolve signer DID:', error);
+        identity.error = error.message;
+        return identity;
+    }
+    
+    const signedClaim = reconstructSignedClaim(did, hash, result, proofDetails, pavClaim);
+    if (!signedClaim) {
+        identity.signatureCheck = { checked: false, valid: false, error: 'Registry did not return the signature' };
+        return identity;
+    }
+    
+    const check = await didResolver.verifySignature(identity.resolution, signedClaim.canonical, signedClaim.signature, anchoredAt);
+    identity.signatureCheck = { checked: true, ...check };
+    identity.signedClaim = signedClaim;
+    return identity;
+}
+
+/**
+ * Rebuild the claim the creator signed: { hash, did, timestamp, processDigest?, compoundHash? }
+ * Returns null if the registry did not return enough of the proof record.
+ */
+function reconstructSignedClaim(did, hash, result, proofDetails, pavClaim) {
+    const record = proofDetails || {};
+    const signature = record.signature || result.signature || (pavClaim && pavClaim['pav:signature']);
+    const timestamp = record.timestamp || result.timestamp;
+    if (!signature || !timestamp) {
+        return null;
+    }
+    
+    const claim = {
+        hash: '0x' + hash.replace(/^0x/, '').toLowerCase(),
+        did: did,
+        timestamp: timestamp
+    };
+    
+    const processDigest = record.processDigest || record.process_digest || (pavClaim && pavClaim['pav:processDigest']);
+    if (processDigest) {
+        claim.processDigest = processDigest;
+        const compoundHash = record.compoundHash || record.compound_hash;
+        if (compoundHash) {
+            claim.compoundHash = compoundHash;
+        }
+    }
+    
+    return { claim: claim, canonical: canonicalizeStatement(claim), signature: signature };
+}
+
+/**
+ * Setup the "does this signer belong to a publisher's domain" check
+ */
+function setupPublisherDomainCheck() {
+    checkDomainBtn.addEventListener('click', () => {
+        checkPublisherDomain();
+    });
+    publisherDomainInput.addEventListener('keydown', (event) => {
+        if (event.key === 'Enter') {
+            checkPublisherDomain();
+        }
+    });
+}
+
+/**
+ * Resolve did:web for the entered domain and check it lists the signing key
+ */
+async function checkPublisherDomain() {
+    const identity = currentSignerIdentity;
+    publisherDomainResult.style.color = '';
+    
+    if (!identity || !identity.resolution) {
+        publisherDomainResult.textContent = 'The signer DID could not be resolved, so there is no key to look for.';
+        return;
+    }
+    
+    // The key that made the signature (did:key and did:pohw may list several)
+    const signingKey = identity.signatureCheck && identity.signatureCheck.valid
+        ? identity.signatureCheck.publicKey
+        : null;
+    if (!signingKey) {
+        publisherDomainResult.textContent = 'The proof signature did not verify locally, so it cannot be linked to a domain.';
+        return;
+    }
+    
+    let didWeb;
+    try {
+        didWeb = didWebFromLocation(publisherDomainInput.value);
+    } catch (error) {
+        publisherDomainResult.textContent = error.message;
+        return;
+    }
+    
+    checkDomainBtn.disabled = true;
+    publisherDomainResult.textContent = `Resolving ${didWeb}...`;
+    try {
+        const resolution = await didResolver.resolve(didWeb);
+        const key = didResolver.findKey(resolution, signingKey, identity.anchoredAt);
+        if (key) {
+            publisherDomainResult.textContent = `✓ ${didWeb} (${resolution.source}) lists the key that signed this proof as ${key.id}`;
+            publisherDomainResult.style.color = 'var(--accent-green)';
+        } else {
+            publisherDomainResult.textContent = `✗ ${didWeb} does not list the key that signed this proof`;
+            publisherDomainResult.style.color = 'var(--error-color)';
+        }
+    } catch (error) {
+        publisherDomainResult.textContent = `Could not resolve ${didWeb}: ${error.message}`;
+        publisherDomainResult.style.color = 'var(--error-color)';
+    } finally {
+        checkDomainBtn.disabled = false;
+    }
+}
+
+/**
+ * Setup the check of a revealed edit history ("Download Edit History" on the create page)
+ */
+function setupEditHistoryCheck() {
+    editHistoryInput.addEventListener('change', async () => {
+        const file = editHistoryInput.files[0];
+        if (!file) return;
+        await checkEditHistory(file);
+        editHistoryInput.value = '';
+    });
+}
+
+/**
+ * Replay a revealed edit history against the proof
+ * The file's pohw:EditChainHead statement must be signed by the key that signed
+ * the proof and name the same hash, DID and claim timestamp; the links must
+ * chain from the genesis, end at its head, and replay to text whose hash is
+ * the proof hash.
+ */
+async function checkEditHistory(file) {
+    const identity = currentSignerIdentity;
+    editHistoryResult.style.color = '';
+    
+    let history;
+    try {
+        history = JSON.parse(await file.text());
+    } catch (error) {
+        history = null;
+    }
+    if (!history || history.type !== 'pohw:EditHistory' || !Array.isArray(history.links)) {
+        editHistoryResult.textContent = `${file.name} is not a PoHW edit history file.`;
+        editHistoryResult.style.color = 'var(--error-color)';
+        return;
+    }
+    
+    editHistoryResult.textContent = `Replaying ${history.links.length} edits...`;
+    const statement = await checkEditChainStatement(history, identity);
+    const problems = statement.errors.slice();
+    try {
+        const chain = await verifyEditChain(history.links, statement.head);
+        problems.push(...chain.errors);
+        if (chain.valid) {
+            const replayedHash = '0x' + (await hashText(chain.content)).replace(/^0x/, '');
+            if (replayedHash !== currentProofHash) {
+                problems.push('The replayed text does not hash to the proof hash');
+            }
+        }
+    } catch (error) {
+        problems.push('Could not replay the edit history: ' + error.message);
+    }
+    
+    if (problems.length === 0) {
+        editHistoryResult.textContent = `✓ ${history.links.length} edits replay to the signed content and end at the head the author signed`;
+        editHistoryResult.style.color = 'var(--accent-green)';
+    } else {
+        editHistoryResult.textContent = '✗ ' + problems.join('; ');
+        editHistoryResult.style.color = 'var(--error-color)';
+    }
+}
+
+/**
+ * Check the signed pohw:EditChainHead statement of a revealed edit history
+ * @returns {Promise<Object>} { head: signed head, or null if it cannot be trusted, errors }
+ */
+async function checkEditChainStatement(history, identity) {
+    const statement = history.statement;
+    if (!statement || statement.type !== 'pohw:EditChainHead' || !history.signature) {
+        return { head: null, errors: ['The file has no signed edit-history statement'] };
+    }
+    // The statement is only bound to the author if the proof signature verified
+    if (!identity || !identity.signatureCheck || !identity.signatureCheck.valid) {
+        return { head: null, errors: ['The proof signature did not verify locally, so the edit-history statement cannot be trusted'] };
+    }
+    
+    const errors = [];
+    let signed = false;
+    try {
+        signed = await verifyEd25519(identity.signatureCheck.publicKey, canonicalizeStatement(statement), history.signature);
+    } catch (error) {
+        errors.push('Could not check the edit-history statement signature: ' + error.message);
+    }
+    if (!signed && errors.length === 0) {
+        errors.push('The edit-history statement was not signed by the key that signed the proof');
+    }
+    if (String(statement.hash).toLowerCase() !== currentProofHash) {
+        errors.push('The edit-history statement is for a different content hash');
+    }
+    if (statement.did !== identity.did || statement.timestamp !== identity.signedClaim.claim.timestamp) {
+        errors.push('The edit-history statement belongs to a different proof');
+    }
+    return { head: errors.length === 0 ? statement.editChainHead : null, errors: errors };
+}
+
+/**
+ * Show the resolved signer DID document and the local signature check
+ */
+function displaySignerIdentity(identity) {
+    const resolutionEl = document.getElementById('result-did-resolution');
+    const signatureEl = document.getElementById('result-signature-check');
+    const detailsEl = document.getElementById('did-document-details');
+    const domainCheckEl = document.getElementById('publisher-domain-check');
+    const historyCheckEl = document.getElementById('edit-history-check');
+    
+    currentSignerIdentity = identity;
+    publisherDomainResult.textContent = '';
+    editHistoryResult.textContent = '';
+    signatureEl.style.color = '';
+    
+    if (!identity) {
+        resolutionEl.textContent = '—';
+        signatureEl.textContent = '—';
+        detailsEl.classList.add('hidden');
+        domainCheckEl.classList.add('hidden');
+        historyCheckEl.classList.add('hidden');
+        return;
+    }
+    
+    if (identity.resolution) {
+        resolutionEl.textContent = `Resolved via did:${identity.resolution.method} (${identity.resolution.source})`;
+        document.getElementById('result-did-document').textContent = JSON.stringify(identity.resolution.document, null, 2);
+        detailsEl.classList.remove('hidden');
+    } else {
+        resolutionEl.textContent = `Could not resolve: ${identity.error}`;
+        detailsEl.classList.add('hidden');
+    }
+    
+    const check = identity.signatureCheck;
+    if (!check) {
+        signatureEl.textContent = 'Not checked (signer DID unresolved)';
+    } else if (!check.checked) {
+        signatureEl.textContent = `Not checked: ${check.error}`;
+    } else if (check.valid) {
+        signatureEl.textContent = `✓ Verified in this browser with ${check.keyId}`;
+        signatureEl.style.color = 'var(--accent-green)';
+    } else {
+        signatureEl.textContent = `✗ ${check.error}`;
+        signatureEl.style.color = 'var(--error-color)';
+    }
+    
+    domainCheckEl.classList.toggle('hidden', !identity.resolution);
+    historyCheckEl.classList.toggle('hidden', !(check && check.valid));
+}
+
 /**
  * Determine verdict type based on proof data (Whitepaper Section 5.2)
  * Returns: 'human-authored', 'human-approved', 'ai-assisted', or 'indeterminate'
  */
-function determineVerdict(result, pavClaim) {
+function determineVerdict(result, pavClaim, keyStatus = null) {
     if (!result.valid) {
         return {
             type: 'indeterminate',
             explanation: 'Proof not found or invalid'
         };
     }
+    
+    if (keyStatus && keyStatus.compromised) {
+        return {
+            type: 'indeterminate',
+            explanation: 'The signing key was declared compromised and the proof cannot be placed before that; the signature cannot be attributed to its owner'
+        };
+    }
 
     // Check for process digest and entropy proof (human-authored indicators)
     const hasProcessDigest = pavClaim && pavClaim['pav:processDigest'];
@@ -516,15 +845,19 @@ function determineVerdict(result, pavClaim) {
 /**
  * Display verification results
  */
-function displayResults(result, hash, proofDetails, anchors, pavClaim, reputation, allProofsData = null) {
+function displayResults(result, hash, proofDetails, anchors, pavClaim, reputation, allProofsData = null, lineage = null, keyStatus = null, signerIdentity = null) {
     resultsSection.classList.remove('hidden');
     
     // Determine verdict (Whitepaper requirement)
-    const verdict = determineVerdict(result, pavClaim);
+    const verdict = determineVerdict(result, pavClaim, keyStatus);
+    const compromised = result.valid && keyStatus && keyStatus.compromised;
     
     // Status badge
     const statusBadge = document.getElementById('status-badge');
-    if (result.valid) {
+    if (compromised) {
+        statusBadge.textContent = 'UNTRUSTED';
+        statusBadge.className = 'status-badge invalid';
+    } else if (result.valid) {
         statusBadge.textContent = 'VALID';
         statusBadge.className = 'status-badge valid';
     } else {
@@ -533,8 +866,17 @@ function displayResults(result, hash, proofDetails, anchors, pavClaim, reputatio
     }
     
     // Basic results
-    document.getElementById('result-status').textContent = result.valid ? 'VALID PROOF' : (result.error || 'INVALID');
+    document.getElementById('result-status').textContent = compromised
+        ? 'SIGNED WITH COMPROMISED KEY'
+        : (result.valid ? 'VALID PROOF' : (result.error || 'INVALID'));
+    const keyStatusEl = document.getElementById('result-key-status');
+    keyStatusEl.textContent = keyStatus ? keyStatus.text : 'Not revoked';
+    keyStatusEl.style.color = compromised ? 'var(--error-color)' : '';
     document.getElementById('result-signer').textContent = result.signer || result.did || '—';
+    document.getElementById('result-signer-key').textContent = describeSignerKey(result.signer || result.did);
+    document.getElementById('result-lineage').textContent = describeKeyLineage(lineage, result.timestamp);
+    currentProofHash = '0x' + hash.replace(/^0x/, '').toLowerCase();
+    displaySignerIdentity(signerIdentity);
     document.getElementById('result-timestamp').textContent = result.timestamp ? formatTimestamp(result.timestamp) : '—';
     document.getElementById('result-hash').textContent = hash;
     document.getElementById('result-registry').textContent = result.registry || verificationClient.registryUrl;
@@ -974,6 +1316,114 @@ function displayResults(result, hash, proofDetails, anchors, pavClaim, reputatio
     }
 }
 
+/**
+ * Describe the public key a signer DID resolves to
+ * did:key embeds the full Ed25519 key; legacy did:pohw only carries a 16-hex-char key prefix
+ */
+function describeSignerKey(did) {
+    if (!did) {
+        return '—';
+    }
+    
+    const publicKey = publicKeyFromDIDKey(did);
+    if (publicKey) {
+        const hex = Array.from(publicKey).map(b => b.toString(16).padStart(2, '0')).join('');
+        return `Ed25519 ${hex} (from did:key)`;
+    }
+    
+    const legacy = /^did:pohw:([0-9a-f]{16})$/i.exec(did);
+    if (legacy) {
+        return `Key prefix ${legacy[1].toLowerCase()}… (legacy did:pohw, full key not recoverable from DID)`;
+    }
+    
+    return 'Not resolvable from DID';
+}
+
+/**
+ * Describe where the signing key sits in its author's key lineage
+ */
+function describeKeyLineage(lineage, proofTimestamp) {
+    if (!lineage) {
+        return 'No key rotations (single key)';
+    }
+    
+    if (!lineage.valid) {
+        return lineage.errors.length > 0
+            ? `Lineage does not verify: ${lineage.errors.join('; ')}`
+            : 'Signer key is not part of the published lineage';
+    }
+    
+    const key = lineage.keys[lineage.signerIndex];
+    let text = `Same author as ${lineage.rootDid} (key ${lineage.signerIndex + 1} of ${lineage.keys.length}, verified)`;
+    if (key.supersededAt && proofTimestamp && new Date(proofTimestamp) > new Date(key.supersededAt)) {
+        text += ` — signed after this key was rotated out on ${formatTimestamp(key.supersededAt)}`;
+    }
+    return text;
+}
+
+/**
+ * Earliest time the proof provably existed: when its batch was anchored on chain
+ * The claim timestamp is chosen by the signer, so it cannot place a proof in time.
+ * @param {Object} anchors - Result of getBatchAnchors()
+ * @returns {string|null} ISO 8601 time, or null if the batch has no anchor time yet
+ */
+function anchoredTimeOf(anchors) {
+    const times = ((anchors && anchors.anchors) || [])
+        .map(anchor => new Date(anchor.anchored_at || anchor.timestamp))
+        .filter(time => !isNaN(time.getTime()));
+    if (times.length === 0) {
+        return null;
+    }
+    return new Date(Math.min(...times.map(time => time.getTime()))).toISOString();
+}
+
+/**
+ * Classify a proof against a verified key revocation
+ * Only the anchor time counts: whoever holds a stolen key can backdate the
+ * timestamp in its claims, so a proof without one is treated as compromised.
+ * @param {Object} revocation - Result of verifyRevocation()
+ * @param {string|null} anchoredAt - From anchoredTimeOf()
+ * @returns {Object} { revoked, compromised, text }
+ */
+function assessKeyRevocation(revocation, anchoredAt) {
+    if (!revocation.valid) {
+        return {
+            revoked: false,
+            compromised: false,
+            text: `Registry returned a revocation that does not verify (${revocation.error}); ignored`
+        };
+    }
+    
+    const reasons = {
+        key_compromise: 'key stolen or exposed',
+        device_lost: 'device lost',
+        passphrase_exposed: 'passphrase exposed'
+    };
+    const reason = reasons[revocation.reason] || revocation.reason || 'no reason given';
+    const since = formatTimestamp(revocation.effectiveFrom);
+    
+    if (!anchoredAt) {
+        return {
+            revoked: true,
+            compromised: true,
+            text: `Revoked — the key was declared compromised on ${since} (${reason}) and this proof has no anchor time to show it was made earlier. Do not trust this proof.`
+        };
+    }
+    if (new Date(anchoredAt) >= new Date(revocation.effectiveFrom)) {
+        return {
+            revoked: true,
+            compromised: true,
+            text: `Revoked — anchored after the key was declared compromised on ${since} (${reason}). Do not trust this proof.`
+        };
+    }
+    
+    return {
+        revoked: true,
+        compromised: false,
+        text: `Anchored before key compromise (${formatTimestamp(anchoredAt)}) — key revoked from ${since} (${reason})`
+    };
+}
+
 /**
  * Get blockchain explorer URL
  */
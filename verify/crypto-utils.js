@@ -117,6 +117,421 @@ async function hashText(text) {
     return await hashSHA256(canonicalized);
 }
 
+/**
+ * Base58 (Bitcoin alphabet) used by multibase 'z' prefix
+ */
+const BASE58_ALPHABET = '123456789ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnopqrstuvwxyz';
+
+/**
+ * Encode bytes as base58btc
+ */
+function base58Encode(bytes) {
+    let zeros = 0;
+    while (zeros < bytes.length && bytes[zeros] === 0) {
+        zeros++;
+    }
+    
+    // Repeated division in base 58 (big-endian digits)
+    const digits = [];
+    for (let i = zeros; i < bytes.length; i++) {
+        let carry = bytes[i];
+        for (let j = 0; j < digits.length; j++) {
+            carry += digits[j] << 8;
+            digits[j] = carry % 58;
+            carry = (carry / 58) | 0;
+        }
+        while (carry > 0) {
+            digits.push(carry % 58);
+            carry = (carry / 58) | 0;
+        }
+    }
+    
+    return '1'.repeat(zeros) + digits.reverse().map(d => BASE58_ALPHABET[d]).join('');
+}
+
+/**
+ * Decode base58btc string to bytes
+ */
+function base58Decode(str) {
+    let zeros = 0;
+    while (zeros < str.length && str[zeros] === '1') {
+        zeros++;
+    }
+    
+    const bytes = [];
+    for (let i = zeros; i < str.length; i++) {
+        let carry = BASE58_ALPHABET.indexOf(str[i]);
+        if (carry < 0) {
+            throw new Error(`Invalid base58 character: ${str[i]}`);
+        }
+        for (let j = 0; j < bytes.length; j++) {
+            carry += bytes[j] * 58;
+            bytes[j] = carry & 0xff;
+            carry >>= 8;
+        }
+        while (carry > 0) {
+            bytes.push(carry & 0xff);
+            carry >>= 8;
+        }
+    }
+    
+    return new Uint8Array([...new Array(zeros).fill(0), ...bytes.reverse()]);
+}
+
+/**
+ * Multicodec prefix for ed25519-pub (varint 0xed)
+ */
+const ED25519_PUB_MULTICODEC = [0xed, 0x01];
+
+/**
+ * Build did:key identifier from Ed25519 public key bytes
+ * Format: did:key:z + base58btc(0xed01 || publicKey)
+ */
+function didKeyFromPublicKey(publicKey) {
+    return `did:key:${ed25519PublicKeyMultibase(publicKey)}`;
+}
+
+/**
+ * Encode an Ed25519 public key as multibase (publicKeyMultibase in DID documents)
+ * Format: z + base58btc(0xed01 || publicKey)
+ */
+function ed25519PublicKeyMultibase(publicKey) {
+    const bytes = new Uint8Array(2 + publicKey.length);
+    bytes.set(ED25519_PUB_MULTICODEC, 0);
+    bytes.set(publicKey, 2);
+    return `z${base58Encode(bytes)}`;
+}
+
+/**
+ * Decode a multibase Ed25519 public key
+ * Returns null if it is not a base58btc ed25519-pub value
+ */
+function publicKeyFromMultibase(multibase) {
+    const match = /^z([1-9A-HJ-NP-Za-km-z]+)$/.exec(multibase || '');
+    if (!match) {
+        return null;
+    }
+    
+    try {
+        const bytes = base58Decode(match[1]);
+        if (bytes.length !== 34 || bytes[0] !== ED25519_PUB_MULTICODEC[0] || bytes[1] !== ED25519_PUB_MULTICODEC[1]) {
+            return null;
+        }
+        return bytes.slice(2);
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Build a did:web identifier from a host (and optional path)
+ * Accepts "example.com", "example.com/authors/alice" or a full https URL.
+ * Ports are percent-encoded as the did:web spec requires.
+ */
+function didWebFromLocation(location) {
+    let url;
+    try {
+        const input = String(location || '').trim();
+        url = new URL(/^https?:\/\//i.test(input) ? input : `https://${input}`);
+    } catch (e) {
+        throw new Error('Enter a domain such as example.com');
+    }
+    if (!url.hostname || (!url.hostname.includes('.') && url.hostname !== 'localhost')) {
+        throw new Error('Enter a domain such as example.com');
+    }
+    
+    const path = url.pathname
+        .replace(/\/\.well-known\/did\.json$|\/did\.json$/, '')
+        .split('/')
+        .filter(Boolean)
+        .map(segment => encodeURIComponent(decodeURIComponent(segment)));
+    const host = url.port ? `${url.hostname}%3A${url.port}` : url.hostname;
+    return ['did:web', host, ...path].join(':');
+}
+
+/**
+ * URL a did:web document is served from
+ * did:web:example.com -> https://example.com/.well-known/did.json
+ * did:web:example.com:authors:alice -> https://example.com/authors/alice/did.json
+ */
+function didWebToUrl(did) {
+    const match = /^did:web:([^:#?]+)((?::[^:#?]+)*)$/.exec(did || '');
+    if (!match) {
+        throw new Error(`Not a did:web identifier: ${did}`);
+    }
+    
+    const host = decodeURIComponent(match[1]);
+    const path = match[2] ? match[2].slice(1).split(':').map(decodeURIComponent) : [];
+    return path.length > 0
+        ? `https://${host}/${path.map(encodeURIComponent).join('/')}/did.json`
+        : `https://${host}/.well-known/did.json`;
+}
+
+/**
+ * Build legacy did:pohw identifier (first 16 hex chars of public key)
+ * Kept for proofs created before did:key became the default
+ */
+function legacyDIDFromPublicKey(publicKey) {
+    const hex = Array.from(publicKey)
+        .map(b => b.toString(16).padStart(2, '0'))
+        .join('');
+    return `did:pohw:${hex.substring(0, 16)}`;
+}
+
+/**
+ * Recover Ed25519 public key bytes from a did:key identifier
+ * Returns null if the DID is not an Ed25519 did:key
+ */
+function publicKeyFromDIDKey(did) {
+    const match = /^did:key:(z[1-9A-HJ-NP-Za-km-z]+)$/.exec(did || '');
+    return match ? publicKeyFromMultibase(match[1]) : null;
+}
+
+/**
+ * Check whether a DID identifies the given public key
+ * did:key must match exactly; legacy did:pohw matches on the 16-hex-char prefix
+ */
+function didMatchesPublicKey(did, publicKey) {
+    if (!did || !publicKey) {
+        return false;
+    }
+    
+    if (did.startsWith('did:key:')) {
+        return did === didKeyFromPublicKey(publicKey);
+    }
+    
+    if (/^did:pohw:[0-9a-f]{16}$/i.test(did)) {
+        return did.toLowerCase() === legacyDIDFromPublicKey(publicKey);
+    }
+    
+    return false;
+}
+
+/**
+ * Convert bytes to hex string (no prefix)
+ */
+function bytesToHex(bytes) {
+    return Array.from(bytes).map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Convert hex string (with or without 0x) to bytes
+ */
+function hexToBytes(hex) {
+    const clean = hex.replace(/^0x/, '');
+    return new Uint8Array((clean.match(/.{1,2}/g) || []).map(byte => parseInt(byte, 16)));
+}
+
+/**
+ * Verify an Ed25519 signature with WebCrypto
+ * Falls back to @noble/ed25519 if the page has it loaded and the browser lacks native Ed25519.
+ * @param {Uint8Array} publicKey - 32-byte public key
+ * @param {string|Uint8Array} message - Signed message (strings are UTF-8 encoded)
+ * @param {string} signatureHex - Hex signature
+ * @returns {Promise<boolean>}
+ */
+async function verifyEd25519(publicKey, message, signatureHex) {
+    const messageBytes = typeof message === 'string' ? new TextEncoder().encode(message) : message;
+    const signature = hexToBytes(signatureHex);
+    
+    try {
+        const key = await crypto.subtle.importKey('raw', publicKey, { name: 'Ed25519' }, false, ['verify']);
+        return await crypto.subtle.verify({ name: 'Ed25519' }, key, signature, messageBytes);
+    } catch (error) {
+        if (typeof window !== 'undefined' && window.ed25519 && typeof window.ed25519.verify === 'function') {
+            return await window.ed25519.verify(signature, messageBytes, publicKey);
+        }
+        throw new Error('Ed25519 verification is not supported in this browser');
+    }
+}
+
+/**
+ * Canonical form of a signed statement (sorted top-level keys, same as proof claims)
+ */
+function canonicalizeStatement(statement) {
+    return JSON.stringify(statement, Object.keys(statement).sort());
+}
+
+/**
+ * Verify a chain of key rotation statements
+ * Each statement is signed by the previous key (handover) and the new key (possession),
+ * and must continue from the key introduced by the statement before it.
+ * @param {Array} rotations - [{ statement, signature, newKeySignature }]
+ * @param {string} signerDid - Optional DID to locate in the lineage (did:key or legacy did:pohw)
+ * @returns {Promise<Object>} { valid, keys, rootDid, currentDid, signerIndex, errors }
+ */
+async function verifyKeyLineage(rotations, signerDid = null) {
+    const errors = [];
+    const sorted = [...(rotations || [])].sort((a, b) =>
+        new Date(a.statement.timestamp) - new Date(b.statement.timestamp));
+    
+    const keys = [];
+    for (let i = 0; i < sorted.length; i++) {
+        const { statement, signature, newKeySignature } = sorted[i];
+        const previousKey = hexToBytes(statement.previousPublicKey || '');
+        const newKey = hexToBytes(statement.newPublicKey || '');
+        
+        if (!didMatchesPublicKey(statement.previousDid, previousKey) || !didMatchesPublicKey(statement.newDid, newKey)) {
+            errors.push(`Rotation ${i + 1}: DID does not match public key`);
+            continue;
+        }
+        
+        if (i > 0 && statement.previousPublicKey !== sorted[i - 1].statement.newPublicKey) {
+            errors.push(`Rotation ${i + 1}: does not continue from the previous key`);
+            continue;
+        }
+        
+        const canonical = canonicalizeStatement(statement);
+        try {
+            if (!await verifyEd25519(previousKey, canonical, signature)) {
+                errors.push(`Rotation ${i + 1}: handover signature by previous key is invalid`);
+                continue;
+            }
+            if (!await verifyEd25519(newKey, canonical, newKeySignature)) {
+                errors.push(`Rotation ${i + 1}: possession signature by new key is invalid`);
+                continue;
+            }
+        } catch (error) {
+            errors.push(`Rotation ${i + 1}: ${error.message}`);
+            continue;
+        }
+        
+        if (keys.length === 0) {
+            keys.push({ did: statement.previousDid, publicKey: statement.previousPublicKey, since: null, supersededAt: statement.timestamp });
+        } else {
+            keys[keys.length - 1].supersededAt = statement.timestamp;
+        }
+        keys.push({ did: statement.newDid, publicKey: statement.newPublicKey, since: statement.timestamp, supersededAt: null });
+    }
+    
+    let signerIndex = -1;
+    if (signerDid) {
+        signerIndex = keys.findIndex(k => didMatchesPublicKey(signerDid, hexToBytes(k.publicKey)));
+    }
+    
+    return {
+        valid: errors.length === 0 && keys.length > 0 && (!signerDid || signerIndex >= 0),
+        keys: keys,
+        rootDid: keys.length > 0 ? keys[0].did : null,
+        currentDid: keys.length > 0 ? keys[keys.length - 1].did : null,
+        signerIndex: signerIndex,
+        errors: errors
+    };
+}
+
+/**
+ * Verify a key revocation statement
+ * The statement must be signed by the revoked key and name the signer's key.
+ * @param {Object} revocation - { statement, signature }
+ * @param {string} signerDid - DID of the proof signer (did:key or legacy did:pohw)
+ * @returns {Promise<Object>} { valid, effectiveFrom, reason, error }
+ */
+async function verifyRevocation(revocation, signerDid) {
+    const statement = revocation && revocation.statement;
+    if (!statement || statement.type !== 'pohw:KeyRevocation') {
+        return { valid: false, error: 'Not a key revocation statement' };
+    }
+    
+    const publicKey = hexToBytes(statement.publicKey || '');
+    if (!didMatchesPublicKey(statement.did, publicKey)) {
+        return { valid: false, error: 'Revocation DID does not match its public key' };
+    }
+    if (signerDid && !didMatchesPublicKey(signerDid, publicKey)) {
+        return { valid: false, error: 'Revocation is for a different key' };
+    }
+    
+    try {
+        if (!await verifyEd25519(publicKey, canonicalizeStatement(statement), revocation.signature)) {
+            return { valid: false, error: 'Revocation signature is invalid' };
+        }
+    } catch (error) {
+        return { valid: false, error: error.message };
+    }
+    
+    return {
+        valid: true,
+        effectiveFrom: statement.effectiveFrom,
+        reason: statement.reason,
+        error: null
+    };
+}
+
+/**
+ * Previous-link value of the first link in an edit history
+ */
+const EDIT_CHAIN_GENESIS = '0x' + '0'.repeat(64);
+
+/**
+ * Hash one link of an edit history
+ * A link commits to the previous link, its time, and the edit delta
+ * (replace `removed` characters at `position` with `inserted`).
+ * @param {Object} link - { index, previous, timestamp, position, removed, inserted }
+ * @returns {Promise<string>} 0x-prefixed SHA-256
+ */
+async function hashEditLink(link) {
+    // Flat object: canonicalizeStatement only orders top-level keys
+    const fields = {
+        index: link.index,
+        previous: link.previous,
+        timestamp: link.timestamp,
+        position: link.position,
+        removed: link.removed,
+        inserted: link.inserted
+    };
+    const data = new TextEncoder().encode(canonicalizeStatement(fields));
+    const hash = new Uint8Array(await crypto.subtle.digest('SHA-256', data));
+    return '0x' + bytesToHex(hash);
+}
+
+/**
+ * Verify a revealed edit history
+ * Replays every delta from empty content and recomputes the link hashes.
+ * @param {Array} links - Links in order (see hashEditLink)
+ * @param {string} expectedHead - Signed chain head (pohw:EditChainHead statement), optional
+ * @returns {Promise<Object>} { valid, head, content, errors }
+ */
+async function verifyEditChain(links, expectedHead = null) {
+    const errors = [];
+    let head = EDIT_CHAIN_GENESIS;
+    let content = '';
+    
+    for (let i = 0; i < (links || []).length; i++) {
+        const link = links[i];
+        if (link.index !== i || link.previous !== head) {
+            errors.push(`Link ${i + 1}: does not continue from the previous link`);
+            break;
+        }
+        if (i > 0 && new Date(link.timestamp) < new Date(links[i - 1].timestamp)) {
+            errors.push(`Link ${i + 1}: timestamp goes backwards`);
+            break;
+        }
+        if (!(link.position >= 0 && link.removed >= 0 && link.position + link.removed <= content.length)) {
+            errors.push(`Link ${i + 1}: delta does not fit the content`);
+            break;
+        }
+        
+        const hash = await hashEditLink(link);
+        if (link.hash && link.hash !== hash) {
+            errors.push(`Link ${i + 1}: hash mismatch`);
+            break;
+        }
+        
+        content = content.slice(0, link.position) + link.inserted + content.slice(link.position + link.removed);
+        head = hash;
+    }
+    
+    if (errors.length === 0 && expectedHead && head !== expectedHead) {
+        errors.push('Chain head does not match the attested head');
+    }
+    
+    return {
+        valid: errors.length === 0,
+        head: head,
+        content: content,
+        errors: errors
+    };
+}
+
 // Export for use in other scripts
 if (typeof module !== 'undefined' && module.exports) {
     module.exports = {
@@ -125,7 +540,25 @@ if (typeof module !== 'undefined' && module.exports) {
         hashSHA256,
         hashBinary,
         hashFile,
-        hashText
+        hashText,
+        base58Encode,
+        base58Decode,
+        didKeyFromPublicKey,
+        ed25519PublicKeyMultibase,
+        publicKeyFromMultibase,
+        didWebFromLocation,
+        didWebToUrl,
+        legacyDIDFromPublicKey,
+        publicKeyFromDIDKey,
+        didMatchesPublicKey,
+        bytesToHex,
+        hexToBytes,
+        verifyEd25519,
+        canonicalizeStatement,
+        verifyKeyLineage,
+        verifyRevocation,
+        hashEditLink,
+        verifyEditChain
     };
 }
 
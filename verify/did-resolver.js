@@ -0,0 +1,310 @@
+/**
+ * PoHW DID Resolver
+ * Resolves signer DIDs to their Ed25519 verification keys:
+ *   did:key  - the key is the identifier (no network)
+ *   did:web  - DID document fetched from the controller's domain over HTTPS
+ *   did:pohw - native method, DID document served by the registry
+ * Resolved keys are only used to check signatures locally; a document that
+ * does not match the DID it was fetched for is rejected.
+ */
+
+const DID_RESOLUTION_TIMEOUT = 10000;
+
+class DIDResolver {
+    constructor(registryUrl = null, options = {}) {
+        this.registryUrl = registryUrl ? registryUrl.replace(/\/$/, '') : null;
+        this.timeout = options.timeout || DID_RESOLUTION_TIMEOUT;
+
+        // did:web requires HTTPS. Plain HTTP is allowed for localhost fixture
+        // servers, but only when this page is itself served from localhost.
+        const localPage = window.location.hostname === 'localhost' || window.location.hostname === '127.0.0.1';
+        this.allowInsecureLocalhost = options.allowInsecureLocalhost !== undefined
+            ? options.allowInsecureLocalhost
+            : localPage;
+
+        this.cache = new Map();
+    }
+
+    /**
+     * Resolve a DID
+     * @param {string} did - did:key, did:web or did:pohw identifier
+     * @returns {Promise<Object>} { did, method, document, keys, source }
+     *   keys: [{ id, publicKey: Uint8Array, assertion, revoked }]
+     */
+    async resolve(did) {
+        if (this.cache.has(did)) {
+            return this.cache.get(did);
+        }
+
+        const method = (/^did:([a-z0-9]+):/.exec(did || '') || [])[1];
+        let resolution;
+        switch (method) {
+            case 'key':
+                resolution = this.resolveDIDKey(did);
+                break;
+            case 'web':
+                resolution = await this.resolveDIDWeb(did);
+                break;
+            case 'pohw':
+                resolution = await this.resolveDIDPohw(did);
+                break;
+            default:
+                throw new Error(`Unsupported DID method: ${did}`);
+        }
+
+        console.log('[DIDResolver] Resolved', did, 'from', resolution.source);
+        this.cache.set(did, resolution);
+        return resolution;
+    }
+
+    /**
+     * did:key: build the document from the identifier itself
+     */
+    resolveDIDKey(did) {
+        const publicKey = publicKeyFromDIDKey(did);
+        if (!publicKey) {
+            throw new Error('Only Ed25519 did:key identifiers are supported');
+        }
+
+        const multibase = ed25519PublicKeyMultibase(publicKey);
+        const keyId = `${did}#${multibase}`;
+        const document = {
+            '@context': ['https://www.w3.org/ns/did/v1', 'https://w3id.org/security/suites/ed25519-2020/v1'],
+            id: did,
+            verificationMethod: [{
+                id: keyId,
+                type: 'Ed25519VerificationKey2020',
+                controller: did,
+                publicKeyMultibase: multibase
+            }],
+            authentication: [keyId],
+            assertionMethod: [keyId],
+            capabilityInvocation: [keyId],
+            capabilityDelegation: [keyId]
+        };
+
+        return { did, method: 'key', document, keys: this.extractKeys(document), source: 'did:key identifier' };
+    }
+
+    /**
+     * did:web: fetch the document from the domain named in the identifier
+     */
+    async resolveDIDWeb(did) {
+        let url = didWebToUrl(did);
+        const parsed = new URL(url);
+        if (this.allowInsecureLocalhost && (parsed.hostname === 'localhost' || parsed.hostname === '127.0.0.1')) {
+            parsed.protocol = 'http:';
+            url = parsed.toString();
+        }
+
+        const document = await this.fetchDocument(url);
+        if (document.id !== did) {
+            throw new Error(`Document at ${url} is for ${document.id || 'no DID'}, not ${did}`);
+        }
+
+        const keys = this.extractKeys(document);
+        if (keys.length === 0) {
+            throw new Error(`Document at ${url} lists no Ed25519 keys`);
+        }
+        return { did, method: 'web', document, keys, source: url };
+    }
+
+    /**
+     * did:pohw: the registry serves the document; the identifier commits to the
+     * key prefix, so only keys matching it are accepted
+     */
+    async resolveDIDPohw(did) {
+        if (!/^did:pohw:[0-9a-f]{16}$/i.test(did)) {
+            throw new Error(`Not a resolvable did:pohw identifier: ${did}`);
+        }
+        if (!this.registryUrl) {
+            throw new Error('No registry selected to resolve did:pohw');
+        }
+
+        const url = `${this.registryUrl}/pohw/did/${encodeURIComponent(did)}`;
+        const document = await this.fetchDocument(url);
+        if (document.id !== did) {
+            throw new Error(`Registry returned a document for ${document.id || 'no DID'}, not ${did}`);
+        }
+
+        const keys = this.extractKeys(document).filter(key => didMatchesPublicKey(did, key.publicKey));
+        if (keys.length === 0) {
+            throw new Error(`Registry document lists no key matching ${did}`);
+        }
+        return { did, method: 'pohw', document, keys, source: url };
+    }
+
+    /**
+     * Fetch a DID document (with timeout)
+     */
+    async fetchDocument(url) {
+        const controller = new AbortController();
+        const timer = setTimeout(() => controller.abort(), this.timeout);
+
+        try {
+            const response = await fetch(url, {
+                headers: { 'Accept': 'application/did+json, application/did+ld+json, application/json' },
+                mode: 'cors',
+                signal: controller.signal
+            });
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+
+            const document = await response.json();
+            if (!document || typeof document !== 'object') {
+                throw new Error('Response is not a DID document');
+            }
+            return document;
+        } catch (error) {
+            const reason = error.name === 'AbortError' ? 'timed out' : error.message;
+            throw new Error(`Failed to fetch DID document from ${url}: ${reason}`);
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Collect Ed25519 keys from a DID document
+     * Supports Ed25519VerificationKey2020 / Multikey (publicKeyMultibase),
+     * Ed25519VerificationKey2018 (publicKeyBase58) and JsonWebKey2020 (OKP Ed25519).
+     */
+    extractKeys(document) {
+        const absolute = id => (typeof id === 'string' && id.startsWith('#') ? document.id + id : id);
+        const methods = [...(document.verificationMethod || [])];
+        const assertionIds = new Set();
+
+        (document.assertionMethod || []).forEach(entry => {
+            if (typeof entry === 'string') {
+                assertionIds.add(absolute(entry));
+            } else if (entry && entry.id) {
+                // Embedded verification method
+                methods.push(entry);
+                assertionIds.add(absolute(entry.id));
+            }
+        });
+
+        const keys = [];
+        for (const method of methods) {
+            const publicKey = this.decodeVerificationKey(method);
+            if (!publicKey) {
+                continue;
+            }
+            const id = absolute(method.id);
+            keys.push({
+                id: id,
+                publicKey: publicKey,
+                assertion: assertionIds.has(id),
+                revoked: method.revoked || null
+            });
+        }
+        return keys;
+    }
+
+    /**
+     * Decode the raw Ed25519 public key of a verification method (null if unsupported)
+     */
+    decodeVerificationKey(method) {
+        if (!method) {
+            return null;
+        }
+
+        if (method.publicKeyMultibase) {
+            return publicKeyFromMultibase(method.publicKeyMultibase);
+        }
+
+        if (method.publicKeyBase58 && method.type === 'Ed25519VerificationKey2018') {
+            try {
+                const bytes = base58Decode(method.publicKeyBase58);
+                return bytes.length === 32 ? bytes : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        const jwk = method.publicKeyJwk;
+        if (jwk && jwk.kty === 'OKP' && jwk.crv === 'Ed25519' && jwk.x) {
+            try {
+                const base64 = jwk.x.replace(/-/g, '+').replace(/_/g, '/');
+                const bytes = Uint8Array.from(atob(base64), c => c.charCodeAt(0));
+                return bytes.length === 32 ? bytes : null;
+            } catch (e) {
+                return null;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a key in a resolved document that was allowed to sign at a given time
+     * Current keys must be listed under assertionMethod; rotated keys (with
+     * `revoked`) only count for proofs anchored before they were retired.
+     * @param {Object} resolution - Result of resolve()
+     * @param {Uint8Array} publicKey - Key to look for
+     * @param {string} anchoredAt - When the proof was anchored (ISO 8601), optional
+     * @returns {Object|null} Key entry
+     */
+    findKey(resolution, publicKey, anchoredAt = null) {
+        const hex = bytesToHex(publicKey);
+        return resolution.keys.find(key =>
+            bytesToHex(key.publicKey) === hex && this.isKeyUsable(key, anchoredAt)) || null;
+    }
+
+    /**
+     * Whether a key could sign a proof anchored at the given time
+     * The time must come from outside the signature (an anchor): a claim's own
+     * timestamp is chosen by whoever holds the retired key.
+     */
+    isKeyUsable(key, anchoredAt = null) {
+        if (key.revoked) {
+            return !!anchoredAt && new Date(anchoredAt) < new Date(key.revoked);
+        }
+        return key.assertion;
+    }
+
+    /**
+     * Check a signature against the keys of a resolved DID
+     * @param {Object} resolution - Result of resolve()
+     * @param {string|Uint8Array} message - Signed message (canonical claim)
+     * @param {string} signatureHex - Hex signature
+     * @param {string} anchoredAt - When the proof was anchored (ISO 8601), used for rotated keys
+     * @returns {Promise<Object>} { valid, keyId, publicKey, error }
+     */
+    async verifySignature(resolution, message, signatureHex, anchoredAt = null) {
+        let retiredMatch = null;
+
+        for (const key of resolution.keys) {
+            let verified;
+            try {
+                verified = await verifyEd25519(key.publicKey, message, signatureHex);
+            } catch (error) {
+                return { valid: false, keyId: null, publicKey: null, error: error.message };
+            }
+            if (!verified) {
+                continue;
+            }
+            if (this.isKeyUsable(key, anchoredAt)) {
+                return { valid: true, keyId: key.id, publicKey: key.publicKey, error: null };
+            }
+            retiredMatch = key;
+        }
+
+        if (retiredMatch) {
+            return {
+                valid: false,
+                keyId: retiredMatch.id,
+                publicKey: retiredMatch.publicKey,
+                error: retiredMatch.revoked
+                    ? `Signed by a key that was retired on ${retiredMatch.revoked}, and the proof was not anchored before then`
+                    : 'Signing key is not authorized for assertions'
+            };
+        }
+        return { valid: false, keyId: null, publicKey: null, error: 'Signature does not match any key of the signer DID' };
+    }
+}
+
+// Export for use in other scripts
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DIDResolver;
+}
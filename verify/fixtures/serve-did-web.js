@@ -0,0 +1,46 @@
+/**
+ * did:web Fixture Server
+ * Serves a did:web document over plain HTTP on localhost, with CORS, for
+ * testing domain linking on the verify page (see verify/DEBUG.md).
+ *
+ *   node verify/fixtures/serve-did-web.js [directory] [port]
+ *
+ * directory defaults to verify/fixtures/did-web (did:web:localhost%3A8443);
+ * pass an unzipped did:web bundle from the create page to serve your own key.
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const root = path.resolve(process.argv[2] || path.join(__dirname, 'did-web'));
+const port = parseInt(process.argv[3], 10) || 8443;
+
+const server = http.createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+
+    // Only DID documents are served, never anything outside the directory
+    const pathname = decodeURIComponent(new URL(request.url, `http://localhost:${port}`).pathname);
+    const file = path.join(root, path.normalize(pathname));
+    if (!file.startsWith(root + path.sep) || path.basename(file) !== 'did.json') {
+        response.writeHead(404);
+        response.end();
+        return;
+    }
+
+    fs.readFile(file, (error, content) => {
+        if (error) {
+            console.log(`[FixtureServer] 404 ${pathname}`);
+            response.writeHead(404);
+            response.end();
+            return;
+        }
+        console.log(`[FixtureServer] 200 ${pathname}`);
+        response.writeHead(200, { 'Content-Type': 'application/did+json' });
+        response.end(content);
+    });
+});
+
+server.listen(port, 'localhost', () => {
+    console.log(`[FixtureServer] Serving ${root} as did:web:localhost%3A${port}`);
+});
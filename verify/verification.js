@@ -262,6 +262,48 @@ class VerificationClient {
         }
     }
 
+    /**
+     * Get key lineage (signed rotation statements) for a DID
+     * @param {string} did - Any DID in the lineage
+     * @returns {Promise<Object>} { rotations: [...] } or null
+     */
+    async getKeyLineage(did) {
+        try {
+            const encodedDid = encodeURIComponent(did);
+            const response = await fetch(`${this.registryUrl}/pohw/keys/${encodedDid}/lineage`);
+            
+            if (!response.ok) {
+                return null;
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching key lineage:', error);
+            return null;
+        }
+    }
+
+    /**
+     * Get key revocation for a DID (if the key was declared compromised)
+     * @param {string} did - Signer DID
+     * @returns {Promise<Object>} { revocation: { statement, signature } } or null
+     */
+    async getKeyRevocation(did) {
+        try {
+            const encodedDid = encodeURIComponent(did);
+            const response = await fetch(`${this.registryUrl}/pohw/keys/${encodedDid}/revocation`);
+            
+            if (!response.ok) {
+                return null;
+            }
+            
+            return await response.json();
+        } catch (error) {
+            console.error('Error fetching key revocation:', error);
+            return null;
+        }
+    }
+
     /**
      * Get reputation for a DID
      * @param {string} did - DID identifier